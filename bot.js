@@ -3,6 +3,8 @@
 const TelegramBot = require('node-telegram-bot-api');
 const { createClient } = require('@supabase/supabase-js');
 const { ethers } = require('ethers');
+const crypto = require('crypto');
+const fs = require('fs');
 
 require('dotenv').config();
 
@@ -11,7 +13,8 @@ const requiredEnvVars = [
   'TELEGRAM_BOT_TOKEN', 
   'SUPABASE_URL', 
   'SUPABASE_ANON_KEY',
-  'ADMIN_PRIVATE_KEY'
+  'ADMIN_PRIVATE_KEY',
+  'WALLET_ENCRYPTION_KEY'
 ];
 
 for (const envVar of requiredEnvVars) {
@@ -28,6 +31,10 @@ const SPREDD_FACTORY_ADDRESS = '0x7910aEb89f4843457d90cb26161EebA34d39EB60';
 const FP_MANAGER_ADDRESS = '0x377DdE21CF1d613DFB7Cec34a05232Eea77FAe7f';
 const WEBSITE_URL = 'https://spredd.markets';
 
+// Keep this multiple of the estimated gas cost aside on "Max" ETH withdrawals
+// (Base also charges an L1 data fee on top of the L2 gas estimate)
+const WITHDRAW_GAS_RESERVE_MULTIPLIER = 3n;
+
 // Market categories for tags
 const MARKET_CATEGORIES = [
   'AI', 'Art', 'Automotive', 'Bitcoin', 'Business', 'Crypto', 'E-sports', 'Economy', 
@@ -124,7 +131,8 @@ const USDC_ABI = [
   'function decimals() view returns (uint8)',
   'function approve(address spender, uint256 amount) returns (bool)',
   'function transfer(address to, uint256 amount) returns (bool)',
-  'function allowance(address owner, address spender) view returns (uint256)'
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'event Transfer(address indexed from, address indexed to, uint256 value)'
 ];
 
 const FACTORY_ABI = [
@@ -153,6 +161,52 @@ const MARKET_ABI = [
   'function calculatePotentialWinnings(bool _betOnA, uint256 _betAmount) view returns (uint256 potentialWinnings, uint256 netBetAmount)'
 ];
 
+// Functions the bot sends that are not in MARKET_ABI above, and the numbering of the
+// outcome returned by getMarketInfo(), come from the market contract's verified source
+// on BaseScan. Until both are configured, claiming and on-chain resolution stay disabled.
+const verifiedMarketInterface = loadVerifiedMarketInterface(process.env.SPREDD_MARKET_ABI_PATH);
+const MARKET_OUTCOME = parseMarketOutcomeValues(process.env.MARKET_OUTCOME_VALUES);
+
+// SPREDD_MARKET_ABI_PATH is the market contract ABI (JSON array) exported from BaseScan
+function loadVerifiedMarketInterface(abiPath) {
+  if (!abiPath) return null;
+
+  try {
+    return new ethers.Interface(JSON.parse(fs.readFileSync(abiPath, 'utf8')));
+  } catch (error) {
+    console.error(`❌ Could not load the market ABI from ${abiPath}:`, error.message);
+    return null;
+  }
+}
+
+// MARKET_OUTCOME_VALUES maps the contract's Outcome enum, e.g. "OPTION_A:1,OPTION_B:2,VOID:3"
+function parseMarketOutcomeValues(value) {
+  if (!value) return null;
+
+  const values = {};
+  for (const entry of value.split(',')) {
+    const [name, number] = entry.split(':').map(part => part.trim());
+    if (name && /^\d+$/.test(number || '')) {
+      values[name.toUpperCase()] = parseInt(number);
+    }
+  }
+
+  const outcomes = { OPTION_A: values.OPTION_A, OPTION_B: values.OPTION_B, VOID: values.VOID };
+  const numbers = Object.values(outcomes);
+  if (numbers.includes(undefined) || new Set(numbers).size !== numbers.length) {
+    console.error('❌ MARKET_OUTCOME_VALUES must give distinct numbers for OPTION_A, OPTION_B and VOID');
+    return null;
+  }
+  return Object.freeze(outcomes);
+}
+
+// The verified fragment of a market function the bot sends, or null when the verified
+// ABI or outcome numbering is not configured or the contract has no such function
+function getVerifiedMarketFunction(signature) {
+  if (!verifiedMarketInterface || !MARKET_OUTCOME) return null;
+  return verifiedMarketInterface.getFunction(signature);
+}
+
 // Initialize contracts
 let usdcContract = new ethers.Contract(USDC_ADDRESS, USDC_ABI, provider);
 let factoryContract = new ethers.Contract(SPREDD_FACTORY_ADDRESS, FACTORY_ABI, provider);
@@ -224,41 +278,556 @@ if (isDevelopment) {
   }
 }
 
-// Admin user IDs
-const ADMIN_IDS = [258664955];
-function isAdmin(userId) { return ADMIN_IDS.includes(userId); }
+// ACCESS CONTROL
+// Staff roles come from User.role. Telegram IDs listed in BOOTSTRAP_ADMIN_IDS are
+// always ADMIN, so a fresh deployment has someone who can /promote others.
+const ROLES = ['USER', 'SUPPORT', 'MODERATOR', 'ADMIN']; // lowest to highest
+const BOOTSTRAP_ADMIN_IDS = (process.env.BOOTSTRAP_ADMIN_IDS || '')
+  .split(',')
+  .map(id => parseInt(id.trim()))
+  .filter(id => !isNaN(id));
+
+if (BOOTSTRAP_ADMIN_IDS.length === 0) {
+  console.warn('⚠️ BOOTSTRAP_ADMIN_IDS is not set; admin access depends on User.role only');
+}
 
-// User sessions and mappings
-const userSessions = new Map();
-const marketMappings = new Map();
-let marketCounter = 0;
+// Minimum role for each staff command
+const COMMAND_PERMISSIONS = {
+  admin: 'SUPPORT',
+  stats: 'SUPPORT',
+  outbox: 'SUPPORT',
+  resolve: 'MODERATOR',
+  dbtest: 'ADMIN',
+  createtestmarket: 'ADMIN',
+  repairmarkets: 'ADMIN',
+  reencryptwallets: 'ADMIN',
+  outbox_retry: 'ADMIN',
+  gasdrip: 'ADMIN',
+  broadcast: 'ADMIN',
+  promote: 'ADMIN',
+  demote: 'ADMIN',
+  audit: 'ADMIN',
+  ban: 'MODERATOR',
+  unban: 'MODERATOR',
+  suspend: 'MODERATOR',
+  modqueue: 'MODERATOR',
+  moderate_market: 'MODERATOR'
+};
+
+const ROLE_CACHE_TTL_MS = 60 * 1000;
+const roleCache = new Map();
+
+async function getUserRole(telegramId) {
+  if (BOOTSTRAP_ADMIN_IDS.includes(telegramId)) return 'ADMIN';
+
+  const cached = roleCache.get(telegramId);
+  if (cached && cached.expiresAt > Date.now()) return cached.role;
+
+  const { data: user, error } = await supabaseAdmin
+    .from('User')
+    .select('role')
+    .eq('telegram_id', telegramId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Error loading user role:', error);
+    return 'USER';
+  }
 
-// Enhanced memory cleanup
-setInterval(() => {
-  const oneHourAgo = Date.now() - (60 * 60 * 1000);
-  let cleanedSessions = 0;
-  
-  for (const [chatId, session] of userSessions.entries()) {
-    if (session.timestamp && session.timestamp < oneHourAgo) {
-      userSessions.delete(chatId);
-      cleanedSessions++;
+  const role = ROLES.includes(user?.role) ? user.role : 'USER';
+  roleCache.set(telegramId, { role, expiresAt: Date.now() + ROLE_CACHE_TTL_MS });
+  return role;
+}
+
+function roleAtLeast(role, requiredRole) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(requiredRole);
+}
+
+// Staff commands are gated here rather than by checkUserAccess, so this also
+// applies bans and the "staff" rate limit. Staff chats are private, so the
+// Telegram ID doubles as the chat ID for the notice.
+async function hasPermission(telegramId, command) {
+  const requiredRole = COMMAND_PERMISSIONS[command];
+  const allowed = requiredRole ? roleAtLeast(await getUserRole(telegramId), requiredRole) : false;
+
+  if (!allowed) {
+    // One denied entry per user a minute is enough to spot probing without letting
+    // anyone flood bot_audit_log by repeating a staff command
+    if (Date.now() - (deniedAuditAt.get(telegramId) || 0) >= ACCESS_NOTICE_INTERVAL_MS) {
+      deniedAuditAt.set(telegramId, Date.now());
+      await recordAuditLog(telegramId, command, { result: 'denied' });
     }
+    return false;
   }
-  
-  if (marketMappings.size > 500) {
-    marketMappings.clear();
-    marketCounter = 0;
-    console.log('🧹 Cleaned market mappings to prevent memory leak');
+
+  const blockMessage = await getAccessBlockMessage(telegramId) || getRateLimitMessage(telegramId, 'staff');
+  if (blockMessage) {
+    await sendAccessNotice(telegramId, telegramId, blockMessage);
+    return false;
   }
-  
-  if (cleanedSessions > 0) {
-    console.log(`🧹 Cleaned ${cleanedSessions} old user sessions`);
+  return true;
+}
+
+// AUDIT LOG
+// Privileged actions are recorded in bot_audit_log so we can answer "who did
+// this" after incidents. A failed write is logged but never blocks the action.
+async function recordAuditLog(actorId, command, { args = null, entityType = null, entityIds = [], result = 'success', error = null } = {}) {
+  const { error: insertError } = await supabaseAdmin
+    .from('bot_audit_log')
+    .insert([{
+      actor_telegram_id: actorId,
+      command,
+      arguments: args,
+      entity_type: entityType,
+      entity_ids: entityIds.map(String),
+      result,
+      error: error ? String(error.shortMessage || error.message || error).slice(0, 500) : null,
+      created_at: new Date().toISOString()
+    }]);
+
+  if (insertError) {
+    console.error('Error writing audit log:', insertError);
   }
-}, 5 * 60 * 1000);
+}
+
+// USER MODERATION
+// Bans and suspensions live in bot_user_moderation (telegram_id, status, reason,
+// suspended_until, moderated_by, updated_at), keyed by Telegram ID so accounts
+// can be blocked even if they never created a User row. Unbanning deletes the row.
+const MODERATION_CACHE_TTL_MS = 60 * 1000;
+const ACCESS_NOTICE_INTERVAL_MS = 60 * 1000;
+const moderationCache = new Map();
+const accessNoticeSentAt = new Map();
+const deniedAuditAt = new Map();
+
+async function getModerationStatus(telegramId) {
+  const cached = moderationCache.get(telegramId);
+  let record = cached && cached.expiresAt > Date.now() ? cached.record : undefined;
+
+  if (record === undefined) {
+    const { data, error } = await supabaseAdmin
+      .from('bot_user_moderation')
+      .select('status, reason, suspended_until')
+      .eq('telegram_id', telegramId)
+      .maybeSingle();
+
+    if (error) {
+      // Fail open: a database hiccup should not lock everyone out
+      console.error('Error loading moderation status:', error);
+      return null;
+    }
+
+    record = data || null;
+    moderationCache.set(telegramId, { record, expiresAt: Date.now() + MODERATION_CACHE_TTL_MS });
+  }
+
+  if (record?.status === 'suspended' && new Date(record.suspended_until).getTime() <= Date.now()) {
+    return null;
+  }
+  return record;
+}
+
+// Message explaining why the user cannot use the bot, or null if they can
+async function getAccessBlockMessage(telegramId) {
+  const moderation = await getModerationStatus(telegramId);
+  if (!moderation) return null;
+
+  const reason = moderation.reason ? `\n\nReason: ${moderation.reason}` : '';
+  if (moderation.status === 'banned') {
+    return `🚫 Your account has been banned from Spredd.${reason}`;
+  }
+
+  const timezone = await getExistingUserTimezone(telegramId);
+  return `⏸️ Your account is suspended until ${formatAbsoluteDateTime(moderation.suspended_until, timezone)}.${reason}`;
+}
+
+// Timezone for a Telegram ID without creating a User row for it, since blocked
+// accounts may never have had one. Falls back to UTC.
+async function getExistingUserTimezone(telegramId) {
+  try {
+    const { data: user, error } = await supabaseAdmin
+      .from('User')
+      .select('id')
+      .eq('telegram_id', telegramId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!user) return 'UTC';
+
+    const { data: preferences, error: preferencesError } = await supabaseAdmin
+      .from('bot_user_preferences')
+      .select('timezone')
+      .eq('user_id', user.id)
+      .maybeSingle();
+
+    if (preferencesError) throw preferencesError;
+    return getPreferredTimezone(preferences || {});
+  } catch (error) {
+    console.error('Error loading timezone:', error);
+    return 'UTC';
+  }
+}
+
+// RATE LIMITING
+// Sliding-window limits per user, kept in memory. "callback", "message" and
+// "command" cover raw input; the rest guard handlers that hit RPC and Supabase.
+const RATE_LIMITS = {
+  callback: { limit: 30, windowMs: 60 * 1000 },
+  message: { limit: 20, windowMs: 60 * 1000 },
+  command: { limit: 15, windowMs: 60 * 1000 },
+  browse: { limit: 10, windowMs: 60 * 1000 },
+  balance: { limit: 6, windowMs: 60 * 1000 },
+  create_market: { limit: 5, windowMs: 10 * 60 * 1000 },
+  // Staff commands and buttons; nested permission checks count twice, hence the headroom
+  staff: { limit: 60, windowMs: 60 * 1000 },
+  report: { limit: 5, windowMs: 10 * 60 * 1000 }
+};
+const rateLimitHits = new Map();
+
+// Record a hit and return how many ms the user must wait, or 0 if allowed
+function takeRateLimit(telegramId, bucket) {
+  const { limit, windowMs } = RATE_LIMITS[bucket];
+  const key = `${telegramId}:${bucket}`;
+  const now = Date.now();
+  const hits = (rateLimitHits.get(key) || []).filter(time => time > now - windowMs);
+
+  if (hits.length >= limit) {
+    rateLimitHits.set(key, hits);
+    return hits[0] + windowMs - now;
+  }
+
+  hits.push(now);
+  rateLimitHits.set(key, hits);
+  return 0;
+}
+
+function getRateLimitMessage(telegramId, bucket) {
+  const waitMs = takeRateLimit(telegramId, bucket);
+  if (waitMs === 0) return null;
+
+  return `🐢 Slow down! Please wait ${Math.ceil(waitMs / 1000)}s before trying that again.`;
+}
+
+// Send a block or slow-down notice at most once a minute so the replies
+// themselves cannot be used to flood the chat
+async function sendAccessNotice(chatId, telegramId, text) {
+  const lastSent = accessNoticeSentAt.get(telegramId) || 0;
+  if (Date.now() - lastSent < ACCESS_NOTICE_INTERVAL_MS) return;
+
+  accessNoticeSentAt.set(telegramId, Date.now());
+  await safeSendMessage(chatId, text);
+}
+
+// Returns false (after telling the user why) if the user is banned, suspended
+// or over the limit for this bucket
+async function checkUserAccess(chatId, telegramId, bucket) {
+  try {
+    const blockMessage = await getAccessBlockMessage(telegramId) || getRateLimitMessage(telegramId, bucket);
+    if (!blockMessage) return true;
+
+    await sendAccessNotice(chatId, telegramId, blockMessage);
+    return false;
+  } catch (error) {
+    // Fail open like getModerationStatus; a listener must never reject
+    console.error('Error checking user access:', error);
+    return true;
+  }
+}
+
+function pruneRateLimits() {
+  const now = Date.now();
+  const longestWindow = Math.max(...Object.values(RATE_LIMITS).map(({ windowMs }) => windowMs));
+
+  for (const [key, hits] of rateLimitHits) {
+    if (hits[hits.length - 1] <= now - longestWindow) rateLimitHits.delete(key);
+  }
+  for (const notices of [accessNoticeSentAt, deniedAuditAt]) {
+    for (const [telegramId, sentAt] of notices) {
+      if (sentAt <= now - ACCESS_NOTICE_INTERVAL_MS) notices.delete(telegramId);
+    }
+  }
+}
+
+// SESSION STORE
+// Multi-step flows (market creation, bets, withdrawals) keep their state in a
+// pluggable session store. SESSION_STORE=supabase persists sessions in the
+// bot_sessions table (session_key, data, expires_at, updated_at) so they survive
+// restarts and can be shared by several instances; the default keeps them in memory.
+// Sessions expire SESSION_TTL_MINUTES after their last update.
+const SESSION_TTL_MS = parseInt(process.env.SESSION_TTL_MINUTES || '60') * 60 * 1000;
+const SESSION_PURGE_INTERVAL_MS = 10 * 60 * 1000;
+
+class MemorySessionStore {
+  constructor(ttlMs) {
+    this.sessions = new Map();
+    this.ttlMs = ttlMs;
+    this.lastPurge = Date.now();
+  }
+
+  async get(key) {
+    const entry = this.sessions.get(String(key));
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.sessions.delete(String(key));
+      return null;
+    }
+    return entry.session;
+  }
+
+  async set(key, session) {
+    this.sessions.set(String(key), { session, expiresAt: Date.now() + this.ttlMs });
+    this.purgeExpired();
+  }
+
+  async delete(key) {
+    this.sessions.delete(String(key));
+  }
+
+  // Remove and return a session in one step, so only one caller gets it
+  async take(key) {
+    const entry = this.sessions.get(String(key));
+    this.sessions.delete(String(key));
+    return entry && entry.expiresAt > Date.now() ? entry.session : null;
+  }
+
+  async size() {
+    return this.sessions.size;
+  }
+
+  purgeExpired() {
+    if (Date.now() - this.lastPurge < SESSION_PURGE_INTERVAL_MS) return;
+    this.lastPurge = Date.now();
+
+    let cleanedSessions = 0;
+    for (const [key, entry] of this.sessions.entries()) {
+      if (entry.expiresAt <= Date.now()) {
+        this.sessions.delete(key);
+        cleanedSessions++;
+      }
+    }
+
+    if (cleanedSessions > 0) {
+      console.log(`🧹 Cleaned ${cleanedSessions} expired user sessions`);
+    }
+  }
+
+  // Drop all sessions when the process is under memory pressure
+  releaseMemory() {
+    this.sessions.clear();
+  }
+}
+
+class SupabaseSessionStore {
+  constructor(client, ttlMs) {
+    this.client = client;
+    this.ttlMs = ttlMs;
+    this.lastPurge = 0;
+  }
+
+  async get(key) {
+    const { data, error } = await this.client
+      .from('bot_sessions')
+      .select('data')
+      .eq('session_key', String(key))
+      .gt('expires_at', new Date().toISOString())
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error reading session:', error);
+      return null;
+    }
+    return data ? data.data : null;
+  }
+
+  async set(key, session) {
+    const { error } = await this.client
+      .from('bot_sessions')
+      .upsert({
+        session_key: String(key),
+        data: session,
+        expires_at: new Date(Date.now() + this.ttlMs).toISOString(),
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'session_key' });
+
+    if (error) {
+      console.error('Error saving session:', error);
+      throw error;
+    }
+
+    this.purgeExpired().catch(purgeError => {
+      console.error('Error purging expired sessions:', purgeError);
+    });
+  }
+
+  async delete(key) {
+    const { error } = await this.client
+      .from('bot_sessions')
+      .delete()
+      .eq('session_key', String(key));
+
+    if (error) {
+      console.error('Error deleting session:', error);
+    }
+  }
+
+  // Remove and return a session in one step: of several concurrent callers (or
+  // instances), only the one whose delete matched the row gets it
+  async take(key) {
+    const { data, error } = await this.client
+      .from('bot_sessions')
+      .delete()
+      .eq('session_key', String(key))
+      .gt('expires_at', new Date().toISOString())
+      .select('data');
+
+    if (error) {
+      console.error('Error taking session:', error);
+      return null;
+    }
+    return data && data.length > 0 ? data[0].data : null;
+  }
+
+  async size() {
+    const { count, error } = await this.client
+      .from('bot_sessions')
+      .select('session_key', { count: 'exact', head: true })
+      .gt('expires_at', new Date().toISOString());
+
+    if (error) {
+      console.error('Error counting sessions:', error);
+      return 0;
+    }
+    return count || 0;
+  }
+
+  async purgeExpired() {
+    if (Date.now() - this.lastPurge < SESSION_PURGE_INTERVAL_MS) return;
+    this.lastPurge = Date.now();
+
+    const { error } = await this.client
+      .from('bot_sessions')
+      .delete()
+      .lte('expires_at', new Date().toISOString());
+
+    if (error) throw error;
+  }
+
+  // Sessions live in the database, so there is nothing to release locally
+  releaseMemory() {}
+}
+
+function createSessionStore() {
+  if (process.env.SESSION_STORE === 'supabase') {
+    console.log('🗄️ Using Supabase session store');
+    return new SupabaseSessionStore(supabaseAdmin, SESSION_TTL_MS);
+  }
+  console.log('🗄️ Using in-memory session store');
+  return new MemorySessionStore(SESSION_TTL_MS);
+}
+
+const userSessions = createSessionStore();
 
 // Encryption functions
-function encrypt(text) { return Buffer.from(text).toString('base64'); }
-function decrypt(encryptedText) { return Buffer.from(encryptedText, 'base64').toString('utf8'); }
+// Private keys use envelope encryption: each record gets its own random data key
+// (AES-256-GCM), and that data key is wrapped with the versioned master key.
+// Stored format: v<version>:<wrapIv>:<wrapTag>:<wrappedKey>:<iv>:<tag>:<ciphertext>
+// Rows without a version prefix are legacy base64 and are migrated by /reencryptwallets.
+function parseMasterKey(value, name) {
+  const key = /^[0-9a-fA-F]{64}$/.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+  if (key.length !== 32) {
+    console.error(`❌ ${name} must be a 32-byte key (64 hex characters or base64)`);
+    process.exit(1);
+  }
+  return key;
+}
+
+const WALLET_KEY_VERSION = parseInt(process.env.WALLET_ENCRYPTION_KEY_VERSION || '1');
+const walletMasterKeys = new Map([
+  [WALLET_KEY_VERSION, parseMasterKey(process.env.WALLET_ENCRYPTION_KEY, 'WALLET_ENCRYPTION_KEY')]
+]);
+
+// Previous master keys stay readable during a rotation: "1:<key>,2:<key>"
+for (const entry of (process.env.WALLET_ENCRYPTION_PREVIOUS_KEYS || '').split(',').filter(Boolean)) {
+  const [version, key] = entry.trim().split(':');
+  if (!walletMasterKeys.has(parseInt(version))) {
+    walletMasterKeys.set(parseInt(version), parseMasterKey(key, `WALLET_ENCRYPTION_PREVIOUS_KEYS (v${version})`));
+  }
+}
+
+function aesGcmEncrypt(key, plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext];
+}
+
+function aesGcmDecrypt(key, iv, tag, ciphertext) {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+function isLegacyEncryption(encryptedText) {
+  return !encryptedText.includes(':');
+}
+
+function getMasterKey(version) {
+  const masterKey = walletMasterKeys.get(version);
+  if (!masterKey) {
+    throw new Error(`No master key configured for wallet key version ${version}`);
+  }
+  return masterKey;
+}
+
+function wrapDataKey(dataKey) {
+  const masterKey = getMasterKey(WALLET_KEY_VERSION);
+  return [`v${WALLET_KEY_VERSION}`, ...aesGcmEncrypt(masterKey, dataKey).map(part => part.toString('base64'))];
+}
+
+function unwrapDataKey(encryptedText) {
+  const parts = encryptedText.split(':');
+  if (parts.length !== 7 || !parts[0].startsWith('v')) {
+    throw new Error('Malformed encrypted private key');
+  }
+
+  const masterKey = getMasterKey(parseInt(parts[0].slice(1)));
+  const [wrapIv, wrapTag, wrappedKey, iv, tag, ciphertext] = parts.slice(1).map(part => Buffer.from(part, 'base64'));
+  return {
+    dataKey: aesGcmDecrypt(masterKey, wrapIv, wrapTag, wrappedKey),
+    payload: [iv, tag, ciphertext]
+  };
+}
+
+function encrypt(text) {
+  const dataKey = crypto.randomBytes(32);
+  const payload = aesGcmEncrypt(dataKey, Buffer.from(text, 'utf8'));
+  return [...wrapDataKey(dataKey), ...payload.map(part => part.toString('base64'))].join(':');
+}
+
+function decrypt(encryptedText) {
+  if (isLegacyEncryption(encryptedText)) {
+    return Buffer.from(encryptedText, 'base64').toString('utf8');
+  }
+
+  const { dataKey, payload } = unwrapDataKey(encryptedText);
+  return aesGcmDecrypt(dataKey, ...payload).toString('utf8');
+}
+
+// Re-encrypt a stored key under the current master key. Versioned records only
+// need their data key re-wrapped; legacy base64 records are fully encrypted.
+function reencrypt(encryptedText) {
+  if (isLegacyEncryption(encryptedText)) {
+    return encrypt(decrypt(encryptedText));
+  }
+
+  const { dataKey, payload } = unwrapDataKey(encryptedText);
+  return [...wrapDataKey(dataKey), ...payload.map(part => part.toString('base64'))].join(':');
+}
+
+function getEncryptionKeyVersion(encryptedText) {
+  return isLegacyEncryption(encryptedText) ? 0 : parseInt(encryptedText.split(':')[0].slice(1));
+}
 
 // Inline keyboard helpers
 const createInlineKeyboard = (buttons) => ({ reply_markup: { inline_keyboard: buttons } });
@@ -269,7 +838,8 @@ const mainMenu = createInlineKeyboard([
   [{ text: '💰 My Wallet', callback_data: 'wallet_menu' }],
   [{ text: '📊 My Positions', callback_data: 'my_positions' }],
   [{ text: '🏆 Leaderboard', callback_data: 'leaderboard' }],
-  [{ text: '📈 Market Stats', callback_data: 'market_stats' }]
+  [{ text: '📈 Market Stats', callback_data: 'market_stats' }],
+  [{ text: '⚙️ Settings', callback_data: 'settings' }]
 ]);
 
 const walletMenu = createInlineKeyboard([
@@ -298,7 +868,8 @@ function createCategoryButtons() {
 // bot.js - Part 3/10: Utility and Helper Functions
 
 // Date/Time utility functions to properly handle expiry timestamps
-function formatDateTime(timestamp) {
+// Absolute dates are shown in the user's timezone (see getUserTimezone)
+function formatTimeRemaining(timestamp) {
   if (!timestamp) return 'No date set';
   
   try {
@@ -327,6 +898,38 @@ function formatDateTime(timestamp) {
   }
 }
 
+// e.g. "31 Dec 2025, 18:00 GMT+1"
+function formatAbsoluteDateTime(timestamp, timezone = 'UTC') {
+  if (!timestamp) return 'No date set';
+
+  const date = new Date(timestamp);
+  if (isNaN(date.getTime())) return 'Invalid date';
+
+  try {
+    return new Intl.DateTimeFormat('en-GB', {
+      timeZone: timezone,
+      day: 'numeric',
+      month: 'short',
+      year: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+      timeZoneName: 'short'
+    }).format(date);
+  } catch (error) {
+    console.error('Error formatting date:', error);
+    return date.toISOString();
+  }
+}
+
+// Absolute time in the user's timezone plus the countdown
+function formatDateTime(timestamp, timezone = 'UTC') {
+  if (!timestamp) return 'No date set';
+  if (isNaN(new Date(timestamp).getTime())) return 'Invalid date';
+
+  return `${formatAbsoluteDateTime(timestamp, timezone)} (${formatTimeRemaining(timestamp)})`;
+}
+
 function isMarketExpired(timestamp) {
   if (!timestamp) return false;
   try {
@@ -337,27 +940,99 @@ function isMarketExpired(timestamp) {
   }
 }
 
-// Parse date input from user (flexible formats)
-function parseUserDate(input) {
-  const trimmed = input.trim().toLowerCase();
+// Milliseconds a timezone is ahead of UTC at a given instant
+function getTimezoneOffsetMs(date, timezone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(date).map(part => [part.type, part.value]));
+
+  const wallTime = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour % 24, parts.minute, parts.second);
+  return wallTime - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// "+2", "+02:00" or "-0530" to minutes east of UTC
+function parseUtcOffset(text) {
+  const match = text.match(/^([+-])(\d{1,2})(?::?(\d{2}))?$/);
+  if (!match || parseInt(match[2]) > 14) return null;
+
+  const minutes = parseInt(match[2]) * 60 + parseInt(match[3] || '0');
+  return match[1] === '-' ? -minutes : minutes;
+}
+
+// Turn a wall-clock date and time into an instant, using a fixed UTC offset when
+// one was given and the user's timezone otherwise
+function wallTimeToDate({ year, month, day, hour = 0, minute = 0 }, offsetMinutes, timezone) {
+  const wallTime = Date.UTC(year, month - 1, day, hour, minute);
+  const check = new Date(wallTime);
+
+  // Reject dates like 31/02 that Date.UTC would roll over
+  if (check.getUTCFullYear() !== year || check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day ||
+      hour > 23 || minute > 59) {
+    return null;
+  }
+
+  if (offsetMinutes !== null) {
+    return new Date(wallTime - offsetMinutes * 60 * 1000);
+  }
+
+  // Re-check the offset at the first guess in case it crossed a DST change
+  const guess = wallTime - getTimezoneOffsetMs(new Date(wallTime), timezone);
+  return new Date(wallTime - getTimezoneOffsetMs(new Date(guess), timezone));
+}
+
+// Parse date input from user (flexible formats). Dates and times are read in the
+// user's timezone unless the input ends with "UTC", "GMT+2" or an offset like "+02:00".
+function parseUserDate(input, timezone = 'UTC') {
+  let trimmed = input.trim().toLowerCase();
   
+  // Explicit timezone suffixes override the user's timezone
+  let offsetMinutes = null;
+  const namedZone = trimmed.match(/\s*\b(?:utc|gmt)\s*([+-]\d{1,2}(?::?\d{2})?)?$/);
+  const timeOffset = trimmed.match(/(\d{1,2}:\d{2})\s*(z|[+-]\d{2}:?\d{2})$/);
+
+  if (namedZone) {
+    offsetMinutes = namedZone[1] ? parseUtcOffset(namedZone[1]) : 0;
+    if (offsetMinutes === null) return null;
+    trimmed = trimmed.slice(0, namedZone.index).trim();
+  } else if (timeOffset) {
+    offsetMinutes = timeOffset[2] === 'z' ? 0 : parseUtcOffset(timeOffset[2]);
+    if (offsetMinutes === null) return null;
+    trimmed = trimmed.slice(0, timeOffset.index + timeOffset[1].length);
+  }
+
   // Try parsing different formats
   let targetDate;
+  const isoMatch = trimmed.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[ t](\d{1,2}):(\d{2}))?$/);
+  const slashMatch = trimmed.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})(?:\s+(\d{1,2}):(\d{2}))?$/);
   
   // Format: "YYYY-MM-DD HH:MM" or "YYYY-MM-DD"
-  if (/^\d{4}-\d{2}-\d{2}/.test(trimmed)) {
-    targetDate = new Date(trimmed);
+  if (isoMatch) {
+    const [, year, month, day, hour = '0', minute = '0'] = isoMatch;
+    targetDate = wallTimeToDate({
+      year: parseInt(year), month: parseInt(month), day: parseInt(day),
+      hour: parseInt(hour), minute: parseInt(minute)
+    }, offsetMinutes, timezone);
   }
   // Format: "DD/MM/YYYY" or "MM/DD/YYYY"
-  else if (/^\d{1,2}\/\d{1,2}\/\d{4}/.test(trimmed)) {
-    const parts = trimmed.split('/');
-    // Assume DD/MM/YYYY format first
-    targetDate = new Date(`${parts[2]}-${parts[1].padStart(2, '0')}-${parts[0].padStart(2, '0')}`);
-    
-    // If invalid, try MM/DD/YYYY
-    if (isNaN(targetDate.getTime())) {
-      targetDate = new Date(`${parts[2]}-${parts[0].padStart(2, '0')}-${parts[1].padStart(2, '0')}`);
+  else if (slashMatch) {
+    const [, first, second, year, hour = '0', minute = '0'] = slashMatch;
+    // Assume DD/MM/YYYY format first, MM/DD/YYYY if that is impossible
+    let day = parseInt(first);
+    let month = parseInt(second);
+    if (month > 12 && day <= 12) {
+      [day, month] = [month, day];
     }
+    targetDate = wallTimeToDate({
+      year: parseInt(year), month, day,
+      hour: parseInt(hour), minute: parseInt(minute)
+    }, offsetMinutes, timezone);
   }
   // Relative formats like "7 days", "2 weeks", "1 month"
   else if (/^\d+\s*(day|week|month|hour)s?$/i.test(trimmed)) {
@@ -378,9 +1053,19 @@ function parseUserDate(input) {
       }
     }
   }
-  // Try direct Date parsing as fallback
+  // Try direct Date parsing as fallback ("January 15, 2025"), reading the
+  // parsed fields as wall-clock time in the user's timezone
   else {
-    targetDate = new Date(trimmed);
+    const parsed = new Date(trimmed);
+    if (!isNaN(parsed.getTime())) {
+      targetDate = wallTimeToDate({
+        year: parsed.getFullYear(),
+        month: parsed.getMonth() + 1,
+        day: parsed.getDate(),
+        hour: parsed.getHours(),
+        minute: parsed.getMinutes()
+      }, offsetMinutes, timezone);
+    }
   }
   
   // Validate the date
@@ -460,6 +1145,10 @@ async function safeEditMessage(chatId, messageId, text, options = {}) {
       ...safeMsg.options
     });
   } catch (error) {
+    // Refreshing an unchanged message is not an error worth a new message
+    if (error.message?.includes('message is not modified')) {
+      return null;
+    }
     console.error('Error editing message:', error);
     
     // Try without markdown formatting
@@ -479,6 +1168,88 @@ async function safeEditMessage(chatId, messageId, text, options = {}) {
   }
 }
 
+// Market references: a compact, stable encoding of the database Market.id used in
+// callback data and commands. Numeric ids are base36, UUIDs pack into 22 base64url chars,
+// and any other id is "~" plus its base64url. The longest wrapper ("rslvc_<ref>_A")
+// adds 8 bytes, so a ref may use the remaining 56 of Telegram's 64-byte limit.
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MAX_MARKET_REF_LENGTH = 56;
+
+function encodeMarketRef(marketDbId) {
+  const id = String(marketDbId);
+  if (/^\d+$/.test(id) && BigInt(id).toString(36).length <= 12) {
+    return BigInt(id).toString(36);
+  }
+  if (UUID_PATTERN.test(id)) {
+    return Buffer.from(id.replace(/-/g, ''), 'hex').toString('base64url');
+  }
+
+  const ref = `~${Buffer.from(id, 'utf8').toString('base64url')}`;
+  if (ref.length > MAX_MARKET_REF_LENGTH) {
+    throw new Error(`Market id ${id} is too long to reference in callback data`);
+  }
+  return ref;
+}
+
+function decodeMarketRef(ref) {
+  if (!ref) return null;
+
+  if (ref.startsWith('~')) {
+    return Buffer.from(ref.slice(1), 'base64url').toString('utf8') || null;
+  }
+
+  if (/^[A-Za-z0-9_-]{22}$/.test(ref)) {
+    const hex = Buffer.from(ref, 'base64url').toString('hex');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+  }
+  if (/^[0-9a-z]{1,12}$/.test(ref)) {
+    return [...ref].reduce((id, char) => id * 36n + BigInt(parseInt(char, 36)), 0n).toString();
+  }
+  return null;
+}
+
+// Load a market from the database by Market.id, with its creator's username
+async function loadMarket(marketDbId) {
+  if (!marketDbId) return null;
+
+  const { data: market, error } = await supabaseAdmin
+    .from('Market')
+    .select('*')
+    .eq('id', marketDbId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!market) return null;
+
+  let creatorName = 'Unknown';
+  if (market.creatorId) {
+    const { data: creator } = await supabaseAdmin
+      .from('User')
+      .select('username')
+      .eq('id', market.creatorId)
+      .maybeSingle();
+
+    if (creator) {
+      creatorName = creator.username;
+    }
+  }
+
+  return {
+    id: market.id,
+    ref: encodeMarketRef(market.id),
+    marketId: market.marketId,
+    question: market.question,
+    optionA: market.optionA,
+    optionB: market.optionB,
+    expiry: market.expiry,
+    isResolved: market.isResolved,
+    isHidden: Boolean(market.isHidden),
+    isFeatured: Boolean(market.isFeatured),
+    moderatorNote: market.moderatorNote,
+    creator: creatorName
+  };
+}
+
 // bot.js - Part 4/10: Blockchain and Wallet Functions
 
 // FP Manager helper functions
@@ -585,6 +1356,7 @@ async function createSpreddWallet(userId) {
       user_id: userId,
       address: wallet.address,
       encrypted_private_key: encrypt(wallet.privateKey),
+      key_version: WALLET_KEY_VERSION,
       created_at: new Date().toISOString()
     };
     
@@ -685,923 +1457,1313 @@ async function getMarketCreationFee() {
   }
 }
 
-// bot.js - Part 5/10: Core Bot Commands and Handlers
+// USER PREFERENCES
+// Per-user settings in the bot_user_preferences table, keyed by User.id
+const DEFAULT_USER_PREFERENCES = {
+  slippage_tolerance: 2, // max % drop in payout between preview and execution
+  notify_deposits: true,
+  notify_reminders: true,
+  notify_results: true,
+  notify_announcements: true,
+  notify_following: true,
+  quiet_hours_start: null, // hour of day (0-23) in the user's timezone
+  quiet_hours_end: null,
+  timezone: null, // IANA name; UTC until set or detected from the Telegram language
+  muted: false
+};
+
+async function getUserPreferences(telegramId) {
+  const user = await getOrCreateUserOptimized(telegramId);
+
+  const { data: preferences, error } = await supabaseAdmin
+    .from('bot_user_preferences')
+    .select('*')
+    .eq('user_id', user.id)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Error loading user preferences:', error);
+  }
 
-// START COMMAND - OPTIMIZED
-bot.onText(/\/start/, async (msg) => {
-  const chatId = msg.chat.id;
-  const userId = msg.from.id;
-  
-  try {
-    // Create user in background without waiting
-    getOrCreateUserOptimized(userId, msg.from.username).catch(error => {
-      console.error('Background user creation error:', error);
-    });
+  return { ...DEFAULT_USER_PREFERENCES, ...(preferences || {}), user_id: user.id };
+}
 
-    const welcomeMessage = `🎯 **Welcome to Spredd Markets Bot!**
+async function updateUserPreferences(telegramId, updates) {
+  const user = await getOrCreateUserOptimized(telegramId);
 
-Hello ${msg.from.first_name || 'there'}! 
+  const { error } = await supabaseAdmin
+    .from('bot_user_preferences')
+    .upsert({
+      user_id: user.id,
+      ...updates,
+      updated_at: new Date().toISOString()
+    }, { onConflict: 'user_id' });
 
-This bot connects to Spredd Markets on Base blockchain:
-• Browse and bet on prediction markets with USDC
-• Create your own markets (3 USDC fee + ETH for gas)
-• Track your positions and winnings
-• Earn Forecast Points (FP) for trading
+  if (error) throw error;
+}
 
-**Network:** Base
-**Token:** USDC
-**Website:** ${WEBSITE_URL}
+// TIMEZONES
+// Until a user picks a timezone in /settings, we guess one from the language
+// their Telegram app reports. Languages spoken across many zones map to UTC.
+const LANGUAGE_TIMEZONES = {
+  de: 'Europe/Berlin', fr: 'Europe/Paris', es: 'Europe/Madrid', it: 'Europe/Rome',
+  nl: 'Europe/Amsterdam', pl: 'Europe/Warsaw', pt: 'Europe/Lisbon', 'pt-br': 'America/Sao_Paulo',
+  ru: 'Europe/Moscow', uk: 'Europe/Kyiv', tr: 'Europe/Istanbul', 'en-gb': 'Europe/London',
+  ja: 'Asia/Tokyo', ko: 'Asia/Seoul', 'zh-hans': 'Asia/Shanghai', 'zh-hant': 'Asia/Taipei',
+  id: 'Asia/Jakarta', vi: 'Asia/Ho_Chi_Minh', th: 'Asia/Bangkok', hi: 'Asia/Kolkata'
+};
+const timezoneHintsApplied = new Set();
+
+function getPreferredTimezone(preferences) {
+  return preferences.timezone || 'UTC';
+}
 
-${isAdmin(userId) ? '🔧 You have admin privileges! Use /admin for management.\n' : ''}
+async function getUserTimezone(telegramId) {
+  return getPreferredTimezone(await getUserPreferences(telegramId));
+}
 
-Choose an option below to get started:`;
+// Store a timezone guessed from a Telegram user's language_code, once per user
+// per process and only if they have not chosen one
+async function applyTimezoneHint(from) {
+  if (!from || timezoneHintsApplied.has(from.id)) return;
+  timezoneHintsApplied.add(from.id);
 
-    await safeSendMessage(chatId, welcomeMessage, mainMenu);
+  const languageCode = (from.language_code || '').toLowerCase();
+  const timezone = LANGUAGE_TIMEZONES[languageCode] || LANGUAGE_TIMEZONES[languageCode.split('-')[0]];
+  if (!timezone) return;
 
+  try {
+    const preferences = await getUserPreferences(from.id);
+    if (!preferences.timezone) {
+      await updateUserPreferences(from.id, { timezone });
+    }
   } catch (error) {
-    console.error('Error in /start command:', error);
-    await safeSendMessage(chatId, '❌ Welcome! There was a minor setup issue, but you can still use the bot.', mainMenu);
+    console.error('Error applying timezone hint:', error);
   }
-});
-
-// CALLBACK QUERY HANDLER
-bot.on('callback_query', async (query) => {
-  const chatId = query.message.chat.id;
-  const userId = query.from.id;
-  const data = query.data;
+}
 
-  console.log(`📞 Callback received: ${data} from user ${userId}`);
+// Push notification categories users can switch off in /settings
+const NOTIFICATION_CATEGORIES = {
+  deposits: { label: 'Deposits', preference: 'notify_deposits' },
+  reminders: { label: 'Expiry Reminders', preference: 'notify_reminders' },
+  results: { label: 'Market Results', preference: 'notify_results' },
+  announcements: { label: 'Announcements', preference: 'notify_announcements' },
+  following: { label: 'Followed Traders', preference: 'notify_following' }
+};
+
+// Hour of the day (0-23) in a timezone
+function getLocalHour(timezone, date = new Date()) {
+  const hour = new Intl.DateTimeFormat('en-US', { hour: 'numeric', hourCycle: 'h23', timeZone: timezone }).format(date);
+  return parseInt(hour) % 24;
+}
 
+function isValidTimezone(timezone) {
   try {
-    await Promise.race([
-      bot.answerCallbackQuery(query.id),
-      new Promise((_, reject) => setTimeout(() => reject(new Error('Timeout')), 5000))
-    ]);
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
   } catch (error) {
-    console.error('❌ Failed to answer callback query:', error);
+    return false;
   }
+}
 
-  try {
-    await Promise.race([
-      handleCallbackWithTimeout(chatId, userId, data, query),
-      new Promise((_, reject) => setTimeout(() => reject(new Error('Handler timeout')), 30000))
+// Quiet hours run from quiet_hours_start up to quiet_hours_end and may wrap midnight
+function isInQuietHours(preferences, date = new Date()) {
+  const { quiet_hours_start: start, quiet_hours_end: end } = preferences;
+  if (start == null || end == null || start === end) return false;
+
+  const hour = getLocalHour(getPreferredTimezone(preferences), date);
+  return start < end ? hour >= start && hour < end : hour >= start || hour < end;
+}
+
+// Send a push notification if the user's preferences allow it. During quiet hours
+// it is delivered silently instead of being dropped.
+async function sendNotification(telegramId, category, text, options = {}) {
+  const preferences = await getUserPreferences(telegramId);
+  const preference = NOTIFICATION_CATEGORIES[category]?.preference;
+
+  if (preferences.muted || (preference && preferences[preference] === false)) {
+    return false;
+  }
+
+  await safeSendMessage(telegramId, text, {
+    ...options,
+    disable_notification: isInQuietHours(preferences)
+  });
+  return true;
+}
+
+// Whether a factory getMarketDetails() result describes this market
+function matchesMarketDetails(details, market) {
+  return details.question === market.question &&
+    details.optionA === market.optionA &&
+    details.optionB === market.optionB &&
+    Number(details.endTime) === Math.floor(new Date(market.expiry).getTime() / 1000);
+}
+
+// Find the market a createMarket transaction created: the one market added to the
+// factory's list in the transaction's block whose details match what was submitted.
+// Returns { marketId, marketContract }, or null if there is no single match.
+async function findCreatedMarket(receipt, market) {
+  const [before, after] = await Promise.all([receipt.blockNumber - 1, receipt.blockNumber].map(blockTag =>
+    retryRPCCallOptimized(async () => {
+      updateContracts();
+      return await factoryContract.getAllMarkets({ blockTag });
+    })
+  ));
+
+  const existing = new Set(before);
+  const matches = [];
+  for (const marketId of after.filter(id => !existing.has(id))) {
+    const details = await retryRPCCallOptimized(async () =>
+      await factoryContract.getMarketDetails(marketId, { blockTag: receipt.blockNumber })
+    );
+    if (matchesMarketDetails(details, market)) {
+      matches.push(marketId);
+    }
+  }
+
+  if (matches.length !== 1) return null;
+
+  const marketContract = await retryRPCCallOptimized(async () => await factoryContract.getMarketAddress(matches[0]));
+  return { marketId: matches[0], marketContract };
+}
+
+// BOT STATE
+// Small key/value records for background jobs in the bot_state table
+async function getBotState(key) {
+  const { data, error } = await supabaseAdmin
+    .from('bot_state')
+    .select('value')
+    .eq('key', key)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data ? data.value : null;
+}
+
+async function setBotState(key, value) {
+  const { error } = await supabaseAdmin
+    .from('bot_state')
+    .upsert({ key, value, updated_at: new Date().toISOString() }, { onConflict: 'key' });
+
+  if (error) throw error;
+}
+
+// TRANSACTION MANAGER
+// All signing goes through sendWalletTransaction: sends are serialized per
+// wallet with locally tracked nonces, so concurrent actions from one user never
+// collide, and every transaction uses EIP-1559 fees. Transactions pending longer
+// than TX_STUCK_AFTER_MS get "Speed up" and "Cancel" buttons that rebroadcast the
+// same nonce with higher fees.
+const TX_STUCK_AFTER_MS = 3 * 60 * 1000;
+const TX_REPLACEMENT_FEE_BUMP_PERCENT = 130n;
+const MIN_PRIORITY_FEE_PER_GAS = ethers.parseUnits('0.001', 'gwei');
+
+const walletSendQueues = new Map();
+const walletNonces = new Map();
+const pendingWalletTxs = new Map();
+
+function maxBigInt(a, b) {
+  return a > b ? a : b;
+}
+
+// Run fn after any send already in progress for the same wallet
+function runWalletExclusive(address, fn) {
+  const key = address.toLowerCase();
+  const previous = walletSendQueues.get(key) || Promise.resolve();
+  const next = previous.catch(() => {}).then(fn);
+
+  walletSendQueues.set(key, next);
+  next.finally(() => {
+    if (walletSendQueues.get(key) === next) walletSendQueues.delete(key);
+  }).catch(() => {});
+
+  return next;
+}
+
+async function getFeeSettings() {
+  const feeData = await retryRPCCallOptimized(async () => await provider.getFeeData());
+  const maxPriorityFeePerGas = maxBigInt(feeData.maxPriorityFeePerGas ?? 0n, MIN_PRIORITY_FEE_PER_GAS);
+  const maxFeePerGas = maxBigInt(feeData.maxFeePerGas ?? feeData.gasPrice ?? 0n, maxPriorityFeePerGas);
+
+  return { maxFeePerGas, maxPriorityFeePerGas };
+}
+
+// Send a transaction request ({ to, data, value }) from a wallet. context carries
+// the Telegram user and chat to alert if it gets stuck, and a label for the alert.
+async function sendWalletTransaction(signer, request, context = {}) {
+  const address = signer.address;
+  const key = address.toLowerCase();
+
+  return await runWalletExclusive(address, async () => {
+    const [chainNonce, fees] = await Promise.all([
+      retryRPCCallOptimized(async () => await provider.getTransactionCount(address, 'pending')),
+      getFeeSettings()
     ]);
-  } catch (error) {
-    console.error(`❌ Error processing callback ${data}:`, error);
-    
+
+    // A cached nonce ahead of the chain is only valid while the transactions that
+    // fill the gap are still around; one dropped from the mempool would leave every
+    // later send stuck behind it
+    const cachedNonce = walletNonces.get(key) || 0;
+    const nonce = cachedNonce > chainNonce && await hasPendingWalletTransaction(key, chainNonce)
+      ? cachedNonce
+      : chainNonce;
+
+    let tx;
     try {
-      await safeSendMessage(chatId, `❌ Operation timed out or failed. Please try again.\n\nError: ${error.message}`, {
-        reply_markup: {
-          inline_keyboard: [
-            [{ text: '⬅️ Back to Main Menu', callback_data: 'main_menu' }]
-          ]
-        }
-      });
-    } catch (sendError) {
-      console.error('❌ Failed to send error message:', sendError);
+      tx = await signer.connect(provider).sendTransaction({ ...request, nonce, type: 2, ...fees });
+    } catch (error) {
+      // Start the next send from the chain's view of the nonce again
+      walletNonces.delete(key);
+      throw error;
     }
-  }
-});
 
-// CALLBACK HANDLER ROUTER
-async function handleCallbackWithTimeout(chatId, userId, data, query) {
-  switch (data) {
-    case 'main_menu':
-      await handleMainMenu(chatId, query.message.message_id);
-      break;
-    case 'browse_markets':
-      await handleBrowseMarketsOptimized(chatId, userId);
-      break;
-    case 'create_market':
-      await handleCreateMarketOptimized(chatId, userId);
-      break;
-    case 'wallet_menu':
-      await handleWalletMenu(chatId, query.message.message_id);
-      break;
-    case 'my_positions':
-      await handleMyPositions(chatId, userId);
-      break;
-    case 'leaderboard':
-      await handleLeaderboard(chatId);
-      break;
-    case 'market_stats':
-      await handleMarketStats(chatId);
-      break;
-    case 'create_spredd_wallet':
-      await handleCreateSpreddWallet(chatId, userId);
-      break;
-    case 'check_balance':
-      await handleCheckBalance(chatId, userId);
-      break;
-    case 'deposit_address':
-      await handleDepositAddress(chatId, userId);
-      break;
-    case 'withdraw_funds':
-      await handleWithdrawFunds(chatId, userId);
-      break;
-    case 'confirm_create_market':
-      await handleConfirmCreateMarket(chatId, userId);
-      break;
-    case 'cancel_create_market':
-      await handleCancelCreateMarket(chatId);
-      break;
-    case 'spredd_wallet_info':
-      await handleSpreddWalletInfo(chatId);
-      break;
-    case 'skip_tags':
-      await handleSkipTags(chatId, userId);
-      break;
-    case 'fp_status':
-      await handleFPStatus(chatId);
-      break;
-    default:
-      if (data.startsWith('market_')) {
-        await handleMarketActionOptimized(chatId, userId, data);
-      } else if (data.startsWith('bet_')) {
-        await handleBetAction(chatId, userId, data);
-      } else if (data.startsWith('tag_')) {
-        await handleTagSelection(chatId, userId, data);
-      } else {
-        await safeSendMessage(chatId, '❌ Unknown action. Please try again.', {
-          reply_markup: {
-            inline_keyboard: [
-              [{ text: '⬅️ Back to Main Menu', callback_data: 'main_menu' }]
-            ]
-          }
-        });
-      }
-      break;
+    walletNonces.set(key, nonce + 1);
+    trackPendingTransaction(tx, { ...context, signer, address, nonce, request, fees });
+    return tx;
+  });
+}
+
+// Whether a tracked transaction from this wallet with a nonce at or above
+// fromNonce is still known to the node. Dropped ones are forgotten.
+async function hasPendingWalletTransaction(key, fromNonce) {
+  let pending = false;
+
+  for (const [hash, entry] of pendingWalletTxs) {
+    if (entry.address.toLowerCase() !== key || entry.nonce < fromNonce) continue;
+
+    const tx = await retryRPCCallOptimized(async () => await provider.getTransaction(hash));
+    if (tx) {
+      pending = true;
+    } else {
+      pendingWalletTxs.delete(hash);
+    }
   }
+
+  return pending;
 }
 
-// HANDLER FUNCTIONS
-async function handleMainMenu(chatId, messageId) {
-  try {
-    await safeEditMessage(chatId, messageId, '🎯 **Spredd Markets Bot**\n\nChoose an option:', mainMenu);
-  } catch (error) {
-    await safeSendMessage(chatId, '🎯 **Spredd Markets Bot**\n\nChoose an option:', mainMenu);
+// Tie a managed transaction to its outbox entry, so a speed-up or cancel can
+// record the replacement hash there
+function linkOutboxEntry(txHash, outboxEntryId) {
+  const pending = pendingWalletTxs.get(txHash);
+  if (pending) pending.outboxEntryId = outboxEntryId;
+}
+
+function trackPendingTransaction(tx, entry) {
+  pendingWalletTxs.set(tx.hash, { ...entry, hash: tx.hash, sentAt: Date.now(), alerted: false });
+}
+
+function untrackPendingTransaction(address, nonce) {
+  for (const [hash, entry] of pendingWalletTxs) {
+    if (entry.address === address && entry.nonce === nonce) {
+      pendingWalletTxs.delete(hash);
+    }
   }
 }
 
-async function handleWalletMenu(chatId, messageId) {
+// Wait for a managed transaction. A sped-up transaction is returned as the
+// receipt of its replacement; a cancelled one throws TRANSACTION_REPLACED.
+async function waitForWalletTransaction(tx) {
   try {
-    await safeEditMessage(chatId, messageId, '💰 **Spredd Wallet Management**\n\nManage your Spredd Wallet:', walletMenu);
+    return await tx.wait();
   } catch (error) {
-    await safeSendMessage(chatId, '💰 **Spredd Wallet Management**\n\nManage your Spredd Wallet:', walletMenu);
+    if (error.code === 'TRANSACTION_REPLACED' && !error.cancelled) {
+      return error.receipt;
+    }
+    throw error;
+  } finally {
+    untrackPendingTransaction(tx.from, tx.nonce);
   }
 }
 
-// bot.js - Part 6/10: Browse Markets and Create Market Handlers
+// Rebroadcast a pending transaction's nonce with bumped fees, either with the same
+// request (speed up) or as an empty self-transfer (cancel)
+async function replaceWalletTransaction(entry, cancel) {
+  return await runWalletExclusive(entry.address, async () => {
+    const currentFees = await getFeeSettings();
+    const bump = value => value * TX_REPLACEMENT_FEE_BUMP_PERCENT / 100n;
+
+    const maxPriorityFeePerGas = maxBigInt(bump(entry.fees.maxPriorityFeePerGas), currentFees.maxPriorityFeePerGas);
+    const fees = {
+      maxPriorityFeePerGas,
+      maxFeePerGas: maxBigInt(maxBigInt(bump(entry.fees.maxFeePerGas), currentFees.maxFeePerGas), maxPriorityFeePerGas)
+    };
 
-// BROWSE MARKETS HANDLER - UPDATED WITH BETTER ERROR HANDLING
-async function handleBrowseMarketsOptimized(chatId, userId) {
-  try {
-    console.log('🔍 Attempting to fetch markets with supabaseAdmin...');
-    
-    // Use supabaseAdmin with a simpler query first to test permissions
-    const { data: markets, error } = await supabaseAdmin
-      .from('Market')
-      .select('*')
-      .eq('isResolved', false)
-      .order('createdAt', { ascending: false })
-      .limit(5);
+    const request = cancel
+      ? { to: entry.address, value: 0n, data: '0x', gasLimit: 21000n }
+      : entry.request;
 
-    console.log('📊 Market query result:', { 
-      dataCount: markets?.length || 0, 
-      error: error ? error.message : 'none' 
+    const tx = await entry.signer.connect(provider).sendTransaction({ ...request, nonce: entry.nonce, type: 2, ...fees });
+
+    const replacedHashes = [...(entry.replacedHashes || []), entry.hash];
+    pendingWalletTxs.delete(entry.hash);
+    trackPendingTransaction(tx, {
+      ...entry,
+      request,
+      fees,
+      replacedHashes,
+      label: cancel ? `cancellation of your ${entry.label}` : entry.label
     });
 
-    if (error) {
-      console.error('❌ Database error details:', error);
-      
-      // If we still get permission errors, try a basic health check
-      const { data: healthCheck, error: healthError } = await supabaseAdmin
-        .from('User')
-        .select('id')
-        .limit(1);
-        
-      if (healthError) {
-        console.error('❌ Database connection issue:', healthError);
-        await safeSendMessage(chatId, `❌ Database connection issue: ${healthError.message}\n\nPlease check your Supabase service role key configuration.`);
-        return;
-      }
-      
-      await safeSendMessage(chatId, `❌ Error loading markets: ${error.message}\n\nTrying alternative approach...`);
-      
-      // Try with basic user data instead
-      await safeSendMessage(chatId, `🏪 **Browse Markets**
+    // After a restart the outbox worker looks for whichever of these hashes was mined
+    if (entry.outboxEntryId) {
+      await updateOutboxEntry(entry.outboxEntryId, { tx_hash: tx.hash, replaced_tx_hashes: replacedHashes });
+    }
 
-Database is having permission issues. Please check:
+    return tx;
+  });
+}
 
-1. Supabase Service Role Key is correctly set
-2. RLS policies allow service role access
-3. Table permissions are configured
+// Alert users about their transactions that have been pending too long
+async function checkStuckTransactions() {
+  for (const entry of pendingWalletTxs.values()) {
+    if (entry.alerted || !entry.chatId || Date.now() - entry.sentAt < TX_STUCK_AFTER_MS) continue;
 
-Current status: Using service role key: ${process.env.SUPABASE_SERVICE_ROLE_KEY ? 'YES' : 'NO'}`, {
-        reply_markup: {
-          inline_keyboard: [
-            [{ text: '🔄 Try Again', callback_data: 'browse_markets' }],
-            [{ text: '⬅️ Main Menu', callback_data: 'main_menu' }]
-          ]
-        }
-      });
-      return;
-    }
+    try {
+      const receipt = await provider.getTransactionReceipt(entry.hash);
+      if (receipt) continue;
 
-    if (!markets || markets.length === 0) {
-      await safeSendMessage(chatId, `🏪 **Browse Markets**
+      entry.alerted = true;
+      const ref = entry.hash.slice(2, 18);
+      const minutes = Math.floor((Date.now() - entry.sentAt) / 60000);
 
-No active markets found in the database.
+      await safeSendMessage(entry.chatId, `⏳ **Transaction Pending**
 
-This could mean:
-• No markets have been created yet
-• Markets exist but are marked as resolved
-• Database query returned empty results
+Your ${entry.label || 'transaction'} has been waiting for ${minutes} minutes, probably because network fees went up.
 
-Be the first to create a market!`, {
+**Transaction:** ${entry.hash}
+
+🚀 **Speed up** rebroadcasts it with higher fees.
+🛑 **Cancel** replaces it with an empty transaction (this also costs a small ETH fee).`, {
         reply_markup: {
           inline_keyboard: [
-            [{ text: '➕ Create Market', callback_data: 'create_market' }],
-            [{ text: '⬅️ Main Menu', callback_data: 'main_menu' }]
+            [
+              { text: '🚀 Speed up', callback_data: `txsu_${ref}` },
+              { text: '🛑 Cancel', callback_data: `txcx_${ref}` }
+            ]
           ]
         }
       });
-      return;
+    } catch (error) {
+      console.error(`Error checking pending transaction ${entry.hash}:`, error.message);
     }
+  }
+}
 
-    // Get creator usernames separately to avoid complex joins
-    let marketText = `🏪 **Active Markets** (${markets.length} found)\n\n`;
-    const marketButtons = [];
+// SPEED UP / CANCEL HANDLER
+async function handleReplaceTransaction(chatId, userId, data) {
+  const cancel = data.startsWith('txcx_');
+  const ref = data.substring(5);
 
-    for (let i = 0; i < markets.length; i++) {
-      const market = markets[i];
-      const marketKey = `market_${i + 1}`;
-      
-      // Get creator username
-      let creatorName = 'Unknown';
-      try {
-        const { data: creator } = await supabaseAdmin
-          .from('User')
-          .select('username')
-          .eq('id', market.creatorId)
-          .single();
-        
-        if (creator) {
-          creatorName = creator.username;
-        }
-      } catch (creatorError) {
-        console.warn('Could not fetch creator name:', creatorError);
-      }
-      
-      // Store market mapping with simplified data
-      marketMappings.set(marketKey, {
-        id: market.id,
-        marketId: market.marketId,
-        question: market.question,
-        optionA: market.optionA,
-        optionB: market.optionB,
-        expiry: market.expiry,
-        creator: creatorName,
-        outcomes: [] // Will fetch separately if needed
-      });
+  const entry = [...pendingWalletTxs.values()].find(pending => pending.hash.slice(2, 18) === ref);
+  if (!entry || entry.telegramId !== userId) {
+    await safeSendMessage(chatId, 'ℹ️ This transaction is no longer pending.');
+    return;
+  }
 
-      const timeLeft = formatDateTime(market.expiry);
-      marketText += `**${i + 1}.** ${market.question.slice(0, 60)}${market.question.length > 60 ? '...' : ''}\n`;
-      marketText += `**Options:** ${market.optionA} vs ${market.optionB}\n`;
-      marketText += `**Creator:** ${creatorName}\n`;
-      marketText += `**Expires:** ${timeLeft}\n\n`;
-
-      marketButtons.push([{ 
-        text: `📊 Market ${i + 1}`, 
-        callback_data: marketKey 
-      }]);
-    }
+  try {
+    const tx = await replaceWalletTransaction(entry, cancel);
 
-    marketButtons.push([
-      { text: '🔄 Refresh Markets', callback_data: 'browse_markets' },
-      { text: '➕ Create Market', callback_data: 'create_market' }
-    ]);
-    marketButtons.push([{ text: '⬅️ Main Menu', callback_data: 'main_menu' }]);
+    await safeSendMessage(chatId, cancel
+      ? `🛑 **Cancellation Sent**\n\nIf it confirms first, your original transaction will not go through.\n\n**Transaction:** ${tx.hash}`
+      : `🚀 **Speed-up Sent**\n\nYour transaction was rebroadcast with higher fees.\n\n**Transaction:** ${tx.hash}`);
 
-    await safeSendMessage(chatId, marketText, {
-      reply_markup: { inline_keyboard: marketButtons }
-    });
+  } catch (error) {
+    console.error('Error replacing transaction:', error);
+
+    let errorMessage = error.shortMessage || error.message;
+    if (error.code === 'NONCE_EXPIRED' || errorMessage.includes('nonce too low')) {
+      errorMessage = 'The original transaction has already been confirmed.';
+    } else if (error.code === 'REPLACEMENT_UNDERPRICED') {
+      errorMessage = 'The fee increase was not enough. Please try again in a moment.';
+    } else if (errorMessage.includes('insufficient funds')) {
+      errorMessage = 'Insufficient ETH for the higher gas fee.';
+    }
 
-    console.log('✅ Browse markets completed successfully');
+    await safeSendMessage(chatId, `❌ ${cancel ? 'Cancel' : 'Speed up'} failed: ${errorMessage}`);
+  }
+}
 
-  } catch (error) {
-    console.error('❌ Critical error in handleBrowseMarketsOptimized:', error);
-    await safeSendMessage(chatId, `❌ Critical error: ${error.message}
+// TRANSACTION OUTBOX
+// On-chain actions that are followed by a database write get a bot_transactions
+// row before they are submitted. The row moves pending -> submitted -> mined ->
+// persisted (or failed), so when the database write fails or the bot restarts
+// after a transaction is mined, the outbox worker can finish the job.
+const OUTBOX_MAX_ATTEMPTS = 10;
+
+async function createOutboxEntry(kind, telegramId, walletAddress, payload) {
+  const now = new Date().toISOString();
+  const { data, error } = await supabaseAdmin
+    .from('bot_transactions')
+    .insert([{
+      kind,
+      status: 'pending',
+      telegram_id: telegramId,
+      wallet_address: walletAddress,
+      payload,
+      attempts: 0,
+      created_at: now,
+      updated_at: now
+    }])
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
 
-This might be a configuration issue. Please check:
-1. Environment variables are set correctly
-2. Supabase service role key has proper permissions
-3. Database tables exist and are accessible
+// Outbox bookkeeping never interrupts a flow whose transaction is already on-chain
+async function updateOutboxEntry(entryId, updates) {
+  const { error } = await supabaseAdmin
+    .from('bot_transactions')
+    .update({ ...updates, updated_at: new Date().toISOString() })
+    .eq('id', entryId);
 
-Error details: ${error.stack?.split('\n')[0] || 'Unknown'}`, {
-      reply_markup: {
-        inline_keyboard: [
-          [{ text: '🔄 Try Again', callback_data: 'browse_markets' }],
-          [{ text: '⬅️ Main Menu', callback_data: 'main_menu' }]
-        ]
-      }
-    });
+  if (error) {
+    console.error(`Error updating outbox entry ${entryId}:`, error);
   }
 }
 
-// CREATE MARKET HANDLER
-async function handleCreateMarketOptimized(chatId, userId) {
+// Send the transaction for an outbox entry and wait for it to be mined
+async function sendOutboxTransaction(entry, sendTransaction, onSubmitted = null) {
+  let tx;
   try {
-    const wallet = await getUserSpreddWallet(userId);
-    
-    if (!wallet) {
-      await safeSendMessage(chatId, `➕ **Create Prediction Market**
+    tx = await sendTransaction();
+  } catch (error) {
+    await updateOutboxEntry(entry.id, { status: 'failed', last_error: error.shortMessage || error.message });
+    throw error;
+  }
 
-❌ You need a Spredd Wallet to create markets.
+  await updateOutboxEntry(entry.id, { status: 'submitted', tx_hash: tx.hash });
+  linkOutboxEntry(tx.hash, entry.id);
+  if (onSubmitted) await onSubmitted(tx);
 
-A Spredd Wallet allows you to:
-• Create prediction markets (3 USDC fee)
-• Place bets with USDC
-• Manage your funds securely
+  let receipt;
+  try {
+    receipt = await waitForWalletTransaction(tx);
+  } catch (error) {
+    // A revert or cancellation is final
+    if (error.code === 'CALL_EXCEPTION' || error.code === 'TRANSACTION_REPLACED') {
+      await updateOutboxEntry(entry.id, { status: 'failed', last_error: error.shortMessage || error.message });
+      throw error;
+    }
 
-Create your wallet to get started!`, {
-        reply_markup: {
-          inline_keyboard: [
-            [{ text: '🆕 Create Spredd Wallet', callback_data: 'create_spredd_wallet' }],
-            [{ text: '❓ Wallet Info', callback_data: 'spredd_wallet_info' }],
-            [{ text: '⬅️ Main Menu', callback_data: 'main_menu' }]
-          ]
-        }
-      });
-      return;
+    // A timeout or RPC error says nothing about the transaction, so look it up again.
+    // If it is still unknown it stays submitted for the outbox worker.
+    receipt = await findOutboxReceipt(entry.id, tx.hash);
+    if (!receipt) {
+      console.error(`Outbox entry ${entry.id} is still pending after wait error:`, error.message);
+      const pendingError = new Error('Transaction is still pending');
+      pendingError.code = 'TRANSACTION_PENDING';
+      pendingError.txHash = tx.hash;
+      throw pendingError;
     }
 
-    const [usdcBalance, ethBalance, creationFee] = await Promise.all([
-      getUSDCBalance(wallet.address),
-      getETHBalance(wallet.address),
-      getMarketCreationFee()
-    ]);
+    if (isCancellationReceipt(receipt)) {
+      await updateOutboxEntry(entry.id, { status: 'failed', tx_hash: receipt.hash, last_error: 'Cancelled by user' });
+      const cancelledError = new Error('Transaction was cancelled');
+      cancelledError.code = 'TRANSACTION_REPLACED';
+      throw cancelledError;
+    }
+  }
 
-    const hasEnoughUSDC = parseFloat(usdcBalance) >= parseFloat(creationFee);
-    const hasEnoughETH = parseFloat(ethBalance) > 0.001;
+  if (!receipt || receipt.status !== 1) {
+    await updateOutboxEntry(entry.id, { status: 'failed', last_error: 'Transaction reverted' });
+    throw new Error('Transaction reverted');
+  }
 
-    if (!hasEnoughUSDC || !hasEnoughETH) {
-      let errorMessage = `➕ **Create Prediction Market**
+  await updateOutboxEntry(entry.id, { status: 'mined', tx_hash: receipt.hash, block_number: receipt.blockNumber });
+  return { tx, receipt };
+}
 
-❌ Insufficient funds to create a market.
+// Look up the receipt of an outbox entry's transaction under its current and
+// replaced hashes. Returns null if none is mined yet or the lookup fails.
+async function findOutboxReceipt(entryId, fallbackHash) {
+  try {
+    const { data: entry } = await supabaseAdmin
+      .from('bot_transactions')
+      .select('tx_hash, replaced_tx_hashes')
+      .eq('id', entryId)
+      .maybeSingle();
 
-**Requirements:**
-• ${creationFee} USDC (creation fee)
-• 0.001+ ETH (gas fees)
+    return await getOutboxReceipt(entry || { tx_hash: fallbackHash });
+  } catch (error) {
+    console.error(`Error looking up outbox entry ${entryId}:`, error.message);
+    return null;
+  }
+}
 
-**Your Balance:**
-• ${usdcBalance} USDC ${hasEnoughUSDC ? '✅' : '❌'}
-• ${ethBalance} ETH ${hasEnoughETH ? '✅' : '❌'}
+// A sped-up or cancelled transaction may have been mined under any of its hashes
+async function getOutboxReceipt(entry) {
+  for (const hash of [entry.tx_hash, ...(entry.replaced_tx_hashes || [])]) {
+    const receipt = await retryRPCCallOptimized(async () => await provider.getTransactionReceipt(hash));
+    if (receipt) return receipt;
+  }
+  return null;
+}
 
-Please fund your wallet and try again.`;
+// A cancellation is an empty transfer from the wallet to itself
+function isCancellationReceipt(receipt) {
+  return Boolean(receipt.to) && receipt.to.toLowerCase() === receipt.from.toLowerCase();
+}
 
-      await safeSendMessage(chatId, errorMessage, {
-        reply_markup: {
-          inline_keyboard: [
-            [{ text: '📥 Get Deposit Address', callback_data: 'deposit_address' }],
-            [{ text: '💰 Check Balance', callback_data: 'check_balance' }],
-            [{ text: '⬅️ Main Menu', callback_data: 'main_menu' }]
-          ]
-        }
-      });
-      return;
+// Run the database side of a mined outbox entry. Persisters are idempotent, so
+// this is safe to repeat after partial failures.
+async function persistOutboxEntry(entry, receipt) {
+  const persister = OUTBOX_PERSISTERS[entry.kind];
+
+  try {
+    if (!persister) {
+      throw new Error(`Unknown outbox kind: ${entry.kind}`);
     }
 
-    // Start market creation flow
-    userSessions.set(chatId, {
-      action: 'create_market',
-      step: 1,
-      timestamp: Date.now()
+    const result = await persister(entry.payload, receipt);
+    await updateOutboxEntry(entry.id, { status: 'persisted', result, last_error: null });
+    return result;
+
+  } catch (error) {
+    await updateOutboxEntry(entry.id, {
+      attempts: (entry.attempts || 0) + 1,
+      last_error: error.message
     });
+    throw error;
+  }
+}
 
-    await safeSendMessage(chatId, `➕ **Create Prediction Market**
+async function persistCreatedMarket(payload, receipt) {
+  let { data: market, error: findError } = await dbClient
+    .from('Market')
+    .select('*')
+    .eq('creationTxHash', receipt.hash)
+    .maybeSingle();
 
-✅ **Your Balance:**
-• ${usdcBalance} USDC ✅
-• ${ethBalance} ETH ✅
+  if (findError) throw findError;
 
-**Market Creation Cost:** ${creationFee} USDC + gas fees
+  let createdMarket = null;
+  if (!market) {
+    createdMarket = await findCreatedMarket(receipt, payload);
+    if (!createdMarket) {
+      throw new Error(`Could not identify the market created by ${receipt.hash}`);
+    }
 
-**Step 1 of 5:** Enter your prediction question.
+    // The market sync job may have inserted it from the chain first
+    const { data: syncedMarket, error: syncedError } = await dbClient
+      .from('Market')
+      .update({
+        creatorId: payload.creatorId,
+        creationTxHash: receipt.hash,
+        image: payload.image,
+        tags: payload.tags,
+        updatedAt: new Date().toISOString()
+      })
+      .eq('marketId', createdMarket.marketId)
+      .select()
+      .maybeSingle();
 
-Example: "Will Bitcoin reach $100,000 by end of 2024?"
+    if (syncedError) throw syncedError;
+    market = syncedMarket;
+  }
 
-Please type your question:
+  if (!market) {
+    const { data: insertedMarket, error: insertError } = await dbClient
+      .from('Market')
+      .insert([{
+        marketId: createdMarket.marketId,
+        contractAddress: createdMarket.marketContract,
+        creationTxHash: receipt.hash,
+        question: payload.question,
+        optionA: payload.optionA,
+        optionB: payload.optionB,
+        expiry: payload.expiry,
+        creatorId: payload.creatorId,
+        isResolved: false,
+        outcome: null,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+        image: payload.image,
+        tags: payload.tags
+      }])
+      .select()
+      .single();
 
-Send /cancel to abort.`);
+    if (insertError) throw insertError;
+    market = insertedMarket;
+  }
 
-  } catch (error) {
-    console.error('Error in handleCreateMarketOptimized:', error);
-    await safeSendMessage(chatId, '❌ Error starting market creation. Please try again.');
+  const { data: existingOutcomes, error: outcomesError } = await dbClient
+    .from('Outcome')
+    .select('id')
+    .eq('marketId', market.id);
+
+  if (outcomesError) throw outcomesError;
+
+  if (!existingOutcomes || existingOutcomes.length === 0) {
+    const outcomes = [payload.optionA, payload.optionB].map(title => ({
+      marketId: market.id,
+      outcome_title: title,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    }));
+
+    const { error: outcomeError } = await dbClient
+      .from('Outcome')
+      .insert(outcomes);
+
+    if (outcomeError) throw outcomeError;
   }
+
+  return { marketDbId: market.id, marketId: market.marketId };
 }
 
-// MARKET ACTION HANDLER
-async function handleMarketActionOptimized(chatId, userId, data) {
-  try {
-    const marketKey = data;
-    const marketData = marketMappings.get(marketKey);
-    
-    if (!marketData) {
-      await safeSendMessage(chatId, '❌ Market not found. Please refresh the markets list.', {
-        reply_markup: {
-          inline_keyboard: [
-            [{ text: '🔄 Refresh Markets', callback_data: 'browse_markets' }],
-            [{ text: '⬅️ Main Menu', callback_data: 'main_menu' }]
-          ]
-        }
-      });
-      return;
-    }
+async function persistPlacedBet(payload, receipt) {
+  const { data: existingTrade, error: findError } = await dbClient
+    .from('Trade')
+    .select('id')
+    .eq('txHash', receipt.hash)
+    .maybeSingle();
 
-    const isExpired = isMarketExpired(marketData.expiry);
-    const timeLeft = formatDateTime(marketData.expiry);
+  if (findError) throw findError;
 
-    let marketMessage = `📊 **Market Details**
+  let trade = existingTrade;
+  if (!trade) {
+    const { data: createdTrade, error: insertError } = await dbClient
+      .from('Trade')
+      .insert([{
+        amount: payload.amount,
+        userId: payload.userId,
+        outcomeId: payload.outcomeId,
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        status: 'CONFIRMED',
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      }])
+      .select('id')
+      .single();
 
-**Question:** ${marketData.question}
+    if (insertError) throw insertError;
+    trade = createdTrade;
+  }
 
-**Options:**
-🅰️ ${marketData.optionA}
-🅱️ ${marketData.optionB}
+  refreshMarketStats({ id: payload.marketDbId, marketId: payload.marketId }).catch(statsError => {
+    console.error('Error refreshing market stats:', statsError);
+  });
 
-**Creator:** ${marketData.creator}
-**Status:** ${isExpired ? '🔴 Expired' : '🟢 Active'}
-**Time Left:** ${timeLeft}
+  return { tradeId: trade.id };
+}
 
-${isExpired ? '⚠️ This market has expired and no longer accepts bets.' : '💰 Place your bet on the outcome you believe will happen!'}`;
+const OUTBOX_PERSISTERS = {
+  create_market: persistCreatedMarket,
+  place_bet: persistPlacedBet
+};
 
-    const buttons = [];
-    
-    if (!isExpired) {
-      buttons.push([
-        { text: `🅰️ Bet on ${marketData.optionA}`, callback_data: `bet_${marketKey}_A` },
-        { text: `🅱️ Bet on ${marketData.optionB}`, callback_data: `bet_${marketKey}_B` }
-      ]);
-    }
-    
-    buttons.push([
-      { text: '🔄 Refresh', callback_data: marketKey },
-      { text: '🏪 All Markets', callback_data: 'browse_markets' }
-    ]);
-    buttons.push([{ text: '⬅️ Main Menu', callback_data: 'main_menu' }]);
+// Refresh the cached volume and bettor stats on a Market row from the factory
+async function refreshMarketStats(market) {
+  if (!ethers.isHexString(market.marketId, 32)) return;
 
-    await safeSendMessage(chatId, marketMessage, {
-      reply_markup: { inline_keyboard: buttons }
-    });
+  const details = await retryRPCCallOptimized(async () => {
+    updateContracts();
+    return await factoryContract.getMarketDetails(market.marketId);
+  });
 
-  } catch (error) {
-    console.error('Error in handleMarketActionOptimized:', error);
-    await safeSendMessage(chatId, '❌ Error loading market details. Please try again.');
-  }
+  const { error } = await supabaseAdmin
+    .from('Market')
+    .update({
+      volumeA: parseFloat(ethers.formatUnits(details.volumeA, 6)),
+      volumeB: parseFloat(ethers.formatUnits(details.volumeB, 6)),
+      totalVolume: parseFloat(ethers.formatUnits(details.totalVolume, 6)),
+      bettorCount: Number(details.bettorCount),
+      updatedAt: new Date().toISOString()
+    })
+    .eq('id', market.id);
+
+  if (error) throw error;
 }
 
-// bot.js - Part 7/10: Message Handlers and Market Creation Flow
+// Short-lived cache for on-chain market reads so repeated refreshes of the
+// market detail card don't hammer the RPC
+const MARKET_DATA_CACHE_TTL_MS = 30 * 1000;
+const marketDataCache = new Map();
 
-// MESSAGE HANDLER FOR TEXT INPUTS
-bot.on('message', async (msg) => {
-  const chatId = msg.chat.id;
-  const userId = msg.from.id;
-  const session = userSessions.get(chatId);
+// Odds from getMarketDetails/getMarketOdds are expressed in basis points
+const ODDS_PRECISION = 10000;
+const PAYOUT_PREVIEW_AMOUNT = ethers.parseUnits('10', 6);
 
-  // Skip if it's a command or callback
-  if (!msg.text || msg.text.startsWith('/')) {
-    return;
+async function getCachedRPC(cacheKey, fn) {
+  const cached = marketDataCache.get(cacheKey);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.value;
   }
 
-  if (!session) {
-    return;
-  }
+  const value = await retryRPCCallOptimized(fn);
 
-  try {
-    // Handle different session types
-    switch (session.action) {
-      case 'create_market':
-        await handleCreateMarketMessage(chatId, userId, msg, session);
-        break;
-      case 'place_bet':
-        await handlePlaceBetMessage(chatId, userId, msg, session);
-        break;
-      case 'withdraw':
-        await handleWithdrawMessage(chatId, userId, msg, session);
-        break;
-      default:
-        // Unknown session type
-        userSessions.delete(chatId);
-        break;
+  if (marketDataCache.size > 500) {
+    for (const [key, entry] of marketDataCache.entries()) {
+      if (entry.expiresAt <= Date.now()) marketDataCache.delete(key);
     }
-  } catch (error) {
-    console.error('Error handling message:', error);
-    userSessions.delete(chatId);
-    await safeSendMessage(chatId, '❌ An error occurred. Please try again.');
   }
-});
+  marketDataCache.set(cacheKey, { value, expiresAt: Date.now() + MARKET_DATA_CACHE_TTL_MS });
+  return value;
+}
 
-// CREATE MARKET MESSAGE HANDLER
-async function handleCreateMarketMessage(chatId, userId, msg, session) {
-  const text = msg.text.trim();
+async function getOnChainMarketData(onChainMarketId) {
+  const [details, marketAddress] = await Promise.all([
+    getCachedRPC(`details:${onChainMarketId}`, async () => {
+      updateContracts();
+      return await factoryContract.getMarketDetails(onChainMarketId);
+    }),
+    getCachedRPC(`address:${onChainMarketId}`, async () => {
+      return await factoryContract.getMarketAddress(onChainMarketId);
+    })
+  ]);
+
+  return {
+    marketAddress,
+    resolved: details.resolved,
+    volumeA: details.volumeA,
+    volumeB: details.volumeB,
+    totalVolume: details.totalVolume,
+    oddsA: details.oddsA,
+    oddsB: details.oddsB,
+    bettorCount: Number(details.bettorCount)
+  };
+}
 
-  try {
-    switch (session.step) {
-      case 1: // Question
-        if (text.length < 10 || text.length > 200) {
-          await safeSendMessage(chatId, '❌ Question must be between 10-200 characters. Please try again:');
-          return;
-        }
-        session.question = text;
-        session.step = 2;
-        userSessions.set(chatId, session);
-        
-        await safeSendMessage(chatId, `✅ **Question Set:** ${text}
+async function getUserMarketPosition(marketAddress, walletAddress) {
+  return await getCachedRPC(`position:${marketAddress}:${walletAddress}`, async () => {
+    const marketContract = new ethers.Contract(marketAddress, MARKET_ABI, provider);
+    return await marketContract.getUserBet(walletAddress);
+  });
+}
 
-**Step 2 of 5:** Enter Option A (first choice).
+async function getPotentialWinnings(marketAddress, betOnA, amountUnits) {
+  return await getCachedRPC(`winnings:${marketAddress}:${betOnA}:${amountUnits}`, async () => {
+    const marketContract = new ethers.Contract(marketAddress, MARKET_ABI, provider);
+    return await marketContract.calculatePotentialWinnings(betOnA, amountUnits);
+  });
+}
 
-Example: "Yes" or "Bitcoin reaches $100k"
+function formatUSDC(amountUnits) {
+  return parseFloat(ethers.formatUnits(amountUnits, 6)).toFixed(2);
+}
 
-Please type Option A:`);
-        break;
+function formatOdds(odds) {
+  return `${(Number(odds) * 100 / ODDS_PRECISION).toFixed(1)}%`;
+}
 
-      case 2: // Option A
-        if (text.length < 2 || text.length > 50) {
-          await safeSendMessage(chatId, '❌ Option A must be between 2-50 characters. Please try again:');
-          return;
-        }
-        session.optionA = text;
-        session.step = 3;
-        userSessions.set(chatId, session);
-        
-        await safeSendMessage(chatId, `✅ **Option A Set:** ${text}
+// bot.js - Part 5/10: Core Bot Commands and Handlers
 
-**Step 3 of 5:** Enter Option B (second choice).
+// START COMMAND - OPTIMIZED
+bot.onText(/\/start/, async (msg) => {
+  if (!await checkUserAccess(msg.chat.id, msg.from.id, 'command')) return;
 
-Example: "No" or "Bitcoin stays below $100k"
+  const chatId = msg.chat.id;
+  const userId = msg.from.id;
+  
+  try {
+    // Create user in background without waiting
+    getOrCreateUserOptimized(userId, msg.from.username)
+      .then(() => applyTimezoneHint(msg.from))
+      .catch(error => {
+        console.error('Background user creation error:', error);
+      });
 
-Please type Option B:`);
-        break;
+    const role = await getUserRole(userId);
+    const welcomeMessage = `🎯 **Welcome to Spredd Markets Bot!**
 
-      case 3: // Option B
-        if (text.length < 2 || text.length > 50) {
-          await safeSendMessage(chatId, '❌ Option B must be between 2-50 characters. Please try again:');
-          return;
-        }
-        session.optionB = text;
-        session.step = 4;
-        userSessions.set(chatId, session);
-        
-        await safeSendMessage(chatId, `✅ **Option B Set:** ${text}
+Hello ${msg.from.first_name || 'there'}! 
 
-**Step 4 of 5:** Set the market expiry date.
+This bot connects to Spredd Markets on Base blockchain:
+• Browse and bet on prediction markets with USDC
+• Create your own markets (3 USDC fee + ETH for gas)
+• Track your positions and winnings
+• Earn Forecast Points (FP) for trading
 
-You can use formats like:
-• "7 days" or "2 weeks"
-• "2024-12-31" 
-• "31/12/2024"
-• "January 15, 2025"
+**Network:** Base
+**Token:** USDC
+**Website:** ${WEBSITE_URL}
 
-Please enter the expiry date:`);
-        break;
+${role !== 'USER' ? `🔧 You have ${role} access. Use /admin for management.\n` : ''}
 
-      case 4: // Expiry Date
-        const parsedDate = parseUserDate(text);
-        if (!parsedDate) {
-          await safeSendMessage(chatId, `❌ Invalid date format or date must be in the future.
+Choose an option below to get started:`;
 
-Please try formats like:
-• "7 days" or "2 weeks"
-• "2024-12-31"
-• "31/12/2024"
+    await safeSendMessage(chatId, welcomeMessage, mainMenu);
 
-Please enter a valid expiry date:`);
-          return;
-        }
-        
-        session.expiry = parsedDate.toISOString();
-        session.step = 5;
-        userSessions.set(chatId, session);
-        
-        await safeSendMessage(chatId, `✅ **Expiry Set:** ${formatDateTime(session.expiry)}
+  } catch (error) {
+    console.error('Error in /start command:', error);
+    await safeSendMessage(chatId, '❌ Welcome! There was a minor setup issue, but you can still use the bot.', mainMenu);
+  }
+});
 
-**Step 5 of 5:** Upload an image (optional).
+// CALLBACK QUERY HANDLER
+bot.on('callback_query', async (query) => {
+  const chatId = query.message.chat.id;
+  const userId = query.from.id;
+  const data = query.data;
 
-You can:
-• Send an image now
-• Skip by selecting a category below
+  console.log(`📞 Callback received: ${data} from user ${userId}`);
 
-Choose a category for your market:`, {
-          reply_markup: { inline_keyboard: createCategoryButtons() }
-        });
-        break;
-    }
+  // Blocked and rate-limited users get the reason as a popup instead of a chat message
+  let blockMessage = null;
+  try {
+    blockMessage = await getAccessBlockMessage(userId) || getRateLimitMessage(userId, 'callback');
   } catch (error) {
-    console.error('Error in handleCreateMarketMessage:', error);
-    await safeSendMessage(chatId, '❌ Error processing your input. Please try again.');
+    console.error('❌ Failed to check user access:', error);
   }
-}
 
-// HANDLE PHOTO MESSAGES
-bot.on('photo', async (msg) => {
-  const chatId = msg.chat.id;
-  const session = userSessions.get(chatId);
-  
-  if (!session || session.action !== 'create_market' || session.step !== 5) {
-    return;
+  try {
+    await Promise.race([
+      bot.answerCallbackQuery(query.id, blockMessage ? { text: blockMessage, show_alert: true } : undefined),
+      new Promise((_, reject) => setTimeout(() => reject(new Error('Timeout')), 5000))
+    ]);
+  } catch (error) {
+    console.error('❌ Failed to answer callback query:', error);
   }
 
-  try {
-    const photo = msg.photo[msg.photo.length - 1];
-    const fileId = photo.file_id;
-    
-    session.image = fileId;
-    userSessions.set(chatId, session);
-    
-    await safeSendMessage(chatId, `✅ **Image Uploaded Successfully!**
+  if (blockMessage) return;
+  applyTimezoneHint(query.from);
 
-Now select a category for your market:`, {
-      reply_markup: { inline_keyboard: createCategoryButtons() }
-    });
-    
+  try {
+    await Promise.race([
+      handleCallbackWithTimeout(chatId, userId, data, query),
+      new Promise((_, reject) => setTimeout(() => reject(new Error('Handler timeout')), 30000))
+    ]);
   } catch (error) {
-    console.error('Error handling photo:', error);
-    await safeSendMessage(chatId, '❌ Error uploading image. You can continue without an image.');
+    console.error(`❌ Error processing callback ${data}:`, error);
+    
+    try {
+      await safeSendMessage(chatId, `❌ Operation timed out or failed. Please try again.\n\nError: ${error.message}`, {
+        reply_markup: {
+          inline_keyboard: [
+            [{ text: '⬅️ Back to Main Menu', callback_data: 'main_menu' }]
+          ]
+        }
+      });
+    } catch (sendError) {
+      console.error('❌ Failed to send error message:', sendError);
+    }
   }
 });
 
-// TAG SELECTION AND SKIP HANDLERS
-async function handleTagSelection(chatId, userId, data) {
-  try {
-    const session = userSessions.get(chatId);
-    if (!session || session.action !== 'create_market' || session.step !== 5) {
-      await safeSendMessage(chatId, '❌ Invalid session. Please start market creation again.');
-      return;
-    }
+// Bets and withdrawals can take longer than the callback timeout above, and a
+// "timed out" reply while the transaction is still in flight invites a retry that
+// sends it twice. Such handlers hand their work to this, which runs it detached;
+// the task reports its own result, this only catches what it did not.
+function runInBackground(chatId, label, task) {
+  task().catch(async error => {
+    console.error(`❌ Background ${label} failed:`, error);
+    try {
+      await safeSendMessage(chatId, `❌ Your ${label} could not be completed: ${error.message}
 
-    const tag = data.replace('tag_', '');
-    session.tags = tag;
-    session.step = 6;
-    userSessions.set(chatId, session);
+Check your wallet balance before trying again.`);
+    } catch (sendError) {
+      console.error('❌ Failed to send error message:', sendError);
+    }
+  });
+}
 
-    await showMarketSummary(chatId, session);
+// CALLBACK HANDLER ROUTER
+async function handleCallbackWithTimeout(chatId, userId, data, query) {
+  switch (data) {
+    case 'main_menu':
+      await handleMainMenu(chatId, query.message.message_id);
+      break;
+    case 'browse_markets':
+      await handleBrowseMarketsOptimized(chatId, userId);
+      break;
+    case 'create_market':
+      await handleCreateMarketOptimized(chatId, userId);
+      break;
+    case 'wallet_menu':
+      await handleWalletMenu(chatId, query.message.message_id);
+      break;
+    case 'my_positions':
+      await handleMyPositions(chatId, userId);
+      break;
+    case 'leaderboard':
+      await handleLeaderboard(chatId);
+      break;
+    case 'market_stats':
+      await handleMarketStats(chatId);
+      break;
+    case 'settings':
+      await userSessions.delete(chatId);
+      await handleSettingsMenu(chatId, userId, query.message.message_id);
+      break;
+    case 'modqueue':
+      await showModerationQueue(chatId, userId, query.message.message_id);
+      break;
+    case 'create_spredd_wallet':
+      await handleCreateSpreddWallet(chatId, userId);
+      break;
+    case 'check_balance':
+      await handleCheckBalance(chatId, userId);
+      break;
+    case 'deposit_address':
+      await handleDepositAddress(chatId, userId);
+      break;
+    case 'withdraw_funds':
+      await handleWithdrawFunds(chatId, userId);
+      break;
+    case 'confirm_create_market':
+      await handleConfirmCreateMarket(chatId, userId);
+      break;
+    case 'cancel_create_market':
+      await handleCancelCreateMarket(chatId);
+      break;
+    case 'spredd_wallet_info':
+      await handleSpreddWalletInfo(chatId);
+      break;
+    case 'skip_tags':
+      await handleSkipTags(chatId, userId);
+      break;
+    case 'fp_status':
+      await handleFPStatus(chatId);
+      break;
+    case 'bet_confirm':
+      await handleConfirmBet(chatId, userId);
+      break;
+    case 'bet_cancel':
+      await handleCancelBet(chatId);
+      break;
+    case 'claim_winnings':
+      await handleClaimWinnings(chatId, userId);
+      break;
+    case 'withdraw_usdc':
+      await handleWithdrawAsset(chatId, userId, 'usdc');
+      break;
+    case 'withdraw_eth':
+      await handleWithdrawAsset(chatId, userId, 'eth');
+      break;
+    case 'withdraw_max':
+      await handleWithdrawMax(chatId, userId);
+      break;
+    case 'withdraw_confirm':
+      await handleConfirmWithdraw(chatId, userId);
+      break;
+    case 'withdraw_cancel':
+      await handleCancelWithdraw(chatId);
+      break;
+    default:
+      if (data.startsWith('mkt_') || data.startsWith('market_')) {
+        await handleMarketActionOptimized(chatId, userId, data);
+      } else if (data.startsWith('mktr_')) {
+        await handleMarketActionOptimized(chatId, userId, data, query.message.message_id);
+      } else if (data.startsWith('brw_')) {
+        await handleBrowseMarketsOptimized(chatId, userId, parseBrowseState(data), query.message.message_id);
+      } else if (data.startsWith('brwc_')) {
+        await handleBrowseCategoryPicker(chatId, query.message.message_id, data);
+      } else if (data.startsWith('betamt_')) {
+        await handleQuickBetAmount(chatId, userId, data);
+      } else if (data.startsWith('bet_')) {
+        await handleBetAction(chatId, userId, data);
+      } else if (data.startsWith('claim_')) {
+        await handleClaimMarket(chatId, userId, data);
+      } else if (data.startsWith('rslv_')) {
+        await handleResolveMarketSelect(chatId, userId, data);
+      } else if (data.startsWith('rslvo_')) {
+        await handleResolveOutcomeSelect(chatId, userId, data);
+      } else if (data.startsWith('rslvc_')) {
+        await handleResolveConfirm(chatId, userId, data);
+      } else if (data.startsWith('txsu_') || data.startsWith('txcx_')) {
+        await handleReplaceTransaction(chatId, userId, data);
+      } else if (data.startsWith('bc_')) {
+        await handleBroadcastAction(chatId, userId, data);
+      } else if (data.startsWith('rpt_')) {
+        await handleReportMarket(chatId, data);
+      } else if (data.startsWith('rptr_')) {
+        await handleReportReason(chatId, userId, data);
+      } else if (data.startsWith('modq_')) {
+        await handleModerationReview(chatId, userId, decodeMarketRef(data.slice('modq_'.length)), query.message.message_id);
+      } else if (/^mod[hfnd]_/.test(data)) {
+        await handleModerationAction(chatId, userId, data, query.message.message_id);
+      } else if (data.startsWith('set_')) {
+        await handleSettingsAction(chatId, userId, data, query.message.message_id);
+      } else if (data.startsWith('tag_')) {
+        await handleTagSelection(chatId, userId, data);
+      } else {
+        await safeSendMessage(chatId, '❌ Unknown action. Please try again.', {
+          reply_markup: {
+            inline_keyboard: [
+              [{ text: '⬅️ Back to Main Menu', callback_data: 'main_menu' }]
+            ]
+          }
+        });
+      }
+      break;
+  }
+}
 
+// HANDLER FUNCTIONS
+async function handleMainMenu(chatId, messageId) {
+  try {
+    await safeEditMessage(chatId, messageId, '🎯 **Spredd Markets Bot**\n\nChoose an option:', mainMenu);
   } catch (error) {
-    console.error('Error in handleTagSelection:', error);
-    await safeSendMessage(chatId, '❌ Error selecting tag. Please try again.');
+    await safeSendMessage(chatId, '🎯 **Spredd Markets Bot**\n\nChoose an option:', mainMenu);
   }
 }
 
-async function handleSkipTags(chatId, userId) {
+async function handleWalletMenu(chatId, messageId) {
   try {
-    const session = userSessions.get(chatId);
-    if (!session || session.action !== 'create_market' || session.step !== 5) {
-      await safeSendMessage(chatId, '❌ Invalid session. Please start market creation again.');
-      return;
-    }
+    await safeEditMessage(chatId, messageId, '💰 **Spredd Wallet Management**\n\nManage your Spredd Wallet:', walletMenu);
+  } catch (error) {
+    await safeSendMessage(chatId, '💰 **Spredd Wallet Management**\n\nManage your Spredd Wallet:', walletMenu);
+  }
+}
 
-    session.tags = null;
-    session.step = 6;
-    userSessions.set(chatId, session);
+// bot.js - Part 6/10: Browse Markets and Create Market Handlers
 
-    await showMarketSummary(chatId, session);
+// BROWSE MARKETS HANDLER - PAGINATED WITH FILTERS, SORTING AND SEARCH
+// Browse state travels in callback data: brw_<page>_<sort>_<category>_<closed>_<search>
+// where category is an index into MARKET_CATEGORIES (or "x" for all) and the search
+// keywords themselves are kept in the session store under search:<chatId>.
+const BROWSE_PAGE_SIZE = 5;
+const BROWSE_SORTS = {
+  n: { label: 'Newest', column: 'createdAt', ascending: false },
+  e: { label: 'Ending Soon', column: 'expiry', ascending: true },
+  v: { label: 'Most Volume', column: 'totalVolume', ascending: false },
+  b: { label: 'Most Bettors', column: 'bettorCount', ascending: false }
+};
+const DEFAULT_BROWSE_STATE = { page: 0, sort: 'n', category: 'x', closed: '0', search: '0' };
+
+function encodeBrowseState(state) {
+  return `brw_${state.page}_${state.sort}_${state.category}_${state.closed}_${state.search}`;
+}
 
-  } catch (error) {
-    console.error('Error in handleSkipTags:', error);
-    await safeSendMessage(chatId, '❌ Error skipping tags. Please try again.');
-  }
+function parseBrowseState(data) {
+  const [, page, sort, category, closed, search] = data.split('_');
+  return {
+    page: Math.max(0, parseInt(page) || 0),
+    sort: BROWSE_SORTS[sort] ? sort : 'n',
+    category: MARKET_CATEGORIES[parseInt(category)] ? category : 'x',
+    closed: closed === '1' ? '1' : '0',
+    search: search === '1' ? '1' : '0'
+  };
 }
 
-// SHOW MARKET SUMMARY
-async function showMarketSummary(chatId, session) {
+// Escape LIKE wildcards so keywords match literally
+function escapeLikePattern(text) {
+  return text.replace(/[\\%_]/g, '\\$&');
+}
+
+async function handleBrowseMarketsOptimized(chatId, userId, browseState = DEFAULT_BROWSE_STATE, messageId = null) {
+  if (!await checkUserAccess(chatId, userId, 'browse')) return;
+
+  const state = { ...browseState };
+  const render = (text, options) => messageId
+    ? safeEditMessage(chatId, messageId, text, options)
+    : safeSendMessage(chatId, text, options);
+
   try {
-    const creationFee = await getMarketCreationFee();
-    
-    let summaryMessage = `📋 **Market Creation Summary**
+    const searchQuery = state.search === '1' ? await userSessions.get(`search:${chatId}`) : null;
+    if (!searchQuery) {
+      state.search = '0';
+    }
 
-**Question:** ${session.question}
-**Option A:** ${session.optionA}
-**Option B:** ${session.optionB}
-**Expires:** ${formatDateTime(session.expiry)}
-**Category:** ${session.tags || 'None'}
-**Image:** ${session.image ? '✅ Uploaded' : '❌ None'}
-
-**Cost:** ${creationFee} USDC + gas fees
+    const sort = BROWSE_SORTS[state.sort];
+    const category = state.category === 'x' ? null : MARKET_CATEGORIES[parseInt(state.category)];
+    const from = state.page * BROWSE_PAGE_SIZE;
 
-Ready to create this market?`;
+    console.log('🔍 Fetching markets:', { ...state, searchQuery });
 
-    const confirmButtons = [
-      [{ text: '✅ Create Market', callback_data: 'confirm_create_market' }],
-      [{ text: '❌ Cancel', callback_data: 'cancel_create_market' }],
-      [{ text: '⬅️ Main Menu', callback_data: 'main_menu' }]
-    ];
+    let query = supabaseAdmin
+      .from('Market')
+      .select('*', { count: 'exact' })
+      .not('isHidden', 'is', true);
 
-    if (session.image) {
-      try {
-        await bot.sendPhoto(chatId, session.image, {
-          caption: summaryMessage,
-          parse_mode: 'Markdown',
-          reply_markup: { inline_keyboard: confirmButtons }
-        });
-      } catch (imageError) {
-        console.error('Error sending summary with image:', imageError);
-        await safeSendMessage(chatId, summaryMessage, {
-          reply_markup: { inline_keyboard: confirmButtons }
-        });
-      }
-    } else {
-      await safeSendMessage(chatId, summaryMessage, {
-        reply_markup: { inline_keyboard: confirmButtons }
-      });
+    if (state.closed !== '1') {
+      query = query
+        .eq('isResolved', false)
+        .gt('expiry', new Date().toISOString());
     }
 
-  } catch (error) {
-    console.error('Error showing market summary:', error);
-    await safeSendMessage(chatId, '❌ Error showing summary. Please try again.');
-  }
-}
-
-// bot.js - Part 8/10: Market Confirmation and Betting Functions
-
-// CONFIRM CREATE MARKET
-async function handleConfirmCreateMarket(chatId, userId) {
-  try {
-    const session = userSessions.get(chatId);
-    if (!session || session.action !== 'create_market') {
-      await safeSendMessage(chatId, '❌ Invalid session.');
-      return;
+    if (category) {
+      query = query.eq('tags', category);
     }
 
-    const processingMsg = await safeSendMessage(chatId, '🔄 Creating market...\nThis may take 1-2 minutes.');
-
-    const user = await getOrCreateUserOptimized(userId);
-    const wallet = await getUserSpreddWallet(userId);
-    
-    if (!wallet) {
-      await safeEditMessage(chatId, processingMsg.message_id, '❌ Wallet not found.');
-      return;
+    if (searchQuery) {
+      for (const keyword of searchQuery.split(/\s+/).filter(Boolean)) {
+        query = query.ilike('question', `%${escapeLikePattern(keyword)}%`);
+      }
     }
 
-    // Calculate end time from ISO string
-    const endTime = Math.floor(new Date(session.expiry).getTime() / 1000);
-
-    try {
-      // Create wallet instance with private key
-      const userWallet = new ethers.Wallet(wallet.privateKey, provider);
-      const factoryWithSigner = factoryContract.connect(userWallet);
-
-      // Create market on blockchain
-      const createTx = await factoryWithSigner.createMarket(
-        session.question,
-        session.optionA,
-        session.optionB,
-        endTime
-      );
+    const { data: markets, count, error } = await query
+      .order('isFeatured', { ascending: false, nullsFirst: false })
+      .order(sort.column, { ascending: sort.ascending, nullsFirst: false })
+      .order('createdAt', { ascending: false })
+      .range(from, from + BROWSE_PAGE_SIZE - 1);
 
-      await safeEditMessage(chatId, processingMsg.message_id, '⏳ Transaction submitted. Waiting for confirmation...');
+    console.log('📊 Market query result:', { 
+      dataCount: markets?.length || 0, 
+      totalCount: count,
+      error: error ? error.message : 'none' 
+    });
 
-      const receipt = await createTx.wait();
+    if (error) {
+      console.error('❌ Database error details:', error);
       
-      // Extract market ID from transaction receipt
-      let marketId = `created_${Date.now()}`;
-      try {
-        const marketCreatedEvent = receipt.logs.find(log => {
-          try {
-            const decoded = factoryContract.interface.parseLog(log);
-            return decoded.name === 'MarketCreated';
-          } catch (e) {
-            return false;
-          }
-        });
-
-        if (marketCreatedEvent) {
-          const decoded = factoryContract.interface.parseLog(marketCreatedEvent);
-          marketId = decoded.args.marketId;
-        }
-      } catch (parseError) {
-        console.warn('Could not parse market ID from logs, using fallback');
-      }
-
-      // Save to database
-      const marketData = {
-        marketId: marketId,
-        question: session.question,
-        optionA: session.optionA,
-        optionB: session.optionB,
-        expiry: session.expiry,
-        creatorId: user.id,
-        isResolved: false,
-        outcome: null,
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString(),
-        image: session.image,
-        tags: session.tags
-      };
-
-      const { data: createdMarket, error: dbError } = await dbClient
-        .from('Market')
-        .insert([marketData])
-        .select()
-        .single();
-
-      if (dbError) {
-        console.error('Database error:', dbError);
-      }
-
-      userSessions.delete(chatId);
-
-      // Create outcomes after market creation
-      if (createdMarket) {
-        const outcomes = [
-          {
-            marketId: createdMarket.id,
-            outcome_title: session.optionA,
-            createdAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString()
-          },
-          {
-            marketId: createdMarket.id, 
-            outcome_title: session.optionB,
-            createdAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString()
-          }
-        ];
-
-        const { error: outcomeError } = await dbClient
-          .from('Outcome')
-          .insert(outcomes);
-
-        if (outcomeError) {
-          console.error('Error creating outcomes:', outcomeError);
-        }
+      // If we still get permission errors, try a basic health check
+      const { error: healthError } = await supabaseAdmin
+        .from('User')
+        .select('id')
+        .limit(1);
+        
+      if (healthError) {
+        console.error('❌ Database connection issue:', healthError);
+        await safeSendMessage(chatId, `❌ Database connection issue: ${healthError.message}\n\nPlease check your Supabase service role key configuration.`);
+        return;
       }
       
-      const successMessage = `🎉 **Market Created Successfully!**
+      await render(`🏪 **Browse Markets**
 
-**Question:** ${session.question}
-**Options:** ${session.optionA} vs ${session.optionB}
-**Expires:** ${formatDateTime(session.expiry)}
-**Category:** ${session.tags || 'None'}
-**Image:** ${session.image ? 'Included' : 'None'}
+❌ Error loading markets: ${error.message}
 
-**Market ID:** ${marketId}
-**Transaction:** ${createTx.hash}
+Database may be having permission issues. Please check:
 
-Your market is now live and available for betting!`;
+1. Supabase Service Role Key is correctly set
+2. RLS policies allow service role access
+3. Table permissions are configured
 
-      await safeEditMessage(chatId, processingMsg.message_id, successMessage, {
+Current status: Using service role key: ${process.env.SUPABASE_SERVICE_ROLE_KEY ? 'YES' : 'NO'}`, {
         reply_markup: {
           inline_keyboard: [
-            [{ text: '🏪 View Markets', callback_data: 'browse_markets' }],
-            [{ text: '➕ Create Another', callback_data: 'create_market' }],
+            [{ text: '🔄 Try Again', callback_data: encodeBrowseState(state) }],
             [{ text: '⬅️ Main Menu', callback_data: 'main_menu' }]
           ]
         }
       });
+      return;
+    }
 
-    } catch (blockchainError) {
-      console.error('Blockchain error:', blockchainError);
-      
-      let errorMessage = 'Unknown blockchain error';
-      if (blockchainError.message.includes('Week not active')) {
-        errorMessage = 'Market creation is temporarily disabled. The system may be updating.';
-      } else if (blockchainError.message.includes('insufficient funds')) {
-        errorMessage = 'Insufficient funds for gas fees or market creation fee.';
-      } else if (blockchainError.message.includes('reverted')) {
-        errorMessage = 'Transaction was rejected by the blockchain. Please try again.';
-      } else {
-        errorMessage = blockchainError.message;
-      }
+    const isDefaultView = !category && !searchQuery && state.closed !== '1';
 
-      userSessions.delete(chatId);
-      
-      await safeEditMessage(chatId, processingMsg.message_id, `❌ **Market Creation Failed**
+    if ((!markets || markets.length === 0) && state.page === 0 && isDefaultView) {
+      await render(`🏪 **Browse Markets**
 
-Error: ${errorMessage}
+No active markets found in the database.
 
-Your funds are safe. Please try again later or contact support if the issue persists.`, {
+This could mean:
+• No markets have been created yet
+• Markets exist but are resolved or expired
+• Database query returned empty results
+
+Be the first to create a market!`, {
         reply_markup: {
           inline_keyboard: [
-            [{ text: '🔄 Try Again', callback_data: 'create_market' }],
+            [{ text: '👁️ Show Closed Markets', callback_data: encodeBrowseState({ ...state, closed: '1' }) }],
+            [{ text: '➕ Create Market', callback_data: 'create_market' }],
             [{ text: '⬅️ Main Menu', callback_data: 'main_menu' }]
           ]
         }
       });
+      return;
+    }
+
+    // Get creator usernames in one query to avoid complex joins
+    const creatorIds = [...new Set((markets || []).map(market => market.creatorId).filter(Boolean))];
+    const creatorNames = new Map();
+    if (creatorIds.length > 0) {
+      const { data: creators, error: creatorError } = await supabaseAdmin
+        .from('User')
+        .select('id, username')
+        .in('id', creatorIds);
+
+      if (creatorError) {
+        console.warn('Could not fetch creator names:', creatorError);
+      }
+      for (const creator of creators || []) {
+        creatorNames.set(creator.id, creator.username);
+      }
+    }
+
+    const totalPages = Math.max(1, Math.ceil((count || 0) / BROWSE_PAGE_SIZE));
+
+    let marketText = `🏪 **Markets** (${count || 0} found) - Page ${state.page + 1}/${totalPages}\n`;
+    marketText += `**Sort:** ${sort.label} | **Category:** ${category || 'All'} | ${state.closed === '1' ? 'Including closed' : 'Active only'}\n`;
+    if (searchQuery) {
+      marketText += `**Search:** "${searchQuery}"\n`;
+    }
+    marketText += '\n';
+
+    const marketButtons = [];
+
+    if (!markets || markets.length === 0) {
+      marketText += 'No markets match these filters.\n';
+    }
+
+    const timezone = await getUserTimezone(userId);
+    (markets || []).forEach((market, i) => {
+      const number = from + i + 1;
+      const creatorName = creatorNames.get(market.creatorId) || 'Unknown';
+      const status = market.isResolved ? '✅ Resolved' : formatDateTime(market.expiry, timezone);
+
+      marketText += `**${number}.** ${market.isFeatured ? '⭐ ' : ''}${market.question.slice(0, 60)}${market.question.length > 60 ? '...' : ''}\n`;
+      marketText += `**Options:** ${market.optionA} vs ${market.optionB}\n`;
+      marketText += `**Creator:** ${creatorName}\n`;
+      if (market.totalVolume) {
+        marketText += `**Volume:** ${parseFloat(market.totalVolume).toFixed(2)} USDC (${market.bettorCount || 0} bettors)\n`;
+      }
+      marketText += `**Expires:** ${status}\n\n`;
+
+      marketButtons.push([{ 
+        text: `📊 Market ${number}`, 
+        callback_data: `mkt_${encodeMarketRef(market.id)}`
+      }]);
+    });
+
+    const navRow = [];
+    if (state.page > 0) {
+      navRow.push({ text: '⬅️ Previous', callback_data: encodeBrowseState({ ...state, page: state.page - 1 }) });
+    }
+    if (state.page + 1 < totalPages) {
+      navRow.push({ text: 'Next ➡️', callback_data: encodeBrowseState({ ...state, page: state.page + 1 }) });
+    }
+    if (navRow.length > 0) {
+      marketButtons.push(navRow);
+    }
+
+    const sortKeys = Object.keys(BROWSE_SORTS);
+    const nextSort = sortKeys[(sortKeys.indexOf(state.sort) + 1) % sortKeys.length];
+    marketButtons.push([
+      { text: `🔃 Sort: ${sort.label}`, callback_data: encodeBrowseState({ ...state, page: 0, sort: nextSort }) },
+      { text: `🏷️ ${category || 'Category'}`, callback_data: `brwc_${state.sort}_${state.closed}_${state.search}` }
+    ]);
+
+    const filterRow = [{
+      text: state.closed === '1' ? '🙈 Hide Closed' : '👁️ Show Closed',
+      callback_data: encodeBrowseState({ ...state, page: 0, closed: state.closed === '1' ? '0' : '1' })
+    }];
+    if (searchQuery) {
+      filterRow.push({ text: '✖️ Clear Search', callback_data: encodeBrowseState({ ...state, page: 0, search: '0' }) });
     }
+    marketButtons.push(filterRow);
+
+    marketButtons.push([
+      { text: '🔄 Refresh Markets', callback_data: encodeBrowseState(state) },
+      { text: '➕ Create Market', callback_data: 'create_market' }
+    ]);
+    marketButtons.push([{ text: '⬅️ Main Menu', callback_data: 'main_menu' }]);
+
+    await render(marketText, {
+      reply_markup: { inline_keyboard: marketButtons }
+    });
+
+    console.log('✅ Browse markets completed successfully');
 
   } catch (error) {
-    console.error('❌ Error creating market:', error);
-    userSessions.delete(chatId);
-    
-    await safeSendMessage(chatId, `❌ **Market Creation Failed**
+    console.error('❌ Critical error in handleBrowseMarketsOptimized:', error);
+    await safeSendMessage(chatId, `❌ Critical error: ${error.message}
 
-Error: ${error.message}
+This might be a configuration issue. Please check:
+1. Environment variables are set correctly
+2. Supabase service role key has proper permissions
+3. Database tables exist and are accessible
 
-Please try again later or contact support if the issue persists.`, {
+Error details: ${error.stack?.split('\n')[0] || 'Unknown'}`, {
       reply_markup: {
         inline_keyboard: [
-          [{ text: '🔄 Try Again', callback_data: 'create_market' }],
+          [{ text: '🔄 Try Again', callback_data: 'browse_markets' }],
           [{ text: '⬅️ Main Menu', callback_data: 'main_menu' }]
         ]
       }
@@ -1609,1147 +2771,6012 @@ Please try again later or contact support if the issue persists.`, {
   }
 }
 
-async function handleCancelCreateMarket(chatId) {
-  userSessions.delete(chatId);
-  await safeSendMessage(chatId, '❌ Market creation cancelled.', {
-    reply_markup: {
-      inline_keyboard: [
-        [{ text: '➕ Create Market', callback_data: 'create_market' }],
-        [{ text: '⬅️ Main Menu', callback_data: 'main_menu' }]
-      ]
+// BROWSE CATEGORY PICKER
+async function handleBrowseCategoryPicker(chatId, messageId, data) {
+  try {
+    const [, sort, closed, search] = data.split('_');
+    const state = parseBrowseState(`brw_0_${sort}_x_${closed}_${search}`);
+
+    const buttons = [];
+    for (let i = 0; i < MARKET_CATEGORIES.length; i += 2) {
+      const row = [{ text: MARKET_CATEGORIES[i], callback_data: encodeBrowseState({ ...state, category: String(i) }) }];
+      if (i + 1 < MARKET_CATEGORIES.length) {
+        row.push({ text: MARKET_CATEGORIES[i + 1], callback_data: encodeBrowseState({ ...state, category: String(i + 1) }) });
+      }
+      buttons.push(row);
     }
-  });
+    buttons.push([{ text: '🌐 All Categories', callback_data: encodeBrowseState(state) }]);
+
+    await safeEditMessage(chatId, messageId, '🏷️ **Filter by Category**\n\nChoose a category:', {
+      reply_markup: { inline_keyboard: buttons }
+    });
+
+  } catch (error) {
+    console.error('Error in handleBrowseCategoryPicker:', error);
+    await safeSendMessage(chatId, '❌ Error loading categories. Please try again.');
+  }
 }
 
-// BET ACTION HANDLER
-async function handleBetAction(chatId, userId, data) {
-  try {
-    const [, marketKey, option] = data.split('_');
-    const marketData = marketMappings.get(marketKey);
-    
-    if (!marketData) {
-      await safeSendMessage(chatId, '❌ Market not found. Please refresh the markets list.');
-      return;
-    }
+// CREATE MARKET HANDLER
+async function handleCreateMarketOptimized(chatId, userId) {
+  if (!await checkUserAccess(chatId, userId, 'create_market')) return;
 
+  try {
     const wallet = await getUserSpreddWallet(userId);
+    
     if (!wallet) {
-      await safeSendMessage(chatId, '❌ You need a Spredd Wallet to place bets.', {
+      await safeSendMessage(chatId, `➕ **Create Prediction Market**
+
+❌ You need a Spredd Wallet to create markets.
+
+A Spredd Wallet allows you to:
+• Create prediction markets (3 USDC fee)
+• Place bets with USDC
+• Manage your funds securely
+
+Create your wallet to get started!`, {
         reply_markup: {
           inline_keyboard: [
             [{ text: '🆕 Create Spredd Wallet', callback_data: 'create_spredd_wallet' }],
-            [{ text: '⬅️ Back', callback_data: `market_${marketKey.split('_')[1]}` }]
+            [{ text: '❓ Wallet Info', callback_data: 'spredd_wallet_info' }],
+            [{ text: '⬅️ Main Menu', callback_data: 'main_menu' }]
           ]
         }
       });
       return;
     }
 
-    const [usdcBalance, ethBalance] = await Promise.all([
+    const [usdcBalance, ethBalance, creationFee] = await Promise.all([
       getUSDCBalance(wallet.address),
-      getETHBalance(wallet.address)
+      getETHBalance(wallet.address),
+      getMarketCreationFee()
     ]);
 
-    const hasEnoughETH = parseFloat(ethBalance) > 0.001;
-    if (!hasEnoughETH) {
-      await safeSendMessage(chatId, `❌ **Insufficient ETH for Gas Fees**
+    const hasEnoughUSDC = parseFloat(usdcBalance) >= parseFloat(creationFee);
+    // A sponsored top-up is sent when the market is confirmed, not now
+    const hasEnoughETH = parseFloat(ethBalance) > GAS_DRIP_MIN_ETH ||
+      (hasEnoughUSDC && await canSponsorGas(userId, usdcBalance));
 
-You need at least 0.001 ETH for gas fees to place bets.
+    if (!hasEnoughUSDC || !hasEnoughETH) {
+      let errorMessage = `➕ **Create Prediction Market**
 
-**Your ETH Balance:** ${ethBalance} ETH
+❌ Insufficient funds to create a market.
+
+**Requirements:**
+• ${creationFee} USDC (creation fee)
+• 0.001+ ETH (gas fees)
 
-Please deposit ETH to your wallet and try again.`, {
+**Your Balance:**
+• ${usdcBalance} USDC ${hasEnoughUSDC ? '✅' : '❌'}
+• ${ethBalance} ETH ${hasEnoughETH ? '✅' : '❌'}
+
+Please fund your wallet. We'll message you as soon as your deposit arrives.`;
+
+      await rememberResumeAction(chatId, {
+        callback: 'create_market',
+        label: 'create your market',
+        buttonText: 'Continue Creating Market',
+        requiredUSDC: parseFloat(creationFee),
+        requiredETH: 0.001
+      });
+
+      await safeSendMessage(chatId, errorMessage, {
         reply_markup: {
           inline_keyboard: [
             [{ text: '📥 Get Deposit Address', callback_data: 'deposit_address' }],
             [{ text: '💰 Check Balance', callback_data: 'check_balance' }],
-            [{ text: '⬅️ Back', callback_data: `market_${marketKey.split('_')[1]}` }]
+            [{ text: '⬅️ Main Menu', callback_data: 'main_menu' }]
           ]
         }
       });
       return;
     }
 
-    if (parseFloat(usdcBalance) <= 0) {
-      await safeSendMessage(chatId, `❌ **No USDC Balance**
+    // Start market creation flow
+    await userSessions.set(chatId, {
+      action: 'create_market',
+      step: 1,
+      timestamp: Date.now()
+    });
 
-You need USDC to place bets.
+    await safeSendMessage(chatId, `➕ **Create Prediction Market**
 
-**Your USDC Balance:** ${usdcBalance} USDC
+✅ **Your Balance:**
+• ${usdcBalance} USDC ✅
+• ${ethBalance} ETH ✅
+
+**Market Creation Cost:** ${creationFee} USDC + gas fees
+
+**Step 1 of 5:** Enter your prediction question.
 
-Please deposit USDC to your wallet and try again.`, {
+Example: "Will Bitcoin reach $100,000 by end of 2024?"
+
+Please type your question:
+
+Send /cancel to abort.`);
+
+  } catch (error) {
+    console.error('Error in handleCreateMarketOptimized:', error);
+    await safeSendMessage(chatId, '❌ Error starting market creation. Please try again.');
+  }
+}
+
+// MARKET ACTION HANDLER
+async function handleMarketActionOptimized(chatId, userId, data, messageId = null) {
+  try {
+    // Legacy "market_<n>" buttons pointed at a per-process index and cannot be resolved;
+    // mktr_ is the Refresh button, which edits the detail card in place
+    const ref = data.startsWith('mkt_') ? data.slice('mkt_'.length) :
+      data.startsWith('mktr_') ? data.slice('mktr_'.length) : null;
+    const marketDbId = decodeMarketRef(ref);
+    const marketData = marketDbId ? await loadMarket(marketDbId) : null;
+    
+    if (!marketData) {
+      await safeSendMessage(chatId, '❌ Market not found. Please refresh the markets list.', {
         reply_markup: {
           inline_keyboard: [
-            [{ text: '📥 Get Deposit Address', callback_data: 'deposit_address' }],
-            [{ text: '💰 Check Balance', callback_data: 'check_balance' }],
-            [{ text: '⬅️ Back', callback_data: `market_${marketKey.split('_')[1]}` }]
+            [{ text: '🔄 Refresh Markets', callback_data: 'browse_markets' }],
+            [{ text: '⬅️ Main Menu', callback_data: 'main_menu' }]
           ]
         }
       });
       return;
     }
 
-    // Get the correct outcome ID for this market and option
-    const { data: outcomes } = await dbClient
-      .from('Outcome')
-      .select('id, outcome_title')
-      .eq('marketId', marketData.id);
+    const isExpired = isMarketExpired(marketData.expiry);
+    const timeLeft = formatDateTime(marketData.expiry, await getUserTimezone(userId));
 
-    const selectedOutcome = outcomes?.find(outcome => 
-      (option === 'A' && outcome.outcome_title === marketData.optionA) ||
-      (option === 'B' && outcome.outcome_title === marketData.optionB)
-    );
+    let marketMessage = `📊 **Market Details**
 
-    if (!selectedOutcome) {
-      await safeSendMessage(chatId, '❌ Error: Could not find outcome for this market.');
-      return;
+**Question:** ${marketData.question}
+
+**Options:**
+🅰️ ${marketData.optionA}
+🅱️ ${marketData.optionB}
+
+**Creator:** ${marketData.creator}
+**Market Code:** \`${marketData.ref}\`
+**Status:** ${isExpired ? '🔴 Expired' : '🟢 Active'}${marketData.isFeatured ? ' | ⭐ Featured' : ''}
+**Time Left:** ${timeLeft}
+${marketData.moderatorNote ? `\n📝 **Moderator Note:** ${marketData.moderatorNote}\n` : ''}
+${await formatLiveMarketData(marketData, userId)}
+
+${marketData.isHidden ? '🙈 This market has been hidden by moderators and no longer accepts bets.' :
+    isExpired ? '⚠️ This market has expired and no longer accepts bets.' : '💰 Place your bet on the outcome you believe will happen!'}`;
+
+    const buttons = [];
+    
+    if (!isExpired && !marketData.isHidden) {
+      buttons.push([
+        { text: `🅰️ Bet on ${marketData.optionA}`, callback_data: `bet_${marketData.ref}_A` },
+        { text: `🅱️ Bet on ${marketData.optionB}`, callback_data: `bet_${marketData.ref}_B` }
+      ]);
     }
     
-    userSessions.set(chatId, {
-      action: 'place_bet',
-      marketKey: marketKey,
-      marketData: marketData,
-      option: option,
-      optionName: selectedOutcome.outcome_title,
-      outcomeId: selectedOutcome.id,
-      timestamp: Date.now()
-    });
+    buttons.push([
+      { text: '🔄 Refresh', callback_data: `mktr_${marketData.ref}` },
+      { text: '🏪 All Markets', callback_data: 'browse_markets' }
+    ]);
+    if (roleAtLeast(await getUserRole(userId), COMMAND_PERMISSIONS.moderate_market)) {
+      buttons.push([{ text: '🛡️ Moderate', callback_data: `modq_${marketData.ref}` }]);
+    }
+    buttons.push([
+      { text: '🚩 Report', callback_data: `rpt_${marketData.ref}` },
+      { text: '⬅️ Main Menu', callback_data: 'main_menu' }
+    ]);
 
-    await safeSendMessage(chatId, `💰 **Place Your Bet**
+    const marketOptions = { reply_markup: { inline_keyboard: buttons } };
+    if (messageId) {
+      await safeEditMessage(chatId, messageId, marketMessage, marketOptions);
+    } else {
+      await safeSendMessage(chatId, marketMessage, marketOptions);
+    }
 
-**Market:** ${marketData.question}
-**Betting on:** ${option === 'A' ? marketData.optionA : marketData.optionB}
+  } catch (error) {
+    console.error('Error in handleMarketActionOptimized:', error);
+    await safeSendMessage(chatId, '❌ Error loading market details. Please try again.');
+  }
+}
 
-**Your USDC Balance:** ${usdcBalance} USDC
-**Your ETH Balance:** ${ethBalance} ETH ✅
+// Build the live on-chain section of the market detail card
+async function formatLiveMarketData(marketData, userId) {
+  if (!ethers.isHexString(marketData.marketId, 32)) {
+    return '📈 Live on-chain data is not available for this market.';
+  }
 
-Please enter your bet amount in USDC:
-(Example: 5, 10, 25)
+  try {
+    const live = await getOnChainMarketData(marketData.marketId);
+    const hasVolume = live.totalVolume > 0n;
+
+    let text = `📈 **Live Market Data**
+**Odds:** 🅰️ ${formatOdds(live.oddsA)} | 🅱️ ${formatOdds(live.oddsB)}
+**Volume:** ${formatUSDC(live.totalVolume)} USDC (🅰️ ${formatUSDC(live.volumeA)} | 🅱️ ${formatUSDC(live.volumeB)})
+**Bettors:** ${live.bettorCount}`;
+
+    if (hasVolume && live.marketAddress !== ethers.ZeroAddress) {
+      const [payoutA, payoutB] = await Promise.all([
+        getPotentialWinnings(live.marketAddress, true, PAYOUT_PREVIEW_AMOUNT),
+        getPotentialWinnings(live.marketAddress, false, PAYOUT_PREVIEW_AMOUNT)
+      ]);
+      text += `\n**${formatUSDC(PAYOUT_PREVIEW_AMOUNT)} USDC pays:** 🅰️ ~${formatUSDC(payoutA.potentialWinnings)} | 🅱️ ~${formatUSDC(payoutB.potentialWinnings)} USDC`;
+    }
 
-Send /cancel to abort.`);
+    const wallet = await getUserSpreddWallet(userId);
+    if (wallet && live.marketAddress !== ethers.ZeroAddress) {
+      const position = await getUserMarketPosition(live.marketAddress, wallet.address);
+      if (position.amountA > 0n || position.amountB > 0n) {
+        text += `\n\n🎯 **Your Position:** 🅰️ ${formatUSDC(position.amountA)} | 🅱️ ${formatUSDC(position.amountB)} USDC${position.claimed ? ' (claimed)' : ''}`;
+      }
+    }
 
+    return text;
   } catch (error) {
-    console.error('Error in handleBetAction:', error);
-    await safeSendMessage(chatId, '❌ Error initiating bet. Please try again.');
+    console.error('Error loading live market data:', error);
+    return '📈 Live on-chain data is temporarily unavailable.';
   }
 }
 
-// PLACE BET MESSAGE HANDLER
-async function handlePlaceBetMessage(chatId, userId, msg, session) {
-  const amount = parseFloat(msg.text.trim());
-  
-  if (!amount || amount <= 0 || amount > 1000000) {
-    await safeSendMessage(chatId, '❌ Invalid amount. Please enter a valid number between 0 and 1,000,000.');
+// bot.js - Part 7/10: Message Handlers and Market Creation Flow
+
+// MESSAGE HANDLER FOR TEXT INPUTS
+bot.on('message', async (msg) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id;
+
+  // Skip if it's a command or callback; commands check access themselves
+  if (msg.text?.startsWith('/') || (!msg.text && !msg.photo)) {
     return;
   }
 
-  const wallet = await getUserSpreddWallet(userId);
-  const usdcBalance = await getUSDCBalance(wallet.address);
-  
-  if (amount > parseFloat(usdcBalance)) {
-    await safeSendMessage(chatId, `❌ Insufficient balance. You have ${usdcBalance} USDC.`);
+  const session = await userSessions.get(chatId);
+
+  // Photos are only input for a broadcast; market images go through the photo handler
+  if (!session || (!msg.text && session.action !== 'broadcast')) {
     return;
   }
 
-  const processingMsg = await safeSendMessage(chatId, '🔄 Placing bet...\nThis may take 1-2 minutes.');
+  if (!await checkUserAccess(chatId, userId, 'message')) {
+    return;
+  }
+  applyTimezoneHint(msg.from);
 
   try {
-    // For now, simulate bet placement since blockchain integration has issues
-    const betTx = {
-      hash: `0x${Math.random().toString(16).substr(2, 64)}`,
-      wait: async () => ({ status: 1 })
-    };
+    // Handle different session types
+    switch (session.action) {
+      case 'create_market':
+        await handleCreateMarketMessage(chatId, userId, msg, session);
+        break;
+      case 'place_bet':
+        if (session.step === 'preview') {
+          await safeSendMessage(chatId, 'Please confirm or cancel the bet preview above, or send /cancel to abort.');
+          break;
+        }
+        await handlePlaceBetMessage(chatId, userId, msg, session);
+        break;
+      case 'withdraw':
+        await handleWithdrawMessage(chatId, userId, msg, session);
+        break;
+      case 'settings':
+        await handleSettingsMessage(chatId, userId, msg, session);
+        break;
+      case 'broadcast':
+        await handleBroadcastMessage(chatId, userId, msg, session);
+        break;
+      case 'report':
+        await handleReportMessage(chatId, userId, msg, session);
+        break;
+      case 'moderation_note':
+        await handleModerationNoteMessage(chatId, userId, msg, session);
+        break;
+      default:
+        // Unknown session type
+        await userSessions.delete(chatId);
+        break;
+    }
+  } catch (error) {
+    console.error('Error handling message:', error);
+    await userSessions.delete(chatId);
+    await safeSendMessage(chatId, '❌ An error occurred. Please try again.');
+  }
+});
 
-    await betTx.wait();
+// CREATE MARKET MESSAGE HANDLER
+async function handleCreateMarketMessage(chatId, userId, msg, session) {
+  const text = msg.text.trim();
 
-    // Save bet to database
-    const user = await getOrCreateUserOptimized(userId);
-    const betData = {
-      amount: amount,
-      userId: user.id,
-      outcomeId: session.outcomeId,
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString()
-    };
+  try {
+    switch (session.step) {
+      case 1: // Question
+        if (text.length < 10 || text.length > 200) {
+          await safeSendMessage(chatId, '❌ Question must be between 10-200 characters. Please try again:');
+          return;
+        }
+        session.question = text;
+        session.step = 2;
+        await userSessions.set(chatId, session);
+        
+        await safeSendMessage(chatId, `✅ **Question Set:** ${text}
 
-    const { error: betError } = await dbClient
-      .from('Trade')
-      .insert([betData]);
+**Step 2 of 5:** Enter Option A (first choice).
 
-    if (betError) {
-      console.error('Error saving bet to database:', betError);
-    }
+Example: "Yes" or "Bitcoin reaches $100k"
 
-    userSessions.delete(chatId);
+Please type Option A:`);
+        break;
 
-    await safeEditMessage(chatId, processingMsg.message_id, `🎉 **Bet Placed Successfully!**
+      case 2: // Option A
+        if (text.length < 2 || text.length > 50) {
+          await safeSendMessage(chatId, '❌ Option A must be between 2-50 characters. Please try again:');
+          return;
+        }
+        session.optionA = text;
+        session.step = 3;
+        await userSessions.set(chatId, session);
+        
+        await safeSendMessage(chatId, `✅ **Option A Set:** ${text}
 
-**Market:** ${session.marketData.question}
-**Your Bet:** ${amount} USDC on "${session.optionName}"
-**Transaction:** ${betTx.hash}
+**Step 3 of 5:** Enter Option B (second choice).
 
-Your bet is now active. You can track it in "My Positions".`, {
-      reply_markup: {
-        inline_keyboard: [
-          [{ text: '📊 My Positions', callback_data: 'my_positions' }],
-          [{ text: '🏪 Browse Markets', callback_data: 'browse_markets' }],
-          [{ text: '⬅️ Main Menu', callback_data: 'main_menu' }]
-        ]
-      }
-    });
+Example: "No" or "Bitcoin stays below $100k"
 
-  } catch (error) {
-    console.error('Error placing bet:', error);
-    userSessions.delete(chatId);
-    
-    await safeEditMessage(chatId, processingMsg.message_id, `❌ **Bet Failed**
+Please type Option B:`);
+        break;
 
-Error: ${error.message}
+      case 3: // Option B
+        if (text.length < 2 || text.length > 50) {
+          await safeSendMessage(chatId, '❌ Option B must be between 2-50 characters. Please try again:');
+          return;
+        }
+        session.optionB = text;
+        session.step = 4;
+        await userSessions.set(chatId, session);
+        
+        await safeSendMessage(chatId, `✅ **Option B Set:** ${text}
 
-Your funds are safe. Please try again later.`, {
-      reply_markup: {
-        inline_keyboard: [
-          [{ text: '🔄 Try Again', callback_data: `bet_${session.marketKey}_${session.option === 'A' ? 'A' : 'B'}` }],
-          [{ text: '⬅️ Back to Market', callback_data: session.marketKey }]
-        ]
-      }
-    });
-  }
-}
+**Step 4 of 5:** Set the market expiry date.
 
-// bot.js - Part 9/10: Wallet Functions and Statistics
+You can use formats like:
+• "7 days" or "2 weeks"
+• "2024-12-31" 
+• "31/12/2024 18:00"
+• "January 15, 2025"
 
-// MY POSITIONS HANDLER
-async function handleMyPositions(chatId, userId) {
-  try {
-    const user = await getOrCreateUserOptimized(userId);
-    
-    const { data: trades, error } = await dbClient
-      .from('Trade')
-      .select(`
-        *,
-        Outcome!inner(
-          marketId,
-          outcome_title,
-          Market!inner(
-            question,
-            optionA,
-            optionB,
-            isResolved,
-            outcome,
-            expiry
-          )
-        )
-      `)
-      .eq('userId', user.id)
-      .order('createdAt', { ascending: false })
-      .limit(10);
+Dates are in your timezone (${await getUserTimezone(userId)}). Add "UTC" or an offset like "+02:00" to use another.
 
-    if (error) {
-      console.error('Error fetching positions:', error);
-      await safeSendMessage(chatId, '❌ Error loading your positions. Please try again.');
-      return;
-    }
+Please enter the expiry date:`);
+        break;
 
-    if (!trades || trades.length === 0) {
-      await safeSendMessage(chatId, `📊 **My Positions**
+      case 4: // Expiry Date
+        const timezone = await getUserTimezone(userId);
+        const parsedDate = parseUserDate(text, timezone);
+        if (!parsedDate) {
+          await safeSendMessage(chatId, `❌ Invalid date format or date must be in the future.
 
-You haven't placed any bets yet.
+Please try formats like:
+• "7 days" or "2 weeks"
+• "2024-12-31"
+• "31/12/2024"
 
-Start by browsing markets and placing your first bet!`, {
-        reply_markup: {
-          inline_keyboard: [
-            [{ text: '🏪 Browse Markets', callback_data: 'browse_markets' }],
-            [{ text: '⬅️ Main Menu', callback_data: 'main_menu' }]
-          ]
+Please enter a valid expiry date:`);
+          return;
         }
-      });
-      return;
-    }
+        
+        session.expiry = parsedDate.toISOString();
+        session.timezone = timezone;
+        session.step = 5;
+        await userSessions.set(chatId, session);
+        
+        await safeSendMessage(chatId, `✅ **Expiry Set:** ${formatDateTime(session.expiry, session.timezone)}
 
-    let positionsText = `📊 **My Positions** (${trades.length} total)\n\n`;
-    
-    for (const trade of trades) {
-      const market = trade.Outcome.Market;
-      const option = trade.Outcome.outcome_title;
-      const status = market.isResolved ? 
-        (market.outcome === trade.outcomeId ? '✅ Won' : '❌ Lost') : 
-        '⏳ Active';
-      
-      positionsText += `**${market.question.slice(0, 50)}${market.question.length > 50 ? '...' : ''}**\n`;
-      positionsText += `Bet: ${trade.amount} USDC on "${option}"\n`;
-      positionsText += `Status: ${status}\n\n`;
-    }
+**Step 5 of 5:** Upload an image (optional).
 
-    await safeSendMessage(chatId, positionsText, {
-      reply_markup: {
-        inline_keyboard: [
-          [{ text: '🔄 Refresh Positions', callback_data: 'my_positions' }],
-          [{ text: '🏪 Browse Markets', callback_data: 'browse_markets' }],
-          [{ text: '⬅️ Main Menu', callback_data: 'main_menu' }]
-        ]
-      }
-    });
+You can:
+• Send an image now
+• Skip by selecting a category below
 
+Choose a category for your market:`, {
+          reply_markup: { inline_keyboard: createCategoryButtons() }
+        });
+        break;
+    }
   } catch (error) {
-    console.error('Error in handleMyPositions:', error);
-    await safeSendMessage(chatId, '❌ Error loading positions. Please try again.');
+    console.error('Error in handleCreateMarketMessage:', error);
+    await safeSendMessage(chatId, '❌ Error processing your input. Please try again.');
   }
 }
 
-// WALLET FUNCTIONS
-async function handleCreateSpreddWallet(chatId, userId) {
-  try {
-    const user = await getOrCreateUserOptimized(userId);
-    const existingWallet = await getUserSpreddWallet(userId);
-    
-    if (existingWallet) {
-      const [usdcBalance, ethBalance] = await Promise.all([
-        getUSDCBalance(existingWallet.address),
-        getETHBalance(existingWallet.address)
-      ]);
-      
-      await safeSendMessage(chatId, `You already have a Spredd Wallet!
-
-🏦 **Address:** ${existingWallet.address}
-💰 **USDC Balance:** ${usdcBalance} USDC
-⛽ **ETH Balance:** ${ethBalance} ETH
+// HANDLE PHOTO MESSAGES
+bot.on('photo', async (msg) => {
+  const chatId = msg.chat.id;
+  const session = await userSessions.get(chatId);
+  
+  if (!session || session.action !== 'create_market' || session.step !== 5) {
+    return;
+  }
 
-To add funds, send USDC and ETH (Base network) to the address above.`, {
-        reply_markup: {
-          inline_keyboard: [
-            [{ text: '📥 Get Deposit Address', callback_data: 'deposit_address' }],
-            [{ text: '⬅️ Back to Wallet', callback_data: 'wallet_menu' }]
-          ]
-        }
-      });
-      return;
-    }
+  if (!await checkUserAccess(chatId, msg.from.id, 'message')) return;
 
-    const wallet = await createSpreddWallet(user.id);
+  try {
+    const photo = msg.photo[msg.photo.length - 1];
+    const fileId = photo.file_id;
     
-    await safeSendMessage(chatId, `🎉 **Spredd Wallet Created Successfully!**
-
-🏦 **Address:** ${wallet.address}
-💰 **USDC Balance:** 0 USDC
-⛽ **ETH Balance:** 0 ETH
-
-⚠️ **IMPORTANT SECURITY NOTICE:**
-• This wallet is managed by the bot
-• Private key is encrypted and stored securely
-• For large amounts, consider using your own wallet
+    session.image = fileId;
+    await userSessions.set(chatId, session);
+    
+    await safeSendMessage(chatId, `✅ **Image Uploaded Successfully!**
 
-To start trading, send both USDC and ETH (Base network) to your address above.`, {
-      reply_markup: {
-        inline_keyboard: [
-          [{ text: '📥 Get Deposit Address', callback_data: 'deposit_address' }],
-          [{ text: '💰 Check Balance', callback_data: 'check_balance' }],
-          [{ text: '⬅️ Back to Wallet', callback_data: 'wallet_menu' }]
-        ]
-      }
+Now select a category for your market:`, {
+      reply_markup: { inline_keyboard: createCategoryButtons() }
     });
-
+    
   } catch (error) {
-    console.error('Error creating Spredd Wallet:', error);
-    await safeSendMessage(chatId, `❌ Error creating wallet: ${error.message || 'Unknown error'}`, {
-      reply_markup: {
-        inline_keyboard: [
-          [{ text: '🔄 Try Again', callback_data: 'create_spredd_wallet' }],
-          [{ text: '⬅️ Back to Wallet', callback_data: 'wallet_menu' }]
-        ]
-      }
-    });
+    console.error('Error handling photo:', error);
+    await safeSendMessage(chatId, '❌ Error uploading image. You can continue without an image.');
   }
-}
+});
 
-async function handleCheckBalance(chatId, userId) {
+// TAG SELECTION AND SKIP HANDLERS
+async function handleTagSelection(chatId, userId, data) {
   try {
-    const wallet = await getUserSpreddWallet(userId);
-    
-    if (!wallet) {
-      await safeSendMessage(chatId, '❌ You don\'t have a Spredd Wallet yet. Create one first!', {
-        reply_markup: {
-          inline_keyboard: [
-            [{ text: '🆕 Create Spredd Wallet', callback_data: 'create_spredd_wallet' }],
-            [{ text: '⬅️ Back to Wallet', callback_data: 'wallet_menu' }]
-          ]
-        }
-      });
+    const session = await userSessions.get(chatId);
+    if (!session || session.action !== 'create_market' || session.step !== 5) {
+      await safeSendMessage(chatId, '❌ Invalid session. Please start market creation again.');
       return;
     }
 
-    const [usdcBalance, ethBalance] = await Promise.all([
-      getUSDCBalance(wallet.address),
-      getETHBalance(wallet.address)
-    ]);
-    
-    const hasEnoughGas = parseFloat(ethBalance) > 0.001;
-    
-    await safeSendMessage(chatId, `💰 **Spredd Wallet Balance**
-
-🏦 **Address:** ${wallet.address}
-💰 **USDC Balance:** ${usdcBalance} USDC
-⛽ **ETH Balance:** ${ethBalance} ETH ${hasEnoughGas ? '✅' : '⚠️'}
-
-${!hasEnoughGas ? '⚠️ **WARNING: Low ETH balance!**\nYou need ETH for gas fees to create markets or place bets.\nSend at least 0.001 ETH to your wallet.\n' : ''}
+    const tag = data.replace('tag_', '');
+    session.tags = tag;
+    session.step = 6;
+    await userSessions.set(chatId, session);
 
-${parseFloat(usdcBalance) > 0 && hasEnoughGas ? '✅ Ready to trade!' : '⚠️ Fund your wallet to start trading'}`, {
-      reply_markup: {
-        inline_keyboard: [
-          [{ text: '📥 Get Deposit Address', callback_data: 'deposit_address' }],
-          [{ text: '🔄 Refresh Balance', callback_data: 'check_balance' }],
-          [{ text: '⬅️ Back to Wallet', callback_data: 'wallet_menu' }]
-        ]
-      }
-    });
+    await showMarketSummary(chatId, session);
 
   } catch (error) {
-    console.error('Error checking balance:', error);
-    await safeSendMessage(chatId, '❌ Error checking balance. Please try again later.');
+    console.error('Error in handleTagSelection:', error);
+    await safeSendMessage(chatId, '❌ Error selecting tag. Please try again.');
   }
 }
 
-async function handleDepositAddress(chatId, userId) {
+async function handleSkipTags(chatId, userId) {
   try {
-    const wallet = await getUserSpreddWallet(userId);
-    
-    if (!wallet) {
-      await safeSendMessage(chatId, '❌ You don\'t have a Spredd Wallet yet. Create one first!', {
-        reply_markup: {
-          inline_keyboard: [
-            [{ text: '🆕 Create Spredd Wallet', callback_data: 'create_spredd_wallet' }],
-            [{ text: '⬅️ Back to Wallet', callback_data: 'wallet_menu' }]
-          ]
-        }
-      });
+    const session = await userSessions.get(chatId);
+    if (!session || session.action !== 'create_market' || session.step !== 5) {
+      await safeSendMessage(chatId, '❌ Invalid session. Please start market creation again.');
       return;
     }
 
-    await safeSendMessage(chatId, `📥 **Deposit to your Spredd Wallet**
-
-🏦 **Your Address:**
-${wallet.address}
-
-⚠️ **IMPORTANT:**
-• Only send USDC and ETH on Base network
-• Sending other tokens or wrong network will result in loss
-• Minimum deposit: 1 USDC + 0.001 ETH
-
-🔗 **Base Network Details:**
-• Chain ID: 8453
-• RPC: https://mainnet.base.org
-• Block Explorer: basescan.org
+    session.tags = null;
+    session.step = 6;
+    await userSessions.set(chatId, session);
 
-💡 **Why you need both:**
-• USDC: For placing bets and creating markets
-• ETH: For gas fees (transaction costs)`, {
-      reply_markup: {
-        inline_keyboard: [
-          [{ text: '💰 Check Balance', callback_data: 'check_balance' }],
-          [{ text: '🏪 Browse Markets', callback_data: 'browse_markets' }],
-          [{ text: '⬅️ Back to Wallet', callback_data: 'wallet_menu' }]
-        ]
-      }
-    });
+    await showMarketSummary(chatId, session);
 
   } catch (error) {
-    console.error('Error getting deposit address:', error);
-    await safeSendMessage(chatId, '❌ Error getting deposit address. Please try again later.');
+    console.error('Error in handleSkipTags:', error);
+    await safeSendMessage(chatId, '❌ Error skipping tags. Please try again.');
   }
 }
 
-async function handleWithdrawFunds(chatId, userId) {
+// SHOW MARKET SUMMARY
+async function showMarketSummary(chatId, session) {
   try {
-    const wallet = await getUserSpreddWallet(userId);
+    const creationFee = await getMarketCreationFee();
     
-    if (!wallet) {
-      await safeSendMessage(chatId, '❌ You don\'t have a Spredd Wallet yet.', {
-        reply_markup: {
-          inline_keyboard: [
-            [{ text: '⬅️ Back to Wallet', callback_data: 'wallet_menu' }]
-          ]
-        }
-      });
-      return;
-    }
+    let summaryMessage = `📋 **Market Creation Summary**
 
-    const [usdcBalance, ethBalance] = await Promise.all([
-      getUSDCBalance(wallet.address),
-      getETHBalance(wallet.address)
-    ]);
-    
-    if (parseFloat(usdcBalance) <= 0 && parseFloat(ethBalance) <= 0) {
-      await safeSendMessage(chatId, '❌ No balance to withdraw.', {
-        reply_markup: {
-          inline_keyboard: [
-            [{ text: '📥 Get Deposit Address', callback_data: 'deposit_address' }],
-            [{ text: '⬅️ Back to Wallet', callback_data: 'wallet_menu' }]
-          ]
-        }
-      });
-      return;
-    }
-
-    userSessions.set(chatId, {
-      action: 'withdraw',
-      usdcBalance: usdcBalance,
-      ethBalance: ethBalance,
-      timestamp: Date.now()
-    });
-
-    await safeSendMessage(chatId, `💸 **Withdraw Funds**
+**Question:** ${session.question}
+**Option A:** ${session.optionA}
+**Option B:** ${session.optionB}
+**Expires:** ${formatDateTime(session.expiry, session.timezone)}
+**Category:** ${session.tags || 'None'}
+**Image:** ${session.image ? '✅ Uploaded' : '❌ None'}
 
-💰 **Available Balances:**
-• USDC: ${usdcBalance} USDC
-• ETH: ${ethBalance} ETH
+**Cost:** ${creationFee} USDC + gas fees
 
-Please send the withdrawal address (Base network):
+Ready to create this market?`;
 
-⚠️ **WARNING:**
-• Double-check the address is correct
-• Only Base network addresses supported
-• Transaction cannot be reversed
+    const confirmButtons = [
+      [{ text: '✅ Create Market', callback_data: 'confirm_create_market' }],
+      [{ text: '❌ Cancel', callback_data: 'cancel_create_market' }],
+      [{ text: '⬅️ Main Menu', callback_data: 'main_menu' }]
+    ];
 
-Send the address or use /cancel to abort.`);
+    if (session.image) {
+      try {
+        await bot.sendPhoto(chatId, session.image, {
+          caption: summaryMessage,
+          parse_mode: 'Markdown',
+          reply_markup: { inline_keyboard: confirmButtons }
+        });
+      } catch (imageError) {
+        console.error('Error sending summary with image:', imageError);
+        await safeSendMessage(chatId, summaryMessage, {
+          reply_markup: { inline_keyboard: confirmButtons }
+        });
+      }
+    } else {
+      await safeSendMessage(chatId, summaryMessage, {
+        reply_markup: { inline_keyboard: confirmButtons }
+      });
+    }
 
   } catch (error) {
-    console.error('Error initiating withdrawal:', error);
-    await safeSendMessage(chatId, '❌ Error initiating withdrawal. Please try again later.');
+    console.error('Error showing market summary:', error);
+    await safeSendMessage(chatId, '❌ Error showing summary. Please try again.');
   }
 }
 
-// WITHDRAW MESSAGE HANDLER
-async function handleWithdrawMessage(chatId, userId, msg, session) {
-  const address = msg.text.trim();
-  
-  if (!ethers.isAddress(address)) {
-    await safeSendMessage(chatId, '❌ Invalid address. Please enter a valid Base network address.');
+// bot.js - Part 8/10: Market Confirmation and Betting Functions
+
+// CONFIRM CREATE MARKET
+async function handleConfirmCreateMarket(chatId, userId) {
+  // Take the session so a double tap cannot create the market twice
+  const session = await userSessions.take(chatId);
+  if (!session || session.action !== 'create_market') {
+    await safeSendMessage(chatId, '❌ Invalid session.');
     return;
   }
 
-  await safeSendMessage(chatId, `💸 **Confirm Withdrawal**
-
-**To Address:** ${address}
-**Available USDC:** ${session.usdcBalance} USDC
-**Available ETH:** ${session.ethBalance} ETH
-
-Which asset would you like to withdraw?`, {
-    reply_markup: {
-      inline_keyboard: [
-        [
-          { text: '💰 Withdraw USDC', callback_data: `withdraw_usdc_${address}` },
-          { text: '⛽ Withdraw ETH', callback_data: `withdraw_eth_${address}` }
-        ],
-        [{ text: '❌ Cancel', callback_data: 'wallet_menu' }]
-      ]
-    }
-  });
+  runInBackground(chatId, 'market creation', () => createMarketFromSession(chatId, userId, session));
 }
 
-// LEADERBOARD HANDLER
-async function handleLeaderboard(chatId) {
+async function createMarketFromSession(chatId, userId, session) {
   try {
-    const { data: topUsers, error } = await dbClient
-      .from('Trade')
-      .select(`
-        userId,
-        User!inner(username),
-        amount
-      `)
-      .order('amount', { ascending: false })
-      .limit(10);
+    const processingMsg = await safeSendMessage(chatId, '🔄 Creating market...\nThis may take 1-2 minutes.');
 
-    if (error) {
-      console.error('Error fetching leaderboard:', error);
-      await safeSendMessage(chatId, '❌ Error loading leaderboard. Please try again.');
+    const user = await getOrCreateUserOptimized(userId);
+    const wallet = await getUserSpreddWallet(userId);
+    
+    if (!wallet) {
+      await safeEditMessage(chatId, processingMsg.message_id, '❌ Wallet not found.');
       return;
     }
 
-    const userTotals = {};
-    for (const trade of topUsers || []) {
-      const userId = trade.userId;
-      if (!userTotals[userId]) {
-        userTotals[userId] = {
-          username: trade.User.username,
-          total: 0
-        };
-      }
-      userTotals[userId].total += parseFloat(trade.amount);
-    }
+    // Calculate end time from ISO string
+    const endTime = Math.floor(new Date(session.expiry).getTime() / 1000);
 
-    const sortedUsers = Object.entries(userTotals)
-      .sort(([,a], [,b]) => b.total - a.total)
-      .slice(0, 10);
+    try {
+      // Create wallet instance with private key
+      const userWallet = new ethers.Wallet(wallet.privateKey, provider);
 
-    let leaderboardText = `🏆 **Leaderboard** - Top Traders\n\n`;
-    
-    if (sortedUsers.length === 0) {
-      leaderboardText += 'No bets placed yet. Be the first!';
-    } else {
-      sortedUsers.forEach(([userId, data], index) => {
-        const medal = index === 0 ? '🥇' : index === 1 ? '🥈' : index === 2 ? '🥉' : `${index + 1}.`;
-        leaderboardText += `${medal} ${data.username}: ${data.total.toFixed(2)} USDC\n`;
+      await maybeSponsorGas(chatId, userId, wallet.address);
+
+      const outboxEntry = await createOutboxEntry('create_market', userId, wallet.address, {
+        question: session.question,
+        optionA: session.optionA,
+        optionB: session.optionB,
+        expiry: session.expiry,
+        creatorId: user.id,
+        image: session.image,
+        tags: session.tags
       });
-    }
 
-    await safeSendMessage(chatId, leaderboardText, {
-      reply_markup: {
-        inline_keyboard: [
-          [{ text: '🔄 Refresh Leaderboard', callback_data: 'leaderboard' }],
-          [{ text: '📊 My Positions', callback_data: 'my_positions' }],
-          [{ text: '⬅️ Main Menu', callback_data: 'main_menu' }]
-        ]
+      // Create market on blockchain
+      const { receipt } = await sendOutboxTransaction(
+        outboxEntry,
+        async () => sendWalletTransaction(
+          userWallet,
+          await factoryContract.createMarket.populateTransaction(session.question, session.optionA, session.optionB, endTime),
+          { telegramId: userId, chatId, label: 'market creation' }
+        ),
+        () => safeEditMessage(chatId, processingMsg.message_id, '⏳ Transaction submitted. Waiting for confirmation...')
+      );
+
+      // Save to database; if this fails the outbox worker retries it
+      let marketId = 'Pending';
+      let savedToDatabase = true;
+      try {
+        ({ marketId } = await persistOutboxEntry(outboxEntry, receipt));
+      } catch (persistError) {
+        console.error('Error saving market to database:', persistError);
+        savedToDatabase = false;
       }
-    });
 
-  } catch (error) {
-    console.error('Error in handleLeaderboard:', error);
-    await safeSendMessage(chatId, '❌ Error loading leaderboard. Please try again.');
-  }
-}
+      const successMessage = `🎉 **Market Created Successfully!**
 
-// bot.js - Part 10/10: Statistics, Admin Commands, and System Setup
+**Question:** ${session.question}
+**Options:** ${session.optionA} vs ${session.optionB}
+**Expires:** ${formatDateTime(session.expiry, session.timezone)}
+**Category:** ${session.tags || 'None'}
+**Image:** ${session.image ? 'Included' : 'None'}
 
-// MARKET STATS HANDLER
-async function handleMarketStats(chatId) {
-  try {
-    const { data: marketCount } = await supabaseAdmin
-      .from('Market')
-      .select('id', { count: 'exact', head: true });
+**Market ID:** ${marketId}
+**Transaction:** ${receipt.hash}
 
-    const { data: activeMarkets } = await supabaseAdmin
-      .from('Market')
-      .select('id', { count: 'exact', head: true })
-      .eq('isResolved', false);
+${savedToDatabase
+    ? 'Your market is now live and available for betting!'
+    : 'Your market is live on-chain and will appear in the market list within a few minutes.'}`;
 
-    const { data: totalTrades } = await supabaseAdmin
-      .from('Trade')
-      .select('amount');
+      await safeEditMessage(chatId, processingMsg.message_id, successMessage, {
+        reply_markup: {
+          inline_keyboard: [
+            [{ text: '🏪 View Markets', callback_data: 'browse_markets' }],
+            [{ text: '➕ Create Another', callback_data: 'create_market' }],
+            [{ text: '⬅️ Main Menu', callback_data: 'main_menu' }]
+          ]
+        }
+      });
 
-    const totalVolume = totalTrades?.reduce((sum, trade) => sum + parseFloat(trade.amount || 0), 0) || 0;
-    const avgBetSize = totalTrades?.length ? (totalVolume / totalTrades.length).toFixed(2) : 0;
+    } catch (blockchainError) {
+      console.error('Blockchain error:', blockchainError);
 
-    const fpStatus = await getFPManagerWeekStatus();
+      if (blockchainError.code === 'TRANSACTION_PENDING') {
+        await safeEditMessage(chatId, processingMsg.message_id, `⏳ **Market Creation Pending**
 
-    let statsText = `📈 **Market Statistics**
+Your market was submitted but its confirmation could not be checked yet.
 
-**Total Markets:** ${marketCount?.count || 0}
-**Active Markets:** ${activeMarkets?.count || 0}
-**Total Trades:** ${totalTrades?.length || 0}
-**Total Volume:** ${totalVolume.toFixed(2)} USDC
-**Average Bet:** ${avgBetSize} USDC
+**Transaction:** ${blockchainError.txHash}
 
-**Network:** Base Mainnet
-**Factory:** ${SPREDD_FACTORY_ADDRESS}
+It will appear in the market list once it confirms. Check there before creating it again.`, {
+          reply_markup: {
+            inline_keyboard: [
+              [{ text: '🏪 View Markets', callback_data: 'browse_markets' }],
+              [{ text: '⬅️ Main Menu', callback_data: 'main_menu' }]
+            ]
+          }
+        });
+        return;
+      }
 
-`;
+      let errorMessage = 'Unknown blockchain error';
+      if (blockchainError.message.includes('Week not active')) {
+        errorMessage = 'Market creation is temporarily disabled. The system may be updating.';
+      } else if (blockchainError.message.includes('insufficient funds')) {
+        errorMessage = 'Insufficient funds for gas fees or market creation fee.';
+      } else if (blockchainError.code === 'TRANSACTION_REPLACED') {
+        errorMessage = 'The transaction was cancelled.';
+      } else if (blockchainError.message.includes('reverted')) {
+        errorMessage = 'Transaction was rejected by the blockchain. Please try again.';
+      } else {
+        errorMessage = blockchainError.message;
+      }
+      
+      await safeEditMessage(chatId, processingMsg.message_id, `❌ **Market Creation Failed**
 
-    if (fpStatus) {
-      const statusText = fpStatus.weekStatus === 0 ? 'Active' : 
-                       fpStatus.weekStatus === 1 ? 'Pending' : 'Finalized';
-      statsText += `**FP Manager Status:**
-Week ${fpStatus.currentWeek}: ${statusText}
-Reward Pool: ${fpStatus.currentRewardPool} USDC`;
+Error: ${errorMessage}
+
+Your funds are safe. Please try again later or contact support if the issue persists.`, {
+        reply_markup: {
+          inline_keyboard: [
+            [{ text: '🔄 Try Again', callback_data: 'create_market' }],
+            [{ text: '⬅️ Main Menu', callback_data: 'main_menu' }]
+          ]
+        }
+      });
     }
 
-    await safeSendMessage(chatId, statsText, {
+  } catch (error) {
+    console.error('❌ Error creating market:', error);
+    
+    await safeSendMessage(chatId, `❌ **Market Creation Failed**
+
+Error: ${error.message}
+
+Please try again later or contact support if the issue persists.`, {
       reply_markup: {
         inline_keyboard: [
-          [{ text: '🔄 Refresh Stats', callback_data: 'market_stats' }],
-          [{ text: '🏆 FP Status', callback_data: 'fp_status' }],
-          [{ text: '🏪 Browse Markets', callback_data: 'browse_markets' }],
+          [{ text: '🔄 Try Again', callback_data: 'create_market' }],
           [{ text: '⬅️ Main Menu', callback_data: 'main_menu' }]
         ]
       }
     });
-
-  } catch (error) {
-    console.error('Error in handleMarketStats:', error);
-    await safeSendMessage(chatId, '❌ Error loading market stats. Please try again.');
   }
 }
 
-// FP STATUS HANDLER
-async function handleFPStatus(chatId) {
-  try {
-    const fpStatus = await getFPManagerWeekStatus();
-    const pendingWeeks = await getPendingWeeks();
-
-    if (!fpStatus) {
-      await safeSendMessage(chatId, '❌ Could not fetch FP Manager status. The system may be updating.');
-      return;
+async function handleCancelCreateMarket(chatId) {
+  await userSessions.delete(chatId);
+  await safeSendMessage(chatId, '❌ Market creation cancelled.', {
+    reply_markup: {
+      inline_keyboard: [
+        [{ text: '➕ Create Market', callback_data: 'create_market' }],
+        [{ text: '⬅️ Main Menu', callback_data: 'main_menu' }]
+      ]
     }
+  });
+}
 
-    const statusEmoji = fpStatus.weekStatus === 0 ? '🟢' : 
-                       fpStatus.weekStatus === 1 ? '🟡' : '🔴';
-    const statusText = fpStatus.weekStatus === 0 ? 'Active - Earning FP' : 
-                      fpStatus.weekStatus === 1 ? 'Pending Finalization' : 'Finalized';
+// BET ACTION HANDLER
+const QUICK_BET_AMOUNTS = [1, 5, 10, 25];
 
-    let fpMessage = `🏆 **Forecast Points (FP) Status**
+async function handleBetAction(chatId, userId, data) {
+  try {
+    // Callback data is bet_<marketRef>_<A|B>; refs may themselves contain "_"
+    const marketRef = data.slice('bet_'.length, data.lastIndexOf('_'));
+    const option = data.slice(data.lastIndexOf('_') + 1);
 
-${statusEmoji} **Week ${fpStatus.currentWeek}:** ${statusText}
-💰 **Current Reward Pool:** ${fpStatus.currentRewardPool} USDC
+    const betSession = await prepareBetSession(chatId, userId, marketRef, option);
+    if (!betSession) return;
 
-**How to Earn FP:**
-• Create prediction markets (+FP for creators)
-• Place bets on markets (+FP for traders)  
-• Top performers share weekly rewards
+    await userSessions.set(chatId, betSession.session);
 
-`;
+    const quickAmounts = QUICK_BET_AMOUNTS
+      .filter(amount => amount <= parseFloat(betSession.usdcBalance))
+      .map(amount => ({ text: `${amount} USDC`, callback_data: `betamt_${amount}` }));
 
-    if (pendingWeeks.weeks.length > 0) {
-      fpMessage += `**Pending Weeks:** ${pendingWeeks.weeks.length}\n`;
-      fpMessage += `**Total Pending Rewards:** ${pendingWeeks.rewardPools.reduce((a,b) => parseFloat(a) + parseFloat(b), 0).toFixed(2)} USDC\n`;
+    const amountButtons = [];
+    if (quickAmounts.length > 0) {
+      amountButtons.push(quickAmounts);
     }
+    amountButtons.push([{ text: `🔝 Max (${parseFloat(betSession.usdcBalance).toFixed(2)} USDC)`, callback_data: 'betamt_max' }]);
+    amountButtons.push([{ text: '❌ Cancel', callback_data: 'bet_cancel' }]);
 
-    fpMessage += `\n**Contract:** ${FP_MANAGER_ADDRESS}`;
+    await safeSendMessage(chatId, `💰 **Place Your Bet**
 
-    await safeSendMessage(chatId, fpMessage, {
+**Market:** ${betSession.marketData.question}
+**Betting on:** ${betSession.session.optionName}
+
+**Your USDC Balance:** ${betSession.usdcBalance} USDC
+**Your ETH Balance:** ${betSession.ethBalance} ETH ✅
+
+Tap an amount or type your bet amount in USDC:
+(Example: 5, 10, 25)
+
+Send /cancel to abort.`, {
+      reply_markup: { inline_keyboard: amountButtons }
+    });
+
+  } catch (error) {
+    console.error('Error in handleBetAction:', error);
+    await safeSendMessage(chatId, '❌ Error initiating bet. Please try again.');
+  }
+}
+
+// Validate a market, option and the user's wallet funding for a bet, and build the
+// place_bet session. Sends the relevant error message and returns null on failure.
+async function prepareBetSession(chatId, userId, marketRef, option) {
+  const marketDbId = decodeMarketRef(marketRef);
+  const marketData = marketDbId && ['A', 'B'].includes(option) ? await loadMarket(marketDbId) : null;
+  
+  if (!marketData) {
+    await safeSendMessage(chatId, '❌ Market not found. Please refresh the markets list.', {
       reply_markup: {
         inline_keyboard: [
-          [{ text: '🔄 Refresh FP Status', callback_data: 'fp_status' }],
-          [{ text: '📈 Market Stats', callback_data: 'market_stats' }],
-          [{ text: '🏪 Start Earning', callback_data: 'browse_markets' }],
+          [{ text: '🔄 Refresh Markets', callback_data: 'browse_markets' }],
           [{ text: '⬅️ Main Menu', callback_data: 'main_menu' }]
         ]
       }
     });
-
-  } catch (error) {
-    console.error('Error in handleFPStatus:', error);
-    await safeSendMessage(chatId, '❌ Error loading FP status. Please try again.');
+    return null;
   }
-}
-
-// WALLET INFO HANDLER
-async function handleSpreddWalletInfo(chatId) {
-  await safeSendMessage(chatId, `❓ **About Spredd Wallets**
 
-**What is a Spredd Wallet?**
-A managed wallet created and secured by this bot for easy interaction with Spredd Markets.
+  if (marketData.isResolved || marketData.isHidden || isMarketExpired(marketData.expiry)) {
+    await safeSendMessage(chatId, '❌ This market is no longer accepting bets.', {
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: '⬅️ Back', callback_data: `mkt_${marketRef}` }]
+        ]
+      }
+    });
+    return null;
+  }
 
-**Key Features:**
-• Automatically created and managed
-• Private keys encrypted and stored securely
-• Instant market interactions
-• No manual transaction signing needed
+  const wallet = await getUserSpreddWallet(userId);
+  if (!wallet) {
+    await safeSendMessage(chatId, '❌ You need a Spredd Wallet to place bets.', {
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: '🆕 Create Spredd Wallet', callback_data: 'create_spredd_wallet' }],
+          [{ text: '⬅️ Back', callback_data: `mkt_${marketRef}` }]
+        ]
+      }
+    });
+    return null;
+  }
 
-**Security Notes:**
-• Private keys are encrypted with industry-standard methods
-• Bot operators cannot access your funds maliciously
-• For large amounts, consider using your own wallet
-• Always verify transactions before confirming
+  const [usdcBalance, ethBalance] = await Promise.all([
+    getUSDCBalance(wallet.address),
+    getETHBalance(wallet.address)
+  ]);
+
+  const hasUSDC = parseFloat(usdcBalance) > 0;
+  // A sponsored top-up is sent when the bet is confirmed, not now
+  const hasEnoughETH = parseFloat(ethBalance) > GAS_DRIP_MIN_ETH ||
+    (hasUSDC && await canSponsorGas(userId, usdcBalance));
+
+  if (!hasEnoughETH || !hasUSDC) {
+    await rememberResumeAction(chatId, {
+      callback: `bet_${marketRef}_${option}`,
+      label: 'place your bet',
+      buttonText: 'Continue Your Bet',
+      requiredUSDC: 1,
+      requiredETH: 0.001
+    });
+  }
 
-**Supported Assets:**
-• USDC (for betting and market creation)
-• ETH (for gas fees)
-• Base network only
+  if (!hasEnoughETH) {
+    await safeSendMessage(chatId, `❌ **Insufficient ETH for Gas Fees**
 
-**Need Help?**
-Contact support if you experience any issues with your Spredd Wallet.`, {
-    reply_markup: {
-      inline_keyboard: [
-        [{ text: '💰 Check My Balance', callback_data: 'check_balance' }],
-        [{ text: '⬅️ Back to Wallet', callback_data: 'wallet_menu' }]
-      ]
-    }
-  });
-}
+You need at least 0.001 ETH for gas fees to place bets.
 
-// HELP COMMAND
-bot.onText(/\/help/, async (msg) => {
-  const chatId = msg.chat.id;
-  
-  const helpMessage = `🤖 **Spredd Markets Bot Help**
+**Your ETH Balance:** ${ethBalance} ETH
 
-**Commands:**
-/start - Start the bot and show main menu
-/help - Show this help message
-/menu - Show main menu
-/cancel - Cancel current operation
+Please deposit ETH to your wallet. We'll message you as soon as it arrives.`, {
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: '📥 Get Deposit Address', callback_data: 'deposit_address' }],
+          [{ text: '💰 Check Balance', callback_data: 'check_balance' }],
+          [{ text: '⬅️ Back', callback_data: `mkt_${marketRef}` }]
+        ]
+      }
+    });
+    return null;
+  }
 
-**Features:**
-🏪 Browse Markets - View active prediction markets
-➕ Create Market - Create your own prediction market
-💰 Wallet - Manage your Spredd wallet  
-📊 Positions - View your betting positions
-🏆 Leaderboard - See top traders
-📈 Stats - View market statistics
+  if (!hasUSDC) {
+    await safeSendMessage(chatId, `❌ **No USDC Balance**
 
-**Market Creation Process:**
-1. Enter your question
-2. Define Option A and Option B
-3. Set expiry date/time
-4. Upload image (optional)
-5. Select category tags
-6. Confirm and create
+You need USDC to place bets.
 
-**Betting:**
-• Requires Spredd Wallet with USDC + ETH
-• Place bets on market outcomes
-• Track positions in real-time
-• Earn Forecast Points (FP)
+**Your USDC Balance:** ${usdcBalance} USDC
 
-**Need Help?**
-Visit: ${WEBSITE_URL}
+Please deposit USDC to your wallet. We'll message you as soon as it arrives.`, {
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: '📥 Get Deposit Address', callback_data: 'deposit_address' }],
+          [{ text: '💰 Check Balance', callback_data: 'check_balance' }],
+          [{ text: '⬅️ Back', callback_data: `mkt_${marketRef}` }]
+        ]
+      }
+    });
+    return null;
+  }
 
-**Contract Addresses (Base):**
-Factory: ${SPREDD_FACTORY_ADDRESS}
-USDC: ${USDC_ADDRESS}
-FP Manager: ${FP_MANAGER_ADDRESS}`;
+  // Get the correct outcome ID for this market and option
+  const { data: outcomes } = await dbClient
+    .from('Outcome')
+    .select('id, outcome_title')
+    .eq('marketId', marketData.id);
 
-  await safeSendMessage(chatId, helpMessage);
-});
+  const selectedOutcome = outcomes?.find(outcome => 
+    (option === 'A' && outcome.outcome_title === marketData.optionA) ||
+    (option === 'B' && outcome.outcome_title === marketData.optionB)
+  );
 
-// MENU COMMAND
-bot.onText(/\/menu/, async (msg) => {
-  const chatId = msg.chat.id;
-  await safeSendMessage(chatId, '🎯 **Main Menu**', mainMenu);
-});
+  if (!selectedOutcome) {
+    await safeSendMessage(chatId, '❌ Error: Could not find outcome for this market.');
+    return null;
+  }
 
-// ADMIN COMMANDS
-bot.onText(/\/admin/, async (msg) => {
-  const chatId = msg.chat.id;
-  const userId = msg.from.id;
+  return {
+    marketData,
+    usdcBalance,
+    ethBalance,
+    session: {
+      action: 'place_bet',
+      step: 'amount',
+      marketRef: marketRef,
+      marketData: marketData,
+      option: option,
+      optionName: selectedOutcome.outcome_title,
+      outcomeId: selectedOutcome.id,
+      timestamp: Date.now()
+    }
+  };
+}
 
-  if (!isAdmin(userId)) {
-    await safeSendMessage(chatId, '❌ Access denied. Admin privileges required.');
-    return;
-  }
+// QUICK BET AMOUNT HANDLER
+async function handleQuickBetAmount(chatId, userId, data) {
+  try {
+    const session = await userSessions.get(chatId);
+    if (!session || session.action !== 'place_bet' || session.step !== 'amount') {
+      await safeSendMessage(chatId, '❌ Bet session expired. Please select the market again.', {
+        reply_markup: {
+          inline_keyboard: [
+            [{ text: '🏪 Browse Markets', callback_data: 'browse_markets' }]
+          ]
+        }
+      });
+      return;
+    }
 
-  await safeSendMessage(chatId, `🔧 **Admin Panel**
+    const value = data.slice('betamt_'.length);
+    let amount = parseFloat(value);
 
-**Available Commands:**
-/stats - Bot statistics
-/users - User count
-/markets - Market count
-/dbtest - Database connection test
-/createtestmarket - Create test market
-/broadcast - Send message to all users
-/fpstatus - Check FP Manager status
+    if (value === 'max') {
+      const wallet = await getUserSpreddWallet(userId);
+      amount = wallet ? parseFloat(await getUSDCBalance(wallet.address)) : 0;
+    }
 
-**System Status:**
-✅ Bot Online
-✅ Database Connected
-✅ Blockchain Connected
-✅ Memory: ${Math.round(process.memoryUsage().heapUsed / 1024 / 1024)}MB
+    if (!amount || amount <= 0) {
+      await safeSendMessage(chatId, '❌ No USDC available to bet.');
+      return;
+    }
 
-**Chain:** Base (${BASE_CHAIN_ID})
-**Factory:** ${SPREDD_FACTORY_ADDRESS}
-**FP Manager:** ${FP_MANAGER_ADDRESS}`);
-});
+    await showBetPreview(chatId, userId, session, amount);
 
-bot.onText(/\/stats/, async (msg) => {
-  const userId = msg.from.id;
-  if (!isAdmin(userId)) return;
+  } catch (error) {
+    console.error('Error in handleQuickBetAmount:', error);
+    await safeSendMessage(chatId, '❌ Error selecting amount. Please try again.');
+  }
+}
 
-  const chatId = msg.chat.id;
+// PLACE BET MESSAGE HANDLER
+async function handlePlaceBetMessage(chatId, userId, msg, session) {
+  const amount = parseFloat(msg.text.trim());
   
-  try {
-    const { data: userCount } = await supabaseAdmin
-      .from('User')
-      .select('id', { count: 'exact', head: true });
+  if (!amount || amount <= 0 || amount > 1000000) {
+    await safeSendMessage(chatId, '❌ Invalid amount. Please enter a valid number between 0 and 1,000,000.');
+    return;
+  }
 
-    const { data: marketCount } = await supabaseAdmin
-      .from('Market')
-      .select('id', { count: 'exact', head: true });
+  await showBetPreview(chatId, userId, session, amount);
+}
 
-    const { data: tradeCount } = await supabaseAdmin
-      .from('Trade')
-      .select('id', { count: 'exact', head: true });
+// Quote a bet against the market contract, bypassing the detail card cache
+async function quoteBet(onChainMarketId, betOnA, amountUnits) {
+  const marketAddress = await retryRPCCallOptimized(async () => {
+    updateContracts();
+    return await factoryContract.getMarketAddress(onChainMarketId);
+  });
 
-    await safeSendMessage(chatId, `📊 **Bot Statistics**
+  if (!marketAddress || marketAddress === ethers.ZeroAddress) {
+    throw new Error('Market contract not found on-chain');
+  }
 
-**Users:** ${userCount?.count || 0}
-**Markets:** ${marketCount?.count || 0} 
-**Total Trades:** ${tradeCount?.count || 0}
-**Active Sessions:** ${userSessions.size}
-**Market Mappings:** ${marketMappings.size}
-**Memory Usage:** ${Math.round(process.memoryUsage().heapUsed / 1024 / 1024)}MB
-**Uptime:** ${Math.round(process.uptime() / 3600)}h
+  const marketContract = new ethers.Contract(marketAddress, MARKET_ABI, provider);
+  const [potentialWinnings, netBetAmount] = await retryRPCCallOptimized(async () => {
+    return await marketContract.calculatePotentialWinnings(betOnA, amountUnits);
+  });
 
-**RPC Provider:** ${RPC_PROVIDERS[currentProviderIndex]}
-**Current Provider Index:** ${currentProviderIndex}`);
+  return { marketAddress, potentialWinnings, netBetAmount };
+}
 
-  } catch (error) {
-    await safeSendMessage(chatId, `❌ Error fetching stats: ${error.message}`);
+// BET PREVIEW
+async function showBetPreview(chatId, userId, session, amount) {
+  const wallet = await getUserSpreddWallet(userId);
+  if (!wallet) {
+    await safeSendMessage(chatId, '❌ Wallet not found.');
+    return;
   }
-});
-
-// DATABASE DEBUG TOOL
-bot.onText(/\/dbtest/, async (msg) => {
-  const userId = msg.from.id;
-  if (!isAdmin(userId)) return;
 
-  const chatId = msg.chat.id;
-  
-  await safeSendMessage(chatId, '🔍 **Database Connection Test**\n\nTesting database permissions...');
+  const usdcBalance = await getUSDCBalance(wallet.address);
   
-  try {
-    // Test 1: Basic connection
-    console.log('Testing basic Supabase connection...');
-    const { data: basicTest, error: basicError } = await supabaseAdmin
-      .from('User')
-      .select('count')
-      .limit(1);
-    
-    if (basicError) {
-      await safeSendMessage(chatId, `❌ **Basic Connection Failed**\nError: ${basicError.message}`);
+  if (amount > parseFloat(usdcBalance)) {
+    await safeSendMessage(chatId, `❌ Insufficient balance. You have ${usdcBalance} USDC.`);
+    return;
+  }
+
+  const marketId = session.marketData.marketId;
+  if (!ethers.isHexString(marketId, 32)) {
+    await userSessions.delete(chatId);
+    await safeSendMessage(chatId, '❌ This market is not linked to an on-chain contract yet, so bets cannot be placed.', {
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: '🏪 Browse Markets', callback_data: 'browse_markets' }],
+          [{ text: '⬅️ Main Menu', callback_data: 'main_menu' }]
+        ]
+      }
+    });
+    return;
+  }
+
+  let amountUnits;
+  try {
+    amountUnits = ethers.parseUnits(amount.toString(), 6);
+  } catch (parseError) {
+    await safeSendMessage(chatId, '❌ Invalid amount. USDC supports up to 6 decimal places.');
+    return;
+  }
+
+  let quote;
+  try {
+    quote = await quoteBet(marketId, session.option === 'A', amountUnits);
+  } catch (quoteError) {
+    console.error('Error quoting bet:', quoteError);
+    await safeSendMessage(chatId, `❌ Could not get a quote for this bet: ${getBetErrorMessage(quoteError)}`);
+    return;
+  }
+
+  const preferences = await getUserPreferences(userId);
+  const fees = amountUnits - quote.netBetAmount;
+  const profit = quote.potentialWinnings - amountUnits;
+  const impliedProbability = quote.potentialWinnings > 0n
+    ? (Number(amountUnits) / Number(quote.potentialWinnings)) * 100
+    : 0;
+
+  session.step = 'preview';
+  session.amount = ethers.formatUnits(amountUnits, 6);
+  session.quotedPayout = quote.potentialWinnings.toString();
+  await userSessions.set(chatId, session);
+
+  await safeSendMessage(chatId, `🧾 **Bet Preview**
+
+**Market:** ${session.marketData.question}
+**Betting on:** ${session.optionName}
+
+**Amount:** ${session.amount} USDC
+**Fees:** ${formatUSDC(fees)} USDC
+**Net Bet:** ${formatUSDC(quote.netBetAmount)} USDC
+**Potential Payout:** ${formatUSDC(quote.potentialWinnings)} USDC
+**Potential Profit:** ${formatUSDC(profit)} USDC
+**Implied Probability:** ${impliedProbability.toFixed(1)}%
+
+🛡️ The bet is cancelled if the payout drops more than ${preferences.slippage_tolerance}% before it executes (change with /slippage).`, {
+    reply_markup: {
+      inline_keyboard: [
+        [{ text: '✅ Confirm Bet', callback_data: 'bet_confirm' }],
+        [{ text: '❌ Cancel', callback_data: 'bet_cancel' }]
+      ]
+    }
+  });
+}
+
+// CONFIRM BET
+async function handleConfirmBet(chatId, userId) {
+  // Take the session so a double tap cannot place the bet twice
+  const session = await userSessions.take(chatId);
+  if (!session || session.action !== 'place_bet' || session.step !== 'preview') {
+    await safeSendMessage(chatId, '❌ Bet session expired. Please start again.', {
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: '🏪 Browse Markets', callback_data: 'browse_markets' }],
+          [{ text: '⬅️ Main Menu', callback_data: 'main_menu' }]
+        ]
+      }
+    });
+    return;
+  }
+
+  runInBackground(chatId, 'bet', () => confirmBet(chatId, userId, session));
+}
+
+async function confirmBet(chatId, userId, session) {
+  const processingMsg = await safeSendMessage(chatId, '🔄 Re-checking market...');
+
+  // The preview snapshot may be stale: the market can expire, resolve or be hidden meanwhile
+  const marketData = await loadMarket(session.marketData.id);
+  if (!marketData || marketData.isResolved || marketData.isHidden || isMarketExpired(marketData.expiry)) {
+    await safeEditMessage(chatId, processingMsg.message_id, '❌ This market is no longer accepting bets. Your bet was not placed.', {
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: '🏪 Browse Markets', callback_data: 'browse_markets' }]
+        ]
+      }
+    });
+    return;
+  }
+  session.marketData = marketData;
+
+  await executeBet(chatId, userId, session, processingMsg);
+}
+
+async function handleCancelBet(chatId) {
+  const session = await userSessions.get(chatId);
+  await userSessions.delete(chatId);
+
+  const buttons = [];
+  if (session?.marketRef) {
+    buttons.push([{ text: '⬅️ Back to Market', callback_data: `mkt_${session.marketRef}` }]);
+  }
+  buttons.push([{ text: '⬅️ Main Menu', callback_data: 'main_menu' }]);
+
+  await safeSendMessage(chatId, '❌ Bet cancelled.', {
+    reply_markup: { inline_keyboard: buttons }
+  });
+}
+
+// EXECUTE BET ON-CHAIN
+async function executeBet(chatId, userId, session, processingMsg) {
+  const marketId = session.marketData.marketId;
+  const amount = parseFloat(session.amount);
+
+  await safeEditMessage(chatId, processingMsg.message_id, '🔄 Placing bet...\nThis may take 1-2 minutes.');
+
+  try {
+    const wallet = await getUserSpreddWallet(userId);
+    if (!wallet) {
+      throw new Error('Wallet not found');
+    }
+
+    const amountUnits = ethers.parseUnits(session.amount, 6);
+    const userWallet = new ethers.Wallet(wallet.privateKey, provider);
+
+    await maybeSponsorGas(chatId, userId, wallet.address);
+
+    const marketAddress = await retryRPCCallOptimized(async () => {
+      updateContracts();
+      return await factoryContract.getMarketAddress(marketId);
+    });
+
+    if (!marketAddress || marketAddress === ethers.ZeroAddress) {
+      throw new Error('Market contract not found on-chain');
+    }
+
+    // Top up the USDC allowance for the market contract if needed
+    const allowance = await retryRPCCallOptimized(async () => {
+      return await usdcContract.allowance(wallet.address, marketAddress);
+    });
+
+    if (allowance < amountUnits) {
+      await safeEditMessage(chatId, processingMsg.message_id, '🔓 Approving USDC for this market...');
+      const approveTx = await sendWalletTransaction(
+        userWallet,
+        await usdcContract.approve.populateTransaction(marketAddress, amountUnits),
+        { telegramId: userId, chatId, label: 'USDC approval' }
+      );
+      const approveReceipt = await waitForWalletTransaction(approveTx);
+      if (!approveReceipt || approveReceipt.status !== 1) {
+        throw new Error('USDC approval transaction reverted');
+      }
+    }
+
+    // Re-quote last, after gas and approval, and abort if the payout moved against
+    // the user beyond their tolerance
+    const preferences = await getUserPreferences(userId);
+    const quote = await quoteBet(marketId, session.option === 'A', amountUnits);
+    const quotedPayout = BigInt(session.quotedPayout);
+    const minPayout = quotedPayout - (quotedPayout * BigInt(Math.round(preferences.slippage_tolerance * 100))) / 10000n;
+
+    if (quote.potentialWinnings < minPayout) {
+      await safeEditMessage(chatId, processingMsg.message_id, `⚠️ **Odds Moved - Bet Not Placed**
+
+**Quoted Payout:** ${formatUSDC(quotedPayout)} USDC
+**Current Payout:** ${formatUSDC(quote.potentialWinnings)} USDC
+**Your Tolerance:** ${preferences.slippage_tolerance}%
+
+Start the bet again to get a new quote.`, {
+        reply_markup: {
+          inline_keyboard: [
+            [{ text: '🔄 New Quote', callback_data: `bet_${session.marketRef}_${session.option}` }],
+            [{ text: '⬅️ Back to Market', callback_data: `mkt_${session.marketRef}` }]
+          ]
+        }
+      });
       return;
     }
-    
-    await safeSendMessage(chatId, '✅ Basic connection: OK');
-    
-    // Test 2: User table access
-    console.log('Testing User table access...');
-    const { data: userTest, error: userError } = await supabaseAdmin
-      .from('User')
-      .select('id, username, telegram_id')
-      .limit(3);
-    
-    if (userError) {
-      await safeSendMessage(chatId, `❌ **User Table Access Failed**\nError: ${userError.message}`);
-    } else {
-      await safeSendMessage(chatId, `✅ User table: OK (${userTest?.length || 0} users found)`);
+
+    // Place the bet on the market contract
+    const user = await getOrCreateUserOptimized(userId);
+    const outboxEntry = await createOutboxEntry('place_bet', userId, wallet.address, {
+      amount: amount,
+      userId: user.id,
+      outcomeId: session.outcomeId,
+      marketDbId: session.marketData.id,
+      marketId: marketId
+    });
+
+    const marketContract = new ethers.Contract(marketAddress, MARKET_ABI, provider);
+    const { receipt } = await sendOutboxTransaction(
+      outboxEntry,
+      async () => sendWalletTransaction(
+        userWallet,
+        await marketContract.placeBet.populateTransaction(session.option === 'A', amountUnits),
+        { telegramId: userId, chatId, label: 'bet' }
+      ),
+      () => safeEditMessage(chatId, processingMsg.message_id, '⏳ Bet submitted. Waiting for confirmation...')
+    );
+
+    // Save bet to database; if this fails the outbox worker retries it
+    try {
+      await persistOutboxEntry(outboxEntry, receipt);
+    } catch (persistError) {
+      console.error('Error saving bet to database:', persistError);
+    }
+
+    await safeEditMessage(chatId, processingMsg.message_id, `🎉 **Bet Placed Successfully!**
+
+**Market:** ${session.marketData.question}
+**Your Bet:** ${amount} USDC on "${session.optionName}"
+**Transaction:** ${receipt.hash}
+**Block:** ${receipt.blockNumber}
+
+Your bet is now active. You can track it in "My Positions".`, {
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: '📊 My Positions', callback_data: 'my_positions' }],
+          [{ text: '🏪 Browse Markets', callback_data: 'browse_markets' }],
+          [{ text: '⬅️ Main Menu', callback_data: 'main_menu' }]
+        ]
+      }
+    });
+
+  } catch (error) {
+    console.error('Error placing bet:', error);
+
+    if (error.code === 'TRANSACTION_PENDING') {
+      await safeEditMessage(chatId, processingMsg.message_id, `⏳ **Bet Pending**
+
+Your bet was submitted but its confirmation could not be checked yet.
+
+**Transaction:** ${error.txHash}
+
+It will show up in "My Positions" once it confirms. Check there before betting again.`, {
+        reply_markup: {
+          inline_keyboard: [
+            [{ text: '📊 My Positions', callback_data: 'my_positions' }],
+            [{ text: '⬅️ Back to Market', callback_data: `mkt_${session.marketRef}` }]
+          ]
+        }
+      });
+      return;
     }
+
+    await safeEditMessage(chatId, processingMsg.message_id, `❌ **Bet Failed**
+
+Error: ${getBetErrorMessage(error)}
+
+Your funds are safe. Please try again later.`, {
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: '🔄 Try Again', callback_data: `bet_${session.marketRef}_${session.option === 'A' ? 'A' : 'B'}` }],
+          [{ text: '⬅️ Back to Market', callback_data: `mkt_${session.marketRef}` }]
+        ]
+      }
+    });
+  }
+}
+
+// Map blockchain errors from the bet flow to user-facing messages
+function getBetErrorMessage(error) {
+  const message = error.shortMessage || error.message || '';
+
+  if (error.code === 'TRANSACTION_REPLACED') {
+    return 'The transaction was cancelled.';
+  } else if (message.includes('Week not active')) {
+    return 'Betting is temporarily disabled. The system may be updating.';
+  } else if (message.includes('insufficient allowance') || message.includes('exceeds allowance')) {
+    return 'USDC allowance is too low for this bet. Please try again.';
+  } else if (message.includes('transfer amount exceeds balance')) {
+    return 'Insufficient USDC balance for this bet.';
+  } else if (message.includes('insufficient funds')) {
+    return 'Insufficient ETH for gas fees.';
+  } else if (message.includes('ended') || message.includes('expired') || message.includes('closed')) {
+    return 'This market is no longer accepting bets.';
+  } else if (message.includes('reverted')) {
+    return 'Transaction was rejected by the blockchain. Please try again.';
+  }
+  return message || 'Unknown blockchain error';
+}
+
+// bot.js - Part 9/10: Wallet Functions and Statistics
+
+// MY POSITIONS HANDLER
+async function handleMyPositions(chatId, userId) {
+  try {
+    const user = await getOrCreateUserOptimized(userId);
     
-    // Test 3: Market table access
-    console.log('Testing Market table access...');
-    const { data: marketTest, error: marketError } = await supabaseAdmin
-      .from('Market')
-      .select('id, question, creatorId, isResolved')
-      .limit(3);
+    const { data: trades, error } = await dbClient
+      .from('Trade')
+      .select(`
+        *,
+        Outcome!inner(
+          marketId,
+          outcome_title,
+          Market!inner(
+            question,
+            optionA,
+            optionB,
+            isResolved,
+            isVoid,
+            outcome,
+            expiry
+          )
+        )
+      `)
+      .eq('userId', user.id)
+      .order('createdAt', { ascending: false })
+      .limit(10);
+
+    if (error) {
+      console.error('Error fetching positions:', error);
+      await safeSendMessage(chatId, '❌ Error loading your positions. Please try again.');
+      return;
+    }
+
+    if (!trades || trades.length === 0) {
+      await safeSendMessage(chatId, `📊 **My Positions**
+
+You haven't placed any bets yet.
+
+Start by browsing markets and placing your first bet!`, {
+        reply_markup: {
+          inline_keyboard: [
+            [{ text: '🏪 Browse Markets', callback_data: 'browse_markets' }],
+            [{ text: '⬅️ Main Menu', callback_data: 'main_menu' }]
+          ]
+        }
+      });
+      return;
+    }
+
+    let positionsText = `📊 **My Positions** (${trades.length} total)\n\n`;
     
-    if (marketError) {
-      await safeSendMessage(chatId, `❌ **Market Table Access Failed**\nError: ${marketError.message}\n\nThis is likely the main issue!`);
-    } else {
-      await safeSendMessage(chatId, `✅ Market table: OK (${marketTest?.length || 0} markets found)`);
+    for (const trade of trades) {
+      const market = trade.Outcome.Market;
+      const option = trade.Outcome.outcome_title;
+      const status = trade.claimed ? '💵 Claimed' :
+        market.isVoid ? '↩️ Void (refund)' :
+        market.isResolved ? 
+        (market.outcome === trade.outcomeId ? '✅ Won' : '❌ Lost') : 
+        '⏳ Active';
+      
+      positionsText += `**${market.question.slice(0, 50)}${market.question.length > 50 ? '...' : ''}**\n`;
+      positionsText += `Bet: ${trade.amount} USDC on "${option}"\n`;
+      positionsText += `Status: ${status}\n\n`;
+    }
+
+    await safeSendMessage(chatId, positionsText, {
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: '💵 Claim Winnings', callback_data: 'claim_winnings' }],
+          [{ text: '🔄 Refresh Positions', callback_data: 'my_positions' }],
+          [{ text: '🏪 Browse Markets', callback_data: 'browse_markets' }],
+          [{ text: '⬅️ Main Menu', callback_data: 'main_menu' }]
+        ]
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in handleMyPositions:', error);
+    await safeSendMessage(chatId, '❌ Error loading positions. Please try again.');
+  }
+}
+
+// CLAIM WINNINGS HANDLERS
+const CLAIM_DISABLED_TEXT = `Claiming through the bot is not available yet. You can claim your winnings on ${WEBSITE_URL}.`;
+
+// Claims being submitted, keyed by user and market, so a second tap cannot send one twice
+const claimsInFlight = new Set();
+
+// Check whether a wallet has an unclaimed winning (or refundable) position
+// in a resolved market and estimate its payout. Returns null otherwise.
+async function getClaimablePosition(onChainMarketId, walletAddress) {
+  if (!MARKET_OUTCOME || !ethers.isHexString(onChainMarketId, 32)) return null;
+
+  const marketAddress = await retryRPCCallOptimized(async () => {
+    updateContracts();
+    return await factoryContract.getMarketAddress(onChainMarketId);
+  });
+
+  if (!marketAddress || marketAddress === ethers.ZeroAddress) return null;
+
+  const marketContract = new ethers.Contract(marketAddress, MARKET_ABI, provider);
+  const [info, userBet] = await Promise.all([
+    retryRPCCallOptimized(async () => await marketContract.getMarketInfo()),
+    retryRPCCallOptimized(async () => await marketContract.getUserBet(walletAddress))
+  ]);
+
+  const outcome = Number(info.outcome);
+  if (!info.resolved || userBet.claimed) return null;
+
+  if (outcome === MARKET_OUTCOME.VOID) {
+    const refund = userBet.amountA + userBet.amountB;
+    return refund > 0n ? { marketAddress, outcome, stake: refund, payout: refund } : null;
+  }
+
+  const wonOnA = outcome === MARKET_OUTCOME.OPTION_A;
+  const stake = wonOnA ? userBet.amountA : userBet.amountB;
+  if (stake === 0n) return null;
+
+  // Winners split the pool (after fees) pro rata to their stake on the winning side
+  const volumes = await retryRPCCallOptimized(async () => await marketContract.getMarketVolumes());
+  const winningVolume = wonOnA ? volumes.volumeA : volumes.volumeB;
+  const pool = volumes.totalVolume - volumes.creatorFees - volumes.factoryFees;
+  const payout = winningVolume > 0n ? (stake * pool) / winningVolume : stake;
+
+  return { marketAddress, outcome, stake, payout };
+}
+
+// Load the markets a user has unclaimed trades in, keyed by Market.id
+async function getUserUnclaimedMarkets(dbUserId) {
+  const { data: trades, error } = await dbClient
+    .from('Trade')
+    .select(`
+      id,
+      claimed,
+      Outcome!inner(
+        marketId,
+        Market!inner(
+          id,
+          marketId,
+          question
+        )
+      )
+    `)
+    .eq('userId', dbUserId)
+    .or('claimed.is.null,claimed.eq.false');
+
+  if (error) throw error;
+
+  const markets = new Map();
+  for (const trade of trades || []) {
+    const market = trade.Outcome.Market;
+    markets.set(market.id, market);
+  }
+  return markets;
+}
+
+async function handleClaimWinnings(chatId, userId) {
+  try {
+    if (!getVerifiedMarketFunction('claimWinnings()')) {
+      await safeSendMessage(chatId, `💵 **Claim Winnings**
+
+${CLAIM_DISABLED_TEXT}`, {
+        reply_markup: {
+          inline_keyboard: [
+            [{ text: '📊 My Positions', callback_data: 'my_positions' }],
+            [{ text: '⬅️ Main Menu', callback_data: 'main_menu' }]
+          ]
+        }
+      });
+      return;
+    }
+
+    const wallet = await getUserSpreddWallet(userId);
+    if (!wallet) {
+      await safeSendMessage(chatId, '❌ You need a Spredd Wallet to claim winnings.', {
+        reply_markup: {
+          inline_keyboard: [
+            [{ text: '🆕 Create Spredd Wallet', callback_data: 'create_spredd_wallet' }],
+            [{ text: '⬅️ Main Menu', callback_data: 'main_menu' }]
+          ]
+        }
+      });
+      return;
+    }
+
+    const user = await getOrCreateUserOptimized(userId);
+    const markets = await getUserUnclaimedMarkets(user.id);
+
+    const claimable = [];
+    for (const market of markets.values()) {
+      try {
+        const position = await getClaimablePosition(market.marketId, wallet.address);
+        if (position) {
+          claimable.push({ market, position });
+        }
+      } catch (positionError) {
+        console.warn(`Could not check claimable position for market ${market.id}:`, positionError.message);
+      }
+    }
+
+    if (claimable.length === 0) {
+      await safeSendMessage(chatId, `💵 **Claim Winnings**
+
+You have no unclaimed winnings right now.
+
+Winnings become claimable once a market you won is resolved.`, {
+        reply_markup: {
+          inline_keyboard: [
+            [{ text: '📊 My Positions', callback_data: 'my_positions' }],
+            [{ text: '⬅️ Main Menu', callback_data: 'main_menu' }]
+          ]
+        }
+      });
+      return;
+    }
+
+    let claimText = `💵 **Claim Winnings** (${claimable.length} market${claimable.length > 1 ? 's' : ''})\n\n`;
+    const claimButtons = [];
+
+    claimable.forEach(({ market, position }, index) => {
+      const isRefund = position.outcome === MARKET_OUTCOME.VOID;
+      claimText += `**${index + 1}.** ${market.question.slice(0, 60)}${market.question.length > 60 ? '...' : ''}\n`;
+      claimText += `${isRefund ? 'Refund' : 'Expected payout'}: ~${ethers.formatUnits(position.payout, 6)} USDC\n\n`;
+
+      claimButtons.push([{
+        text: `💵 Claim ${index + 1} (${parseFloat(ethers.formatUnits(position.payout, 6)).toFixed(2)} USDC)`,
+        callback_data: `claim_${encodeMarketRef(market.id)}`
+      }]);
+    });
+
+    claimButtons.push([{ text: '📊 My Positions', callback_data: 'my_positions' }]);
+    claimButtons.push([{ text: '⬅️ Main Menu', callback_data: 'main_menu' }]);
+
+    await safeSendMessage(chatId, claimText, {
+      reply_markup: { inline_keyboard: claimButtons }
+    });
+
+  } catch (error) {
+    console.error('Error in handleClaimWinnings:', error);
+    await safeSendMessage(chatId, '❌ Error loading claimable winnings. Please try again.');
+  }
+}
+
+async function handleClaimMarket(chatId, userId, data) {
+  const marketDbId = decodeMarketRef(data.slice('claim_'.length));
+  if (!marketDbId) {
+    await safeSendMessage(chatId, '❌ Market not found.');
+    return;
+  }
+
+  if (!getVerifiedMarketFunction('claimWinnings()')) {
+    await safeSendMessage(chatId, `❌ ${CLAIM_DISABLED_TEXT}`);
+    return;
+  }
+
+  const claimKey = `${userId}:${marketDbId}`;
+  if (claimsInFlight.has(claimKey)) {
+    await safeSendMessage(chatId, '⏳ This claim is already being processed.');
+    return;
+  }
+  claimsInFlight.add(claimKey);
+
+  // Waiting for the claim to confirm can take longer than the callback timeout
+  runInBackground(chatId, 'claim', async () => {
+    try {
+      await claimMarket(chatId, userId, marketDbId);
+    } finally {
+      claimsInFlight.delete(claimKey);
+    }
+  });
+}
+
+async function claimMarket(chatId, userId, marketDbId) {
+  let processingMsg;
+  let claimTx;
+
+  try {
+    const wallet = await getUserSpreddWallet(userId);
+    if (!wallet) {
+      await safeSendMessage(chatId, '❌ Wallet not found.');
+      return;
+    }
+
+    const { data: market, error: marketError } = await dbClient
+      .from('Market')
+      .select('id, marketId, question')
+      .eq('id', marketDbId)
+      .maybeSingle();
+
+    if (marketError || !market) {
+      await safeSendMessage(chatId, '❌ Market not found.');
+      return;
+    }
+
+    processingMsg = await safeSendMessage(chatId, '🔄 Checking your position...');
+
+    const position = await getClaimablePosition(market.marketId, wallet.address);
+    if (!position) {
+      await safeEditMessage(chatId, processingMsg.message_id, '❌ Nothing to claim for this market. It may already have been claimed.', {
+        reply_markup: {
+          inline_keyboard: [
+            [{ text: '💵 Claim Winnings', callback_data: 'claim_winnings' }],
+            [{ text: '⬅️ Main Menu', callback_data: 'main_menu' }]
+          ]
+        }
+      });
+      return;
+    }
+
+    const userWallet = new ethers.Wallet(wallet.privateKey, provider);
+    claimTx = await sendWalletTransaction(
+      userWallet,
+      {
+        to: position.marketAddress,
+        data: verifiedMarketInterface.encodeFunctionData(getVerifiedMarketFunction('claimWinnings()'))
+      },
+      { telegramId: userId, chatId, label: 'claim' }
+    );
+
+    await safeEditMessage(chatId, processingMsg.message_id, '⏳ Claim submitted. Waiting for confirmation...');
+
+    const receipt = await waitForWalletTransaction(claimTx);
+    if (!receipt || receipt.status !== 1) {
+      throw new Error('Claim transaction reverted');
+    }
+
+    // Mark this user's trades in the market as claimed
+    const user = await getOrCreateUserOptimized(userId);
+    const { data: outcomes } = await dbClient
+      .from('Outcome')
+      .select('id')
+      .eq('marketId', market.id);
+
+    const { error: tradeError } = await dbClient
+      .from('Trade')
+      .update({
+        claimed: true,
+        claimTxHash: receipt.hash,
+        updatedAt: new Date().toISOString()
+      })
+      .eq('userId', user.id)
+      .in('outcomeId', (outcomes || []).map(outcome => outcome.id));
+
+    if (tradeError) {
+      console.error('Error marking trades as claimed:', tradeError);
+    }
+
+    const usdcBalance = await getUSDCBalance(wallet.address);
+
+    await safeEditMessage(chatId, processingMsg.message_id, `🎉 **Winnings Claimed!**
+
+**Market:** ${market.question}
+**Payout:** ~${ethers.formatUnits(position.payout, 6)} USDC
+**Transaction:** ${receipt.hash}
+
+**USDC Balance:** ${usdcBalance} USDC`, {
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: '💵 Claim More', callback_data: 'claim_winnings' }],
+          [{ text: '📊 My Positions', callback_data: 'my_positions' }],
+          [{ text: '⬅️ Main Menu', callback_data: 'main_menu' }]
+        ]
+      }
+    });
+
+  } catch (error) {
+    console.error('Error claiming winnings:', error);
+
+    // Sent but not confirmed: it may still go through, so don't offer to send it again
+    if (claimTx && !error.receipt && !String(error.message).includes('reverted')) {
+      const pendingText = `⏳ **Claim Pending**
+
+Your claim was submitted but its confirmation could not be checked yet.
+
+**Transaction:** ${claimTx.hash}
+
+Check the transaction on BaseScan before claiming again.`;
+      const pendingOptions = {
+        reply_markup: {
+          inline_keyboard: [
+            [{ text: '💵 Claim Winnings', callback_data: 'claim_winnings' }],
+            [{ text: '⬅️ Main Menu', callback_data: 'main_menu' }]
+          ]
+        }
+      };
+
+      if (processingMsg) {
+        await safeEditMessage(chatId, processingMsg.message_id, pendingText, pendingOptions);
+      } else {
+        await safeSendMessage(chatId, pendingText, pendingOptions);
+      }
+      return;
+    }
+
+    let errorMessage = error.shortMessage || error.message;
+    if (errorMessage.includes('insufficient funds')) {
+      errorMessage = 'Insufficient ETH for gas fees.';
+    } else if (errorMessage.includes('reverted')) {
+      errorMessage = 'Transaction was rejected by the blockchain. Please try again.';
+    }
+
+    const failureText = `❌ **Claim Failed**
+
+Error: ${errorMessage}
+
+Your winnings are safe. Please try again later.`;
+    const failureOptions = {
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: '🔄 Try Again', callback_data: `claim_${encodeMarketRef(marketDbId)}` }],
+          [{ text: '⬅️ Main Menu', callback_data: 'main_menu' }]
+        ]
+      }
+    };
+
+    if (processingMsg) {
+      await safeEditMessage(chatId, processingMsg.message_id, failureText, failureOptions);
+    } else {
+      await safeSendMessage(chatId, failureText, failureOptions);
+    }
+  }
+}
+
+// WALLET FUNCTIONS
+async function handleCreateSpreddWallet(chatId, userId) {
+  try {
+    const user = await getOrCreateUserOptimized(userId);
+    const existingWallet = await getUserSpreddWallet(userId);
+    
+    if (existingWallet) {
+      const [usdcBalance, ethBalance] = await Promise.all([
+        getUSDCBalance(existingWallet.address),
+        getETHBalance(existingWallet.address)
+      ]);
+      
+      await safeSendMessage(chatId, `You already have a Spredd Wallet!
+
+🏦 **Address:** ${existingWallet.address}
+💰 **USDC Balance:** ${usdcBalance} USDC
+⛽ **ETH Balance:** ${ethBalance} ETH
+
+To add funds, send USDC and ETH (Base network) to the address above.`, {
+        reply_markup: {
+          inline_keyboard: [
+            [{ text: '📥 Get Deposit Address', callback_data: 'deposit_address' }],
+            [{ text: '⬅️ Back to Wallet', callback_data: 'wallet_menu' }]
+          ]
+        }
+      });
+      return;
+    }
+
+    const wallet = await createSpreddWallet(user.id);
+    
+    await safeSendMessage(chatId, `🎉 **Spredd Wallet Created Successfully!**
+
+🏦 **Address:** ${wallet.address}
+💰 **USDC Balance:** 0 USDC
+⛽ **ETH Balance:** 0 ETH
+
+⚠️ **IMPORTANT SECURITY NOTICE:**
+• This wallet is managed by the bot
+• Private key is encrypted and stored securely
+• For large amounts, consider using your own wallet
+
+To start trading, send both USDC and ETH (Base network) to your address above.`, {
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: '📥 Get Deposit Address', callback_data: 'deposit_address' }],
+          [{ text: '💰 Check Balance', callback_data: 'check_balance' }],
+          [{ text: '⬅️ Back to Wallet', callback_data: 'wallet_menu' }]
+        ]
+      }
+    });
+
+  } catch (error) {
+    console.error('Error creating Spredd Wallet:', error);
+    await safeSendMessage(chatId, `❌ Error creating wallet: ${error.message || 'Unknown error'}`, {
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: '🔄 Try Again', callback_data: 'create_spredd_wallet' }],
+          [{ text: '⬅️ Back to Wallet', callback_data: 'wallet_menu' }]
+        ]
+      }
+    });
+  }
+}
+
+async function handleCheckBalance(chatId, userId) {
+  if (!await checkUserAccess(chatId, userId, 'balance')) return;
+
+  try {
+    const wallet = await getUserSpreddWallet(userId);
+    
+    if (!wallet) {
+      await safeSendMessage(chatId, '❌ You don\'t have a Spredd Wallet yet. Create one first!', {
+        reply_markup: {
+          inline_keyboard: [
+            [{ text: '🆕 Create Spredd Wallet', callback_data: 'create_spredd_wallet' }],
+            [{ text: '⬅️ Back to Wallet', callback_data: 'wallet_menu' }]
+          ]
+        }
+      });
+      return;
+    }
+
+    const [usdcBalance, ethBalance] = await Promise.all([
+      getUSDCBalance(wallet.address),
+      getETHBalance(wallet.address)
+    ]);
+    
+    const hasEnoughGas = parseFloat(ethBalance) > 0.001;
+    
+    await safeSendMessage(chatId, `💰 **Spredd Wallet Balance**
+
+🏦 **Address:** ${wallet.address}
+💰 **USDC Balance:** ${usdcBalance} USDC
+⛽ **ETH Balance:** ${ethBalance} ETH ${hasEnoughGas ? '✅' : '⚠️'}
+
+${!hasEnoughGas ? '⚠️ **WARNING: Low ETH balance!**\nYou need ETH for gas fees to create markets or place bets.\nSend at least 0.001 ETH to your wallet.\n' : ''}
+
+${parseFloat(usdcBalance) > 0 && hasEnoughGas ? '✅ Ready to trade!' : '⚠️ Fund your wallet to start trading'}`, {
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: '📥 Get Deposit Address', callback_data: 'deposit_address' }],
+          [{ text: '🔄 Refresh Balance', callback_data: 'check_balance' }],
+          [{ text: '⬅️ Back to Wallet', callback_data: 'wallet_menu' }]
+        ]
+      }
+    });
+
+  } catch (error) {
+    console.error('Error checking balance:', error);
+    await safeSendMessage(chatId, '❌ Error checking balance. Please try again later.');
+  }
+}
+
+async function handleDepositAddress(chatId, userId) {
+  try {
+    const wallet = await getUserSpreddWallet(userId);
+    
+    if (!wallet) {
+      await safeSendMessage(chatId, '❌ You don\'t have a Spredd Wallet yet. Create one first!', {
+        reply_markup: {
+          inline_keyboard: [
+            [{ text: '🆕 Create Spredd Wallet', callback_data: 'create_spredd_wallet' }],
+            [{ text: '⬅️ Back to Wallet', callback_data: 'wallet_menu' }]
+          ]
+        }
+      });
+      return;
+    }
+
+    await safeSendMessage(chatId, `📥 **Deposit to your Spredd Wallet**
+
+🏦 **Your Address:**
+${wallet.address}
+
+⚠️ **IMPORTANT:**
+• Only send USDC and ETH on Base network
+• Sending other tokens or wrong network will result in loss
+• Minimum deposit: 1 USDC + 0.001 ETH
+
+🔗 **Base Network Details:**
+• Chain ID: 8453
+• RPC: https://mainnet.base.org
+• Block Explorer: basescan.org
+
+💡 **Why you need both:**
+• USDC: For placing bets and creating markets
+• ETH: For gas fees (transaction costs)
+
+🔔 We'll message you here as soon as your deposit arrives.`, {
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: '💰 Check Balance', callback_data: 'check_balance' }],
+          [{ text: '🏪 Browse Markets', callback_data: 'browse_markets' }],
+          [{ text: '⬅️ Back to Wallet', callback_data: 'wallet_menu' }]
+        ]
+      }
+    });
+
+  } catch (error) {
+    console.error('Error getting deposit address:', error);
+    await safeSendMessage(chatId, '❌ Error getting deposit address. Please try again later.');
+  }
+}
+
+async function handleWithdrawFunds(chatId, userId) {
+  try {
+    const wallet = await getUserSpreddWallet(userId);
+    
+    if (!wallet) {
+      await safeSendMessage(chatId, '❌ You don\'t have a Spredd Wallet yet.', {
+        reply_markup: {
+          inline_keyboard: [
+            [{ text: '⬅️ Back to Wallet', callback_data: 'wallet_menu' }]
+          ]
+        }
+      });
+      return;
+    }
+
+    const [usdcBalance, ethBalance] = await Promise.all([
+      getUSDCBalance(wallet.address),
+      getETHBalance(wallet.address)
+    ]);
+    
+    if (parseFloat(usdcBalance) <= 0 && parseFloat(ethBalance) <= 0) {
+      await safeSendMessage(chatId, '❌ No balance to withdraw.', {
+        reply_markup: {
+          inline_keyboard: [
+            [{ text: '📥 Get Deposit Address', callback_data: 'deposit_address' }],
+            [{ text: '⬅️ Back to Wallet', callback_data: 'wallet_menu' }]
+          ]
+        }
+      });
+      return;
+    }
+
+    await userSessions.set(chatId, {
+      action: 'withdraw',
+      step: 'address',
+      usdcBalance: usdcBalance,
+      ethBalance: ethBalance,
+      timestamp: Date.now()
+    });
+
+    await safeSendMessage(chatId, `💸 **Withdraw Funds**
+
+💰 **Available Balances:**
+• USDC: ${usdcBalance} USDC
+• ETH: ${ethBalance} ETH
+
+Please send the withdrawal address (Base network):
+
+⚠️ **WARNING:**
+• Double-check the address is correct
+• Only Base network addresses supported
+• Transaction cannot be reversed
+
+Send the address or use /cancel to abort.`);
+
+  } catch (error) {
+    console.error('Error initiating withdrawal:', error);
+    await safeSendMessage(chatId, '❌ Error initiating withdrawal. Please try again later.');
+  }
+}
+
+// WITHDRAW MESSAGE HANDLER
+async function handleWithdrawMessage(chatId, userId, msg, session) {
+  const text = msg.text.trim();
+
+  switch (session.step) {
+    case 'address': {
+      if (!ethers.isAddress(text)) {
+        await safeSendMessage(chatId, '❌ Invalid address. Please enter a valid Base network address.');
+        return;
+      }
+
+      const wallet = await getUserSpreddWallet(userId);
+      if (wallet && text.toLowerCase() === wallet.address.toLowerCase()) {
+        await safeSendMessage(chatId, '❌ You cannot withdraw to your own Spredd Wallet. Please enter a different address.');
+        return;
+      }
+
+      session.toAddress = ethers.getAddress(text);
+      session.step = 'asset';
+      await userSessions.set(chatId, session);
+
+      await safeSendMessage(chatId, `💸 **Withdraw Funds**
+
+**To Address:** ${session.toAddress}
+**Available USDC:** ${session.usdcBalance} USDC
+**Available ETH:** ${session.ethBalance} ETH
+
+Which asset would you like to withdraw?`, {
+        reply_markup: {
+          inline_keyboard: [
+            [
+              { text: '💰 Withdraw USDC', callback_data: 'withdraw_usdc' },
+              { text: '⛽ Withdraw ETH', callback_data: 'withdraw_eth' }
+            ],
+            [{ text: '❌ Cancel', callback_data: 'withdraw_cancel' }]
+          ]
+        }
+      });
+      break;
+    }
+
+    case 'amount': {
+      const amount = parseFloat(text);
+      if (!amount || amount <= 0) {
+        await safeSendMessage(chatId, '❌ Invalid amount. Please enter a positive number or tap "Max".');
+        return;
+      }
+      await showWithdrawConfirmation(chatId, userId, session, text);
+      break;
+    }
+
+    default:
+      await safeSendMessage(chatId, 'Please use the buttons above to continue, or send /cancel to abort.');
+      break;
+  }
+}
+
+// WITHDRAW ASSET SELECTION
+async function handleWithdrawAsset(chatId, userId, asset) {
+  try {
+    const session = await userSessions.get(chatId);
+    if (!session || session.action !== 'withdraw' || !session.toAddress) {
+      await safeSendMessage(chatId, '❌ Withdrawal session expired. Please start again.', {
+        reply_markup: {
+          inline_keyboard: [
+            [{ text: '📤 Withdraw Funds', callback_data: 'withdraw_funds' }],
+            [{ text: '⬅️ Back to Wallet', callback_data: 'wallet_menu' }]
+          ]
+        }
+      });
+      return;
+    }
+
+    session.asset = asset;
+    session.step = 'amount';
+    await userSessions.set(chatId, session);
+
+    const symbol = asset === 'usdc' ? 'USDC' : 'ETH';
+    const available = asset === 'usdc' ? session.usdcBalance : session.ethBalance;
+
+    await safeSendMessage(chatId, `💸 **Withdraw ${symbol}**
+
+**To Address:** ${session.toAddress}
+**Available:** ${available} ${symbol}
+${asset === 'eth' ? '\n"Max" keeps enough ETH aside to pay for gas.\n' : ''}
+Please enter the amount of ${symbol} to withdraw:
+
+Send /cancel to abort.`, {
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: `🔝 Max`, callback_data: 'withdraw_max' }],
+          [{ text: '❌ Cancel', callback_data: 'withdraw_cancel' }]
+        ]
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in handleWithdrawAsset:', error);
+    await safeSendMessage(chatId, '❌ Error selecting asset. Please try again.');
+  }
+}
+
+// WITHDRAW MAX AMOUNT
+async function handleWithdrawMax(chatId, userId) {
+  try {
+    const session = await userSessions.get(chatId);
+    if (!session || session.action !== 'withdraw' || session.step !== 'amount') {
+      await safeSendMessage(chatId, '❌ Withdrawal session expired. Please start again.');
+      return;
+    }
+
+    const wallet = await getUserSpreddWallet(userId);
+    if (!wallet) {
+      await safeSendMessage(chatId, '❌ Wallet not found.');
+      return;
+    }
+
+    let maxAmount;
+    if (session.asset === 'usdc') {
+      maxAmount = await getUSDCBalance(wallet.address);
+    } else {
+      const balance = await retryRPCCallOptimized(async () => {
+        return await provider.getBalance(wallet.address);
+      });
+      const { gasCost } = await estimateWithdrawalGas(wallet.address, 'eth', session.toAddress, balance);
+      const reserve = gasCost * WITHDRAW_GAS_RESERVE_MULTIPLIER + await getSponsoredGasWei(userId);
+      maxAmount = balance > reserve ? ethers.formatEther(balance - reserve) : '0';
+    }
+
+    if (parseFloat(maxAmount) <= 0) {
+      await safeSendMessage(chatId, `❌ Not enough ${session.asset === 'usdc' ? 'USDC' : 'ETH'} to withdraw after gas fees.`);
+      return;
+    }
+
+    await showWithdrawConfirmation(chatId, userId, session, maxAmount);
+
+  } catch (error) {
+    console.error('Error in handleWithdrawMax:', error);
+    await safeSendMessage(chatId, '❌ Error calculating maximum amount. Please enter an amount manually.');
+  }
+}
+
+// Estimate gas for a withdrawal transfer
+async function estimateWithdrawalGas(fromAddress, asset, toAddress, amountUnits) {
+  const feeData = await retryRPCCallOptimized(async () => {
+    return await provider.getFeeData();
+  });
+  const gasPrice = feeData.maxFeePerGas || feeData.gasPrice || 0n;
+
+  let gasLimit = 21000n;
+  if (asset === 'usdc') {
+    gasLimit = await retryRPCCallOptimized(async () => {
+      updateContracts();
+      return await usdcContract.transfer.estimateGas(toAddress, amountUnits, { from: fromAddress });
+    });
+  }
+
+  return { gasLimit, gasPrice, gasCost: gasLimit * gasPrice };
+}
+
+// SHOW WITHDRAW CONFIRMATION
+async function showWithdrawConfirmation(chatId, userId, session, amountText) {
+  const wallet = await getUserSpreddWallet(userId);
+  if (!wallet) {
+    await safeSendMessage(chatId, '❌ Wallet not found.');
+    return;
+  }
+
+  const isUSDC = session.asset === 'usdc';
+  const symbol = isUSDC ? 'USDC' : 'ETH';
+
+  let amountUnits;
+  try {
+    amountUnits = isUSDC ? ethers.parseUnits(amountText, 6) : ethers.parseEther(amountText);
+  } catch (parseError) {
+    await safeSendMessage(chatId, `❌ Invalid amount. ${symbol} supports up to ${isUSDC ? 6 : 18} decimal places.`);
+    return;
+  }
+
+  const [usdcBalance, ethBalance] = await Promise.all([
+    getUSDCBalance(wallet.address),
+    getETHBalance(wallet.address)
+  ]);
+
+  const available = isUSDC ? ethers.parseUnits(usdcBalance, 6) : ethers.parseEther(ethBalance);
+  if (amountUnits > available) {
+    await safeSendMessage(chatId, `❌ Insufficient balance. You have ${isUSDC ? usdcBalance : ethBalance} ${symbol}.`);
+    return;
+  }
+
+  if (!isUSDC) {
+    const sponsored = await getSponsoredGasWei(userId);
+    if (amountUnits + sponsored > available) {
+      await safeSendMessage(chatId, `❌ ${ethers.formatEther(sponsored)} ETH of your balance was sponsored for gas and cannot be withdrawn. You can withdraw up to ${ethers.formatEther(available > sponsored ? available - sponsored : 0n)} ETH.`);
+      return;
+    }
+  }
+
+  let gasEstimate;
+  try {
+    gasEstimate = await estimateWithdrawalGas(wallet.address, session.asset, session.toAddress, amountUnits);
+  } catch (gasError) {
+    console.error('Error estimating withdrawal gas:', gasError);
+    await safeSendMessage(chatId, '❌ Could not estimate gas for this withdrawal. Please try a different amount.');
+    return;
+  }
+
+  const ethNeeded = gasEstimate.gasCost + (isUSDC ? 0n : amountUnits);
+  if (ethNeeded > ethers.parseEther(ethBalance)) {
+    await safeSendMessage(chatId, `❌ **Insufficient ETH for Gas Fees**
+
+**Estimated Gas:** ${ethers.formatEther(gasEstimate.gasCost)} ETH
+**Your ETH Balance:** ${ethBalance} ETH
+
+${isUSDC ? 'Please deposit ETH to cover gas and try again.' : 'Please enter a smaller amount or tap "Max".'}`);
+    return;
+  }
+
+  session.amount = ethers.formatUnits(amountUnits, isUSDC ? 6 : 18);
+  session.step = 'confirm';
+  await userSessions.set(chatId, session);
+
+  await safeSendMessage(chatId, `💸 **Confirm Withdrawal**
+
+**Asset:** ${symbol}
+**Amount:** ${session.amount} ${symbol}
+**To Address:** ${session.toAddress}
+**Estimated Gas:** ~${ethers.formatEther(gasEstimate.gasCost)} ETH
+
+⚠️ Transactions cannot be reversed. Please double-check the address.`, {
+    reply_markup: {
+      inline_keyboard: [
+        [{ text: '✅ Confirm Withdrawal', callback_data: 'withdraw_confirm' }],
+        [{ text: '❌ Cancel', callback_data: 'withdraw_cancel' }]
+      ]
+    }
+  });
+}
+
+// CONFIRM WITHDRAWAL
+async function handleConfirmWithdraw(chatId, userId) {
+  // Take the session so a double tap cannot send twice
+  const session = await userSessions.take(chatId);
+  if (!session || session.action !== 'withdraw' || session.step !== 'confirm') {
+    await safeSendMessage(chatId, '❌ Withdrawal session expired. Please start again.');
+    return;
+  }
+
+  runInBackground(chatId, 'withdrawal', () => executeWithdrawal(chatId, userId, session));
+}
+
+async function executeWithdrawal(chatId, userId, session) {
+  const processingMsg = await safeSendMessage(chatId, '🔄 Sending withdrawal...\nThis may take a minute.');
+
+  const isUSDC = session.asset === 'usdc';
+  const symbol = isUSDC ? 'USDC' : 'ETH';
+  let withdrawalId = null;
+
+  try {
+    const user = await getOrCreateUserOptimized(userId);
+    const wallet = await getUserSpreddWallet(userId);
+    if (!wallet) {
+      await safeEditMessage(chatId, processingMsg.message_id, '❌ Wallet not found.');
+      return;
+    }
+
+    const amountUnits = isUSDC ? ethers.parseUnits(session.amount, 6) : ethers.parseEther(session.amount);
+
+    // A gas drip may have arrived since the confirmation was shown
+    if (!isUSDC) {
+      const [balance, sponsored] = await Promise.all([
+        retryRPCCallOptimized(async () => await provider.getBalance(wallet.address)),
+        getSponsoredGasWei(userId)
+      ]);
+      if (amountUnits + sponsored > balance) {
+        throw new Error('Sponsored gas cannot be withdrawn. Please enter a smaller amount.');
+      }
+    }
+
+    withdrawalId = await recordWithdrawal({
+      user_id: user.id,
+      from_address: wallet.address,
+      to_address: session.toAddress,
+      asset: symbol,
+      amount: session.amount,
+      status: 'pending'
+    });
+
+    // Never send a withdrawal that has no record to track it by
+    if (!withdrawalId) {
+      throw new Error('Could not record the withdrawal. Nothing was sent.');
+    }
+
+    const userWallet = new ethers.Wallet(wallet.privateKey, provider);
+    const request = isUSDC
+      ? await usdcContract.transfer.populateTransaction(session.toAddress, amountUnits)
+      : { to: session.toAddress, value: amountUnits };
+    const tx = await sendWalletTransaction(userWallet, request, { telegramId: userId, chatId, label: 'withdrawal' });
+
+    await updateWithdrawal(withdrawalId, { tx_hash: tx.hash, status: 'submitted' });
+    await safeEditMessage(chatId, processingMsg.message_id, `⏳ Withdrawal submitted. Waiting for confirmation...\n\n**Transaction:** ${tx.hash}`);
+
+    const receipt = await waitForWalletTransaction(tx);
+    if (!receipt || receipt.status !== 1) {
+      throw new Error('Withdrawal transaction reverted');
+    }
+
+    await updateWithdrawal(withdrawalId, { tx_hash: receipt.hash, status: 'confirmed', block_number: receipt.blockNumber });
+
+    const [usdcBalance, ethBalance] = await Promise.all([
+      getUSDCBalance(wallet.address),
+      getETHBalance(wallet.address)
+    ]);
+
+    await safeEditMessage(chatId, processingMsg.message_id, `✅ **Withdrawal Complete!**
+
+**Sent:** ${session.amount} ${symbol}
+**To:** ${session.toAddress}
+**Transaction:** ${receipt.hash}
+
+**Remaining Balance:**
+• ${usdcBalance} USDC
+• ${ethBalance} ETH`, {
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: '💰 Check Balance', callback_data: 'check_balance' }],
+          [{ text: '⬅️ Back to Wallet', callback_data: 'wallet_menu' }]
+        ]
+      }
+    });
+
+  } catch (error) {
+    console.error('Error processing withdrawal:', error);
+    await updateWithdrawal(withdrawalId, { status: 'failed', error: error.message?.slice(0, 500) });
+
+    let errorMessage = error.shortMessage || error.message;
+    if (errorMessage.includes('insufficient funds')) {
+      errorMessage = 'Insufficient ETH for gas fees.';
+    } else if (errorMessage.includes('transfer amount exceeds balance')) {
+      errorMessage = 'Insufficient USDC balance.';
+    }
+
+    await safeEditMessage(chatId, processingMsg.message_id, `❌ **Withdrawal Failed**
+
+Error: ${errorMessage}
+
+Please check your balance and try again.`, {
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: '🔄 Try Again', callback_data: 'withdraw_funds' }],
+          [{ text: '⬅️ Back to Wallet', callback_data: 'wallet_menu' }]
+        ]
+      }
+    });
+  }
+}
+
+async function handleCancelWithdraw(chatId) {
+  await userSessions.delete(chatId);
+  await safeSendMessage(chatId, '❌ Withdrawal cancelled.', {
+    reply_markup: {
+      inline_keyboard: [
+        [{ text: '⬅️ Back to Wallet', callback_data: 'wallet_menu' }]
+      ]
+    }
+  });
+}
+
+// Withdrawal audit records (bot_withdrawals table)
+async function recordWithdrawal(withdrawal) {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from('bot_withdrawals')
+      .insert([{
+        ...withdrawal,
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      }])
+      .select('id')
+      .single();
+
+    if (error) {
+      console.error('Error recording withdrawal:', error);
+      return null;
+    }
+    return data.id;
+  } catch (error) {
+    console.error('Error recording withdrawal:', error);
+    return null;
+  }
+}
+
+async function updateWithdrawal(withdrawalId, updates) {
+  if (!withdrawalId) return;
+
+  try {
+    const { error } = await supabaseAdmin
+      .from('bot_withdrawals')
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq('id', withdrawalId);
+
+    if (error) {
+      console.error('Error updating withdrawal:', error);
+    }
+  } catch (error) {
+    console.error('Error updating withdrawal:', error);
+  }
+}
+
+// LEADERBOARD HANDLER
+async function handleLeaderboard(chatId) {
+  try {
+    const { data: topUsers, error } = await dbClient
+      .from('Trade')
+      .select(`
+        userId,
+        User!inner(username),
+        amount
+      `)
+      .order('amount', { ascending: false })
+      .limit(10);
+
+    if (error) {
+      console.error('Error fetching leaderboard:', error);
+      await safeSendMessage(chatId, '❌ Error loading leaderboard. Please try again.');
+      return;
+    }
+
+    const userTotals = {};
+    for (const trade of topUsers || []) {
+      const userId = trade.userId;
+      if (!userTotals[userId]) {
+        userTotals[userId] = {
+          username: trade.User.username,
+          total: 0
+        };
+      }
+      userTotals[userId].total += parseFloat(trade.amount);
+    }
+
+    const sortedUsers = Object.entries(userTotals)
+      .sort(([,a], [,b]) => b.total - a.total)
+      .slice(0, 10);
+
+    let leaderboardText = `🏆 **Leaderboard** - Top Traders\n\n`;
+    
+    if (sortedUsers.length === 0) {
+      leaderboardText += 'No bets placed yet. Be the first!';
+    } else {
+      sortedUsers.forEach(([userId, data], index) => {
+        const medal = index === 0 ? '🥇' : index === 1 ? '🥈' : index === 2 ? '🥉' : `${index + 1}.`;
+        leaderboardText += `${medal} ${data.username}: ${data.total.toFixed(2)} USDC\n`;
+      });
+    }
+
+    await safeSendMessage(chatId, leaderboardText, {
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: '🔄 Refresh Leaderboard', callback_data: 'leaderboard' }],
+          [{ text: '📊 My Positions', callback_data: 'my_positions' }],
+          [{ text: '⬅️ Main Menu', callback_data: 'main_menu' }]
+        ]
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in handleLeaderboard:', error);
+    await safeSendMessage(chatId, '❌ Error loading leaderboard. Please try again.');
+  }
+}
+
+// bot.js - Part 10/10: Statistics, Admin Commands, and System Setup
+
+// MARKET STATS HANDLER
+async function handleMarketStats(chatId) {
+  try {
+    const { data: marketCount } = await supabaseAdmin
+      .from('Market')
+      .select('id', { count: 'exact', head: true });
+
+    const { data: activeMarkets } = await supabaseAdmin
+      .from('Market')
+      .select('id', { count: 'exact', head: true })
+      .eq('isResolved', false);
+
+    const { data: totalTrades } = await supabaseAdmin
+      .from('Trade')
+      .select('amount');
+
+    const totalVolume = totalTrades?.reduce((sum, trade) => sum + parseFloat(trade.amount || 0), 0) || 0;
+    const avgBetSize = totalTrades?.length ? (totalVolume / totalTrades.length).toFixed(2) : 0;
+
+    const fpStatus = await getFPManagerWeekStatus();
+
+    let statsText = `📈 **Market Statistics**
+
+**Total Markets:** ${marketCount?.count || 0}
+**Active Markets:** ${activeMarkets?.count || 0}
+**Total Trades:** ${totalTrades?.length || 0}
+**Total Volume:** ${totalVolume.toFixed(2)} USDC
+**Average Bet:** ${avgBetSize} USDC
+
+**Network:** Base Mainnet
+**Factory:** ${SPREDD_FACTORY_ADDRESS}
+
+`;
+
+    if (fpStatus) {
+      const statusText = fpStatus.weekStatus === 0 ? 'Active' : 
+                       fpStatus.weekStatus === 1 ? 'Pending' : 'Finalized';
+      statsText += `**FP Manager Status:**
+Week ${fpStatus.currentWeek}: ${statusText}
+Reward Pool: ${fpStatus.currentRewardPool} USDC`;
+    }
+
+    await safeSendMessage(chatId, statsText, {
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: '🔄 Refresh Stats', callback_data: 'market_stats' }],
+          [{ text: '🏆 FP Status', callback_data: 'fp_status' }],
+          [{ text: '🏪 Browse Markets', callback_data: 'browse_markets' }],
+          [{ text: '⬅️ Main Menu', callback_data: 'main_menu' }]
+        ]
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in handleMarketStats:', error);
+    await safeSendMessage(chatId, '❌ Error loading market stats. Please try again.');
+  }
+}
+
+// FP STATUS HANDLER
+async function handleFPStatus(chatId) {
+  try {
+    const fpStatus = await getFPManagerWeekStatus();
+    const pendingWeeks = await getPendingWeeks();
+
+    if (!fpStatus) {
+      await safeSendMessage(chatId, '❌ Could not fetch FP Manager status. The system may be updating.');
+      return;
+    }
+
+    const statusEmoji = fpStatus.weekStatus === 0 ? '🟢' : 
+                       fpStatus.weekStatus === 1 ? '🟡' : '🔴';
+    const statusText = fpStatus.weekStatus === 0 ? 'Active - Earning FP' : 
+                      fpStatus.weekStatus === 1 ? 'Pending Finalization' : 'Finalized';
+
+    let fpMessage = `🏆 **Forecast Points (FP) Status**
+
+${statusEmoji} **Week ${fpStatus.currentWeek}:** ${statusText}
+💰 **Current Reward Pool:** ${fpStatus.currentRewardPool} USDC
+
+**How to Earn FP:**
+• Create prediction markets (+FP for creators)
+• Place bets on markets (+FP for traders)  
+• Top performers share weekly rewards
+
+`;
+
+    if (pendingWeeks.weeks.length > 0) {
+      fpMessage += `**Pending Weeks:** ${pendingWeeks.weeks.length}\n`;
+      fpMessage += `**Total Pending Rewards:** ${pendingWeeks.rewardPools.reduce((a,b) => parseFloat(a) + parseFloat(b), 0).toFixed(2)} USDC\n`;
+    }
+
+    fpMessage += `\n**Contract:** ${FP_MANAGER_ADDRESS}`;
+
+    await safeSendMessage(chatId, fpMessage, {
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: '🔄 Refresh FP Status', callback_data: 'fp_status' }],
+          [{ text: '📈 Market Stats', callback_data: 'market_stats' }],
+          [{ text: '🏪 Start Earning', callback_data: 'browse_markets' }],
+          [{ text: '⬅️ Main Menu', callback_data: 'main_menu' }]
+        ]
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in handleFPStatus:', error);
+    await safeSendMessage(chatId, '❌ Error loading FP status. Please try again.');
+  }
+}
+
+// WALLET INFO HANDLER
+async function handleSpreddWalletInfo(chatId) {
+  await safeSendMessage(chatId, `❓ **About Spredd Wallets**
+
+**What is a Spredd Wallet?**
+A managed wallet created and secured by this bot for easy interaction with Spredd Markets.
+
+**Key Features:**
+• Automatically created and managed
+• Private keys encrypted and stored securely
+• Instant market interactions
+• No manual transaction signing needed
+
+**Security Notes:**
+• Private keys are encrypted with AES-256-GCM
+• Bot operators cannot access your funds maliciously
+• For large amounts, consider using your own wallet
+• Always verify transactions before confirming
+
+**Supported Assets:**
+• USDC (for betting and market creation)
+• ETH (for gas fees)
+• Base network only
+
+**Need Help?**
+Contact support if you experience any issues with your Spredd Wallet.`, {
+    reply_markup: {
+      inline_keyboard: [
+        [{ text: '💰 Check My Balance', callback_data: 'check_balance' }],
+        [{ text: '⬅️ Back to Wallet', callback_data: 'wallet_menu' }]
+      ]
+    }
+  });
+}
+
+// HELP COMMAND
+bot.onText(/\/help/, async (msg) => {
+  if (!await checkUserAccess(msg.chat.id, msg.from.id, 'command')) return;
+
+  const chatId = msg.chat.id;
+  
+  const helpMessage = `🤖 **Spredd Markets Bot Help**
+
+**Commands:**
+/start - Start the bot and show main menu
+/help - Show this help message
+/menu - Show main menu
+/search <keywords> - Search markets by question
+/bet <market> <A|B> <amount> - Quick bet from a market code
+/slippage <percent> - Set your bet payout tolerance
+/settings - Notifications, quiet hours and timezone
+/cancel - Cancel current operation
+
+**Features:**
+🏪 Browse Markets - View active prediction markets
+➕ Create Market - Create your own prediction market
+💰 Wallet - Manage your Spredd wallet  
+📊 Positions - View your betting positions
+🏆 Leaderboard - See top traders
+📈 Stats - View market statistics
+
+**Market Creation Process:**
+1. Enter your question
+2. Define Option A and Option B
+3. Set expiry date/time
+4. Upload image (optional)
+5. Select category tags
+6. Confirm and create
+
+**Betting:**
+• Requires Spredd Wallet with USDC + ETH
+• Place bets on market outcomes
+• Track positions in real-time
+• Earn Forecast Points (FP)
+
+**Need Help?**
+Visit: ${WEBSITE_URL}
+
+**Contract Addresses (Base):**
+Factory: ${SPREDD_FACTORY_ADDRESS}
+USDC: ${USDC_ADDRESS}
+FP Manager: ${FP_MANAGER_ADDRESS}`;
+
+  await safeSendMessage(chatId, helpMessage);
+});
+
+// SEARCH COMMAND
+bot.onText(/\/search(?:\s+(.+))?/, async (msg, match) => {
+  if (!await checkUserAccess(msg.chat.id, msg.from.id, 'command')) return;
+
+  const chatId = msg.chat.id;
+  const userId = msg.from.id;
+  const keywords = match[1]?.trim();
+
+  if (!keywords) {
+    await safeSendMessage(chatId, '🔍 **Search Markets**\n\nUsage: /search <keywords>\nExample: /search bitcoin 100k');
+    return;
+  }
+
+  await userSessions.set(`search:${chatId}`, keywords.slice(0, 100));
+  await handleBrowseMarketsOptimized(chatId, userId, { ...DEFAULT_BROWSE_STATE, search: '1' });
+});
+
+// QUICK BET COMMAND
+// /bet <marketRef> <A|B> <amount|max> goes straight to the bet preview
+bot.onText(/\/bet(?:@\w+)?(?:\s+(.+))?$/, async (msg, match) => {
+  if (!await checkUserAccess(msg.chat.id, msg.from.id, 'command')) return;
+
+  const chatId = msg.chat.id;
+  const userId = msg.from.id;
+  const args = (match[1] || '').trim().split(/\s+/).filter(Boolean);
+
+  if (args.length !== 3) {
+    await safeSendMessage(chatId, `💰 **Quick Bet**
+
+Usage: /bet <market> <A|B> <amount|max>
+Example: /bet 9ix A 10
+
+The market code is shown on each market's detail card.`);
+    return;
+  }
+
+  try {
+    const [marketRef, optionArg, amountArg] = args;
+    const option = optionArg.toUpperCase();
+
+    if (!['A', 'B'].includes(option)) {
+      await safeSendMessage(chatId, '❌ Option must be A or B.');
+      return;
+    }
+
+    const betSession = await prepareBetSession(chatId, userId, marketRef, option);
+    if (!betSession) return;
+
+    const amount = amountArg.toLowerCase() === 'max'
+      ? parseFloat(betSession.usdcBalance)
+      : parseFloat(amountArg);
+
+    if (!amount || amount <= 0 || amount > 1000000) {
+      await safeSendMessage(chatId, '❌ Invalid amount. Please enter a valid number between 0 and 1,000,000.');
+      return;
+    }
+
+    await userSessions.set(chatId, betSession.session);
+    await showBetPreview(chatId, userId, betSession.session, amount);
+
+  } catch (error) {
+    console.error('Error in /bet command:', error);
+    await safeSendMessage(chatId, '❌ Error preparing your bet. Please try again.');
+  }
+});
+
+// SETTINGS
+// Notification categories, quiet hours, timezone and a global mute
+const QUIET_HOURS_PRESETS = [[22, 7], [23, 8], [0, 9], [21, 6]];
+const COMMON_TIMEZONES = [
+  'UTC', 'Europe/London', 'Europe/Berlin', 'America/New_York',
+  'America/Los_Angeles', 'Asia/Dubai', 'Asia/Singapore', 'Australia/Sydney'
+];
+
+function formatHour(hour) {
+  return `${String(hour).padStart(2, '0')}:00`;
+}
+
+function formatQuietHours(preferences) {
+  if (preferences.quiet_hours_start == null || preferences.quiet_hours_end == null) return 'Off';
+  return `${formatHour(preferences.quiet_hours_start)}-${formatHour(preferences.quiet_hours_end)}`;
+}
+
+async function handleSettingsMenu(chatId, userId, messageId = null) {
+  const preferences = await getUserPreferences(userId);
+
+  let text = `⚙️ **Settings**
+
+**Notifications:** ${preferences.muted ? '🔕 Muted' : '🔔 On'}
+**Quiet Hours:** ${formatQuietHours(preferences)} (delivered silently)
+**Timezone:** ${getPreferredTimezone(preferences)}
+
+Tap a category to turn its notifications on or off:`;
+
+  const keyboard = Object.entries(NOTIFICATION_CATEGORIES).map(([key, category]) => [{
+    text: `${preferences[category.preference] === false ? '❌' : '✅'} ${category.label}`,
+    callback_data: `set_tg_${key}`
+  }]);
+
+  keyboard.push([
+    { text: '🌙 Quiet Hours', callback_data: 'set_quiet' },
+    { text: '🌍 Timezone', callback_data: 'set_tz' }
+  ]);
+  keyboard.push([{ text: preferences.muted ? '🔔 Unmute All' : '🔕 Mute All', callback_data: 'set_mute' }]);
+  keyboard.push([{ text: '⬅️ Main Menu', callback_data: 'main_menu' }]);
+
+  if (messageId) {
+    await safeEditMessage(chatId, messageId, text, { reply_markup: { inline_keyboard: keyboard } });
+  } else {
+    await safeSendMessage(chatId, text, { reply_markup: { inline_keyboard: keyboard } });
+  }
+}
+
+async function handleSettingsAction(chatId, userId, data, messageId) {
+  const preferences = await getUserPreferences(userId);
+
+  if (data === 'set_mute') {
+    await updateUserPreferences(userId, { muted: !preferences.muted });
+  } else if (data.startsWith('set_tg_')) {
+    const category = NOTIFICATION_CATEGORIES[data.substring(7)];
+    if (!category) return;
+    await updateUserPreferences(userId, { [category.preference]: preferences[category.preference] === false });
+  } else if (data === 'set_quiet') {
+    await userSessions.set(chatId, { action: 'settings', step: 'quiet_hours', timestamp: Date.now() });
+    await safeEditMessage(chatId, messageId, `🌙 **Quiet Hours**
+
+Notifications during quiet hours arrive silently. Hours are in your timezone (${getPreferredTimezone(preferences)}).
+
+Pick a preset or type your own range, e.g. \`22-7\`.`, {
+      reply_markup: {
+        inline_keyboard: [
+          ...QUIET_HOURS_PRESETS.map(([start, end]) => [{
+            text: `${formatHour(start)}-${formatHour(end)}`,
+            callback_data: `set_qh_${start}_${end}`
+          }]),
+          [{ text: '🚫 Turn Off', callback_data: 'set_qh_off' }],
+          [{ text: '⬅️ Back', callback_data: 'settings' }]
+        ]
+      }
+    });
+    return;
+  } else if (data.startsWith('set_qh_')) {
+    await userSessions.delete(chatId);
+    if (data === 'set_qh_off') {
+      await updateUserPreferences(userId, { quiet_hours_start: null, quiet_hours_end: null });
+    } else {
+      const [start, end] = data.substring(7).split('_').map(Number);
+      await updateUserPreferences(userId, { quiet_hours_start: start, quiet_hours_end: end });
+    }
+  } else if (data === 'set_tz') {
+    await userSessions.set(chatId, { action: 'settings', step: 'timezone', timestamp: Date.now() });
+    await safeEditMessage(chatId, messageId, `🌍 **Timezone**
+
+Current: ${getPreferredTimezone(preferences)}
+
+Pick one below or type a timezone name, e.g. \`America/Chicago\`.`, {
+      reply_markup: {
+        inline_keyboard: [
+          ...COMMON_TIMEZONES.map((timezone, index) => [{ text: timezone, callback_data: `set_tzp_${index}` }]),
+          [{ text: '⬅️ Back', callback_data: 'settings' }]
+        ]
+      }
+    });
+    return;
+  } else if (data.startsWith('set_tzp_')) {
+    const timezone = COMMON_TIMEZONES[parseInt(data.substring(8))];
+    if (!timezone) return;
+    await userSessions.delete(chatId);
+    await updateUserPreferences(userId, { timezone });
+  }
+
+  await handleSettingsMenu(chatId, userId, messageId);
+}
+
+// SETTINGS MESSAGE HANDLER
+async function handleSettingsMessage(chatId, userId, msg, session) {
+  const text = msg.text.trim();
+
+  if (session.step === 'quiet_hours') {
+    const match = text.match(/^(\d{1,2})(?::00)?\s*-\s*(\d{1,2})(?::00)?$/);
+    const start = match ? parseInt(match[1]) : NaN;
+    const end = match ? parseInt(match[2]) : NaN;
+
+    if (!(start >= 0 && start <= 23 && end >= 0 && end <= 23) || start === end) {
+      await safeSendMessage(chatId, '❌ Please enter a range of hours from 0 to 23, e.g. `22-7`.');
+      return;
+    }
+
+    await updateUserPreferences(userId, { quiet_hours_start: start, quiet_hours_end: end });
+  } else if (session.step === 'timezone') {
+    if (!isValidTimezone(text)) {
+      await safeSendMessage(chatId, '❌ Unknown timezone. Please use a name like `Europe/Paris` or `America/New_York`.');
+      return;
+    }
+
+    await updateUserPreferences(userId, { timezone: text });
+  }
+
+  await userSessions.delete(chatId);
+  await handleSettingsMenu(chatId, userId);
+}
+
+bot.onText(/\/settings/, async (msg) => {
+  if (!await checkUserAccess(msg.chat.id, msg.from.id, 'command')) return;
+
+  try {
+    await handleSettingsMenu(msg.chat.id, msg.from.id);
+  } catch (error) {
+    console.error('Error in /settings command:', error);
+    await safeSendMessage(msg.chat.id, '❌ Error loading your settings. Please try again.');
+  }
+});
+
+// SLIPPAGE COMMAND
+bot.onText(/\/slippage(?:\s+(\S+))?/, async (msg, match) => {
+  if (!await checkUserAccess(msg.chat.id, msg.from.id, 'command')) return;
+
+  const chatId = msg.chat.id;
+  const userId = msg.from.id;
+
+  try {
+    if (!match[1]) {
+      const preferences = await getUserPreferences(userId);
+      await safeSendMessage(chatId, `🛡️ **Payout Tolerance:** ${preferences.slippage_tolerance}%
+
+Bets are cancelled if the payout drops by more than this between the preview and execution.
+
+Usage: /slippage <percent>
+Example: /slippage 1.5`);
+      return;
+    }
+
+    const tolerance = parseFloat(match[1].replace('%', ''));
+    if (isNaN(tolerance) || tolerance < 0.1 || tolerance > 50) {
+      await safeSendMessage(chatId, '❌ Tolerance must be between 0.1 and 50 percent.');
+      return;
+    }
+
+    await updateUserPreferences(userId, { slippage_tolerance: tolerance });
+    await safeSendMessage(chatId, `✅ Payout tolerance set to ${tolerance}%.`);
+
+  } catch (error) {
+    console.error('Error in /slippage command:', error);
+    await safeSendMessage(chatId, '❌ Error updating your tolerance. Please try again.');
+  }
+});
+
+// MENU COMMAND
+bot.onText(/\/menu/, async (msg) => {
+  if (!await checkUserAccess(msg.chat.id, msg.from.id, 'command')) return;
+
+  const chatId = msg.chat.id;
+  await safeSendMessage(chatId, '🎯 **Main Menu**', mainMenu);
+});
+
+// ADMIN COMMANDS
+// Commands listed in /admin, shown to staff whose role meets COMMAND_PERMISSIONS
+const ADMIN_PANEL_COMMANDS = [
+  { command: '/stats', description: 'Bot statistics', permission: 'stats' },
+  { command: '/outbox', description: 'Transactions waiting on a database write', permission: 'outbox' },
+  { command: '/resolve', description: 'Resolve expired markets', permission: 'resolve' },
+  { command: '/dbtest', description: 'Database connection test', permission: 'dbtest' },
+  { command: '/createtestmarket', description: 'Create test market', permission: 'createtestmarket' },
+  { command: '/repairmarkets', description: 'Fix markets saved with placeholder IDs', permission: 'repairmarkets' },
+  { command: '/gasdrip', description: 'Gas sponsorship spend and pause/resume', permission: 'gasdrip' },
+  { command: '/broadcast', description: 'Send a message to a segment of users', permission: 'broadcast' },
+  { command: '/reencryptwallets', description: 'Migrate wallet keys to the current master key', permission: 'reencryptwallets' },
+  { command: '/promote <user> <role>', description: 'Give a user a staff role', permission: 'promote' },
+  { command: '/demote <user>', description: 'Remove a user\'s staff role', permission: 'demote' },
+  { command: '/audit [admin] [action] [7d|from to]', description: 'Review the admin audit log', permission: 'audit' },
+  { command: '/ban <user> [reason]', description: 'Block a user from the bot', permission: 'ban' },
+  { command: '/suspend <user> <30m|12h|7d> [reason]', description: 'Block a user for a while', permission: 'suspend' },
+  { command: '/unban <user>', description: 'Lift a ban or suspension', permission: 'unban' },
+  { command: '/modqueue', description: 'Review reported markets', permission: 'modqueue' }
+];
+
+bot.onText(/\/admin/, async (msg) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id;
+
+  if (!await hasPermission(userId, 'admin')) {
+    await safeSendMessage(chatId, '❌ Access denied. Staff privileges required.');
+    return;
+  }
+
+  await recordAuditLog(userId, 'admin');
+
+  const role = await getUserRole(userId);
+  const commandList = ADMIN_PANEL_COMMANDS
+    .filter(({ permission }) => roleAtLeast(role, COMMAND_PERMISSIONS[permission]))
+    .map(({ command, description }) => `${command} - ${description}`)
+    .join('\n');
+
+  await safeSendMessage(chatId, `🔧 **Admin Panel**
+
+**Your Role:** ${role}
+
+**Available Commands:**
+${commandList}
+
+**System Status:**
+✅ Bot Online
+✅ Database Connected
+✅ Blockchain Connected
+✅ Memory: ${Math.round(process.memoryUsage().heapUsed / 1024 / 1024)}MB
+
+**Chain:** Base (${BASE_CHAIN_ID})
+**Factory:** ${SPREDD_FACTORY_ADDRESS}
+**FP Manager:** ${FP_MANAGER_ADDRESS}`);
+});
+
+bot.onText(/\/stats/, async (msg) => {
+  const userId = msg.from.id;
+  if (!await hasPermission(userId, 'stats')) return;
+
+  const chatId = msg.chat.id;
+  
+  try {
+    const { data: userCount } = await supabaseAdmin
+      .from('User')
+      .select('id', { count: 'exact', head: true });
+
+    const { data: marketCount } = await supabaseAdmin
+      .from('Market')
+      .select('id', { count: 'exact', head: true });
+
+    const { data: tradeCount } = await supabaseAdmin
+      .from('Trade')
+      .select('id', { count: 'exact', head: true });
+
+    await safeSendMessage(chatId, `📊 **Bot Statistics**
+
+**Users:** ${userCount?.count || 0}
+**Markets:** ${marketCount?.count || 0} 
+**Total Trades:** ${tradeCount?.count || 0}
+**Active Sessions:** ${await userSessions.size()}
+**Memory Usage:** ${Math.round(process.memoryUsage().heapUsed / 1024 / 1024)}MB
+**Uptime:** ${Math.round(process.uptime() / 3600)}h
+
+**RPC Provider:** ${RPC_PROVIDERS[currentProviderIndex]}
+**Current Provider Index:** ${currentProviderIndex}`);
+
+    await recordAuditLog(userId, 'stats');
+
+  } catch (error) {
+    await recordAuditLog(userId, 'stats', { result: 'failure', error });
+    await safeSendMessage(chatId, `❌ Error fetching stats: ${error.message}`);
+  }
+});
+
+// BROADCAST
+// /broadcast walks an admin through composing a message (text or photo with
+// caption, plus optional link buttons), choosing a segment and previewing it.
+// Delivery runs in the background through a throttled queue that stays under
+// Telegram's global limit, skips users who turned off announcements and reports
+// delivered/blocked/failed counts at the end.
+const BROADCAST_DELAY_MS = 40; // ~25 messages per second
+const BROADCAST_SEGMENTS = {
+  all: 'All users',
+  wallets: 'Wallet holders',
+  active: 'Bettors in the last N days',
+  market: 'Bettors of a market'
+};
+let activeBroadcast = null;
+
+function parseBroadcastButtons(text) {
+  const buttons = [];
+  for (const line of text.split('\n')) {
+    const match = line.trim().match(/^(.+?)\s*[-|]\s*(https?:\/\/\S+)$/);
+    if (!match) return null;
+    buttons.push([{ text: match[1].slice(0, 64), url: match[2] }]);
+  }
+  return buttons.length > 0 ? buttons : null;
+}
+
+function describeBroadcastSegment(session) {
+  if (session.segment === 'active') return `Bettors in the last ${session.days} days`;
+  if (session.segment === 'market') return `Bettors of "${session.marketQuestion}"`;
+  return BROADCAST_SEGMENTS[session.segment];
+}
+
+// Load telegram IDs for a segment as [{ userId, telegramId }]
+// PostgREST caps each response at 1000 rows by default, so reads that can be
+// larger page through with .range(). buildQuery must apply a stable order.
+async function fetchAllRows(buildQuery, pageSize = 1000) {
+  const rows = [];
+
+  for (let from = 0; ; from += pageSize) {
+    const { data, error } = await buildQuery().range(from, from + pageSize - 1);
+    if (error) throw error;
+
+    rows.push(...(data || []));
+    if (!data || data.length < pageSize) break;
+  }
+  return rows;
+}
+
+async function getBroadcastRecipients(session) {
+  let userIds = null;
+
+  if (session.segment === 'wallets') {
+    const wallets = await fetchAllRows(() => supabaseAdmin
+      .from('bot_wallets')
+      .select('user_id')
+      .order('id', { ascending: true }));
+    userIds = wallets.map(row => row.user_id);
+  } else if (session.segment === 'active') {
+    const since = new Date(Date.now() - session.days * 24 * 60 * 60 * 1000).toISOString();
+    const trades = await fetchAllRows(() => supabaseAdmin
+      .from('Trade')
+      .select('userId')
+      .gte('createdAt', since)
+      .order('id', { ascending: true }));
+    userIds = trades.map(row => row.userId);
+  } else if (session.segment === 'market') {
+    const outcomes = await getMarketOutcomes(session.marketDbId);
+    const bettors = await getMarketBettors(outcomes.map(outcome => outcome.id));
+    userIds = [...bettors.values()].map(bettor => bettor.userId);
+  }
+
+  if (userIds === null) {
+    const users = await fetchAllRows(() => supabaseAdmin
+      .from('User')
+      .select('id, telegram_id')
+      .not('telegram_id', 'is', null)
+      .order('id', { ascending: true }));
+    return users.map(user => ({ userId: user.id, telegramId: user.telegram_id }));
+  }
+
+  const recipients = [];
+
+  const uniqueIds = [...new Set(userIds)];
+  for (let i = 0; i < uniqueIds.length; i += 200) {
+    const { data, error } = await supabaseAdmin
+      .from('User')
+      .select('id, telegram_id')
+      .in('id', uniqueIds.slice(i, i + 200));
+
+    if (error) throw error;
+    recipients.push(...(data || [])
+      .filter(user => user.telegram_id)
+      .map(user => ({ userId: user.id, telegramId: user.telegram_id })));
+  }
+  return recipients;
+}
+
+// Drop recipients who muted the bot or turned off announcements in /settings
+async function filterAnnouncementRecipients(recipients) {
+  const optedOut = new Set();
+
+  for (let i = 0; i < recipients.length; i += 200) {
+    const { data, error } = await supabaseAdmin
+      .from('bot_user_preferences')
+      .select('user_id, notify_announcements, muted')
+      .in('user_id', recipients.slice(i, i + 200).map(recipient => recipient.userId));
+
+    if (error) throw error;
+    for (const preferences of data || []) {
+      if (preferences.muted || preferences.notify_announcements === false) {
+        optedOut.add(preferences.user_id);
+      }
+    }
+  }
+
+  return recipients.filter(recipient => !optedOut.has(recipient.userId));
+}
+
+async function sendBroadcastMessage(telegramId, broadcast) {
+  const options = { parse_mode: 'Markdown' };
+  if (broadcast.buttons) {
+    options.reply_markup = { inline_keyboard: broadcast.buttons };
+  }
+
+  if (broadcast.photo) {
+    return await bot.sendPhoto(telegramId, broadcast.photo, { ...options, caption: broadcast.text || undefined });
+  }
+  return await bot.sendMessage(telegramId, broadcast.text, options);
+}
+
+// Deliver to one user, waiting out Telegram 429s. Returns delivered, blocked or failed.
+async function deliverBroadcast(telegramId, broadcast) {
+  for (let attempt = 0; attempt < 3; attempt++) {
+    try {
+      await sendBroadcastMessage(telegramId, broadcast);
+      return 'delivered';
+    } catch (error) {
+      const statusCode = error.response?.statusCode;
+      if (statusCode === 403) return 'blocked';
+
+      if (statusCode === 429) {
+        const retryAfter = error.response.body?.parameters?.retry_after || 1;
+        await new Promise(resolve => setTimeout(resolve, retryAfter * 1000));
+        continue;
+      }
+
+      console.error(`Broadcast to ${telegramId} failed:`, error.message);
+      return 'failed';
+    }
+  }
+  return 'failed';
+}
+
+async function runBroadcast(chatId, session) {
+  const counts = { delivered: 0, blocked: 0, failed: 0 };
+  const recipients = await filterAnnouncementRecipients(await getBroadcastRecipients(session));
+  const skipped = session.recipientCount - recipients.length;
+
+  const progressMsg = await safeSendMessage(chatId, `📣 Broadcasting to ${recipients.length} users...`);
+
+  for (let i = 0; i < recipients.length; i++) {
+    counts[await deliverBroadcast(recipients[i].telegramId, session)]++;
+
+    if ((i + 1) % 200 === 0 && progressMsg) {
+      await safeEditMessage(chatId, progressMsg.message_id, `📣 Broadcasting... ${i + 1}/${recipients.length}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, BROADCAST_DELAY_MS));
+  }
+
+  await safeSendMessage(chatId, `📣 **Broadcast Complete**
+
+**Segment:** ${describeBroadcastSegment(session)}
+**Delivered:** ${counts.delivered}
+**Blocked the bot:** ${counts.blocked}
+**Failed:** ${counts.failed}
+**Skipped (announcements off):** ${Math.max(0, skipped)}`);
+
+  return counts;
+}
+
+bot.onText(/\/broadcast/, async (msg) => {
+  const userId = msg.from.id;
+  if (!await hasPermission(userId, 'broadcast')) return;
+
+  const chatId = msg.chat.id;
+
+  if (activeBroadcast) {
+    await safeSendMessage(chatId, '⏳ A broadcast is already being delivered. Please wait for it to finish.');
+    return;
+  }
+
+  await userSessions.set(chatId, { action: 'broadcast', step: 'message', timestamp: Date.now() });
+  await safeSendMessage(chatId, `📣 **New Broadcast**
+
+Send the message text (Markdown supported), or a photo with a caption.
+
+Send /cancel to abort.`);
+});
+
+// BROADCAST MESSAGE HANDLER
+async function handleBroadcastMessage(chatId, userId, msg, session) {
+  if (!await hasPermission(userId, 'broadcast')) {
+    await userSessions.delete(chatId);
+    return;
+  }
+
+  const text = (msg.text || '').trim();
+
+  switch (session.step) {
+    case 'message':
+      if (msg.photo) {
+        session.photo = msg.photo[msg.photo.length - 1].file_id;
+        session.text = (msg.caption || '').slice(0, 1024);
+      } else if (text) {
+        session.text = text.slice(0, 4000);
+      } else {
+        await safeSendMessage(chatId, '❌ Please send text or a photo.');
+        return;
+      }
+
+      session.step = 'buttons';
+      await userSessions.set(chatId, session);
+      await safeSendMessage(chatId, `🔗 **Buttons (optional)**
+
+Send one link button per line as \`Label - https://example.com\`, or skip.`, {
+        reply_markup: { inline_keyboard: [[{ text: '⏭️ Skip', callback_data: 'bc_nobuttons' }]] }
+      });
+      break;
+
+    case 'buttons': {
+      const buttons = parseBroadcastButtons(text);
+      if (!buttons) {
+        await safeSendMessage(chatId, '❌ Each line must look like `Label - https://example.com`. Please try again or skip.');
+        return;
+      }
+      session.buttons = buttons;
+      await showBroadcastSegments(chatId, session);
+      break;
+    }
+
+    case 'days': {
+      const days = parseInt(text);
+      if (isNaN(days) || days < 1 || days > 365) {
+        await safeSendMessage(chatId, '❌ Please enter a number of days between 1 and 365.');
+        return;
+      }
+      session.days = days;
+      await showBroadcastPreview(chatId, session);
+      break;
+    }
+
+    case 'market': {
+      const market = await loadMarket(decodeMarketRef(text));
+      if (!market) {
+        await safeSendMessage(chatId, '❌ Market not found. Send the market code shown on the market card.');
+        return;
+      }
+      session.marketDbId = market.id;
+      session.marketQuestion = market.question;
+      await showBroadcastPreview(chatId, session);
+      break;
+    }
+
+    default:
+      await safeSendMessage(chatId, 'Please use the buttons above, or send /cancel to abort.');
+  }
+}
+
+async function showBroadcastSegments(chatId, session) {
+  session.step = 'segment';
+  await userSessions.set(chatId, session);
+
+  await safeSendMessage(chatId, '🎯 **Who should receive this broadcast?**', {
+    reply_markup: {
+      inline_keyboard: [
+        ...Object.entries(BROADCAST_SEGMENTS).map(([key, label]) => [{ text: label, callback_data: `bc_seg_${key}` }]),
+        [{ text: '❌ Cancel', callback_data: 'bc_cancel' }]
+      ]
+    }
+  });
+}
+
+async function showBroadcastPreview(chatId, session) {
+  session.recipientCount = (await getBroadcastRecipients(session)).length;
+  session.step = 'preview';
+  await userSessions.set(chatId, session);
+
+  await safeSendMessage(chatId, '👀 **Preview:**');
+  try {
+    await sendBroadcastMessage(chatId, session);
+  } catch (error) {
+    await safeSendMessage(chatId, `❌ This message cannot be sent as written: ${error.message}\n\nSend /broadcast to start again.`);
+    await userSessions.delete(chatId);
+    return;
+  }
+
+  await safeSendMessage(chatId, `📣 **Ready to Send**
+
+**Segment:** ${describeBroadcastSegment(session)}
+**Recipients:** ${session.recipientCount} (users who turned off announcements are skipped)`, {
+    reply_markup: {
+      inline_keyboard: [
+        [{ text: '✅ Send Broadcast', callback_data: 'bc_send' }],
+        [{ text: '❌ Cancel', callback_data: 'bc_cancel' }]
+      ]
+    }
+  });
+}
+
+// BROADCAST CALLBACKS
+async function handleBroadcastAction(chatId, userId, data) {
+  if (!await hasPermission(userId, 'broadcast')) return;
+
+  const session = await userSessions.get(chatId);
+  if (data === 'bc_cancel' || !session || session.action !== 'broadcast') {
+    await userSessions.delete(chatId);
+    await safeSendMessage(chatId, '❌ Broadcast cancelled.');
+    return;
+  }
+
+  if (data === 'bc_nobuttons' && session.step === 'buttons') {
+    await showBroadcastSegments(chatId, session);
+  } else if (data.startsWith('bc_seg_') && session.step === 'segment') {
+    session.segment = data.substring(7);
+    if (!BROADCAST_SEGMENTS[session.segment]) return;
+
+    if (session.segment === 'active') {
+      session.step = 'days';
+      await userSessions.set(chatId, session);
+      await safeSendMessage(chatId, '📅 Send the number of days to look back, e.g. `30`.');
+    } else if (session.segment === 'market') {
+      session.step = 'market';
+      await userSessions.set(chatId, session);
+      await safeSendMessage(chatId, '📈 Send the market code (shown as "Market Code" on the market card).');
+    } else {
+      await showBroadcastPreview(chatId, session);
+    }
+  } else if (data === 'bc_send' && session.step === 'preview') {
+    if (activeBroadcast) {
+      await safeSendMessage(chatId, '⏳ A broadcast is already being delivered. Please wait for it to finish.');
+      return;
+    }
+
+    await userSessions.delete(chatId);
+    const auditArgs = {
+      segment: describeBroadcastSegment(session),
+      text: (session.text || '').slice(0, 200),
+      photo: Boolean(session.photo),
+      recipients: session.recipientCount
+    };
+
+    activeBroadcast = runBroadcast(chatId, session)
+      .then(counts => recordAuditLog(userId, 'broadcast', { args: { ...auditArgs, ...counts } }))
+      .catch(async error => {
+        console.error('Broadcast error:', error);
+        await recordAuditLog(userId, 'broadcast', { args: auditArgs, result: 'failure', error });
+        await safeSendMessage(chatId, `❌ Broadcast stopped: ${error.message}`);
+      })
+      .finally(() => {
+        activeBroadcast = null;
+      });
+  }
+}
+
+// ROLE MANAGEMENT
+// /promote <telegram id|@username> <SUPPORT|MODERATOR|ADMIN> and /demote <telegram id|@username>
+async function findUserByHandle(handle) {
+  const query = supabaseAdmin.from('User').select('id, telegram_id, username, role');
+
+  let result;
+  if (handle.startsWith('@')) {
+    result = await query.eq('username', handle.slice(1)).maybeSingle();
+  } else if (/^\d+$/.test(handle)) {
+    result = await query.eq('telegram_id', parseInt(handle)).maybeSingle();
+  } else {
+    return null;
+  }
+
+  if (result.error) throw result.error;
+  return result.data;
+}
+
+async function setUserRole(chatId, actorId, handle, role) {
+  const target = await findUserByHandle(handle);
+  if (!target) {
+    await safeSendMessage(chatId, '❌ User not found. Use their Telegram ID or @username; they must have started the bot.');
+    return;
+  }
+
+  if (target.telegram_id === actorId) {
+    await safeSendMessage(chatId, '❌ You cannot change your own role.');
+    return;
+  }
+
+  if (BOOTSTRAP_ADMIN_IDS.includes(target.telegram_id)) {
+    await safeSendMessage(chatId, '❌ This user is a bootstrap admin. Remove them from BOOTSTRAP_ADMIN_IDS to change their role.');
+    return;
+  }
+
+  const { error } = await supabaseAdmin
+    .from('User')
+    .update({ role, updatedAt: new Date().toISOString() })
+    .eq('id', target.id);
+
+  if (error) throw error;
+  roleCache.delete(target.telegram_id);
+
+  await recordAuditLog(actorId, role === 'USER' ? 'demote' : 'promote', {
+    args: { handle, role, previousRole: target.role || 'USER' },
+    entityType: 'User',
+    entityIds: [target.id]
+  });
+
+  await safeSendMessage(chatId, `✅ @${target.username} is now ${role} (was ${target.role || 'USER'}).`);
+
+  try {
+    await safeSendMessage(target.telegram_id, role === 'USER'
+      ? 'ℹ️ Your staff access has been removed.'
+      : `🔧 You now have ${role} access. Use /admin to see your commands.`);
+  } catch (notifyError) {
+    console.error(`Could not notify ${target.telegram_id} of role change:`, notifyError.message);
+  }
+}
+
+bot.onText(/\/promote(?:\s+(\S+)\s+(\S+))?/, async (msg, match) => {
+  const userId = msg.from.id;
+  if (!await hasPermission(userId, 'promote')) return;
+
+  const chatId = msg.chat.id;
+  const role = (match[2] || '').toUpperCase();
+
+  if (!match[1] || !ROLES.includes(role) || role === 'USER') {
+    await safeSendMessage(chatId, `Usage: /promote <telegram id|@username> <role>
+
+Roles: ${ROLES.filter(r => r !== 'USER').join(', ')}`);
+    return;
+  }
+
+  try {
+    await setUserRole(chatId, userId, match[1], role);
+  } catch (error) {
+    console.error('Error in /promote command:', error);
+    await recordAuditLog(userId, 'promote', { args: { handle: match[1], role }, result: 'failure', error });
+    await safeSendMessage(chatId, `❌ Error updating role: ${error.message}`);
+  }
+});
+
+bot.onText(/\/demote(?:\s+(\S+))?/, async (msg, match) => {
+  const userId = msg.from.id;
+  if (!await hasPermission(userId, 'demote')) return;
+
+  const chatId = msg.chat.id;
+
+  if (!match[1]) {
+    await safeSendMessage(chatId, 'Usage: /demote <telegram id|@username>');
+    return;
+  }
+
+  try {
+    await setUserRole(chatId, userId, match[1], 'USER');
+  } catch (error) {
+    console.error('Error in /demote command:', error);
+    await recordAuditLog(userId, 'demote', { args: { handle: match[1] }, result: 'failure', error });
+    await safeSendMessage(chatId, `❌ Error updating role: ${error.message}`);
+  }
+});
+
+// AUDIT LOG VIEWER
+// /audit [@username|telegram id] [action] [7d | YYYY-MM-DD [YYYY-MM-DD]]
+// Filters can be given in any order; dates are read in the admin's timezone.
+const AUDIT_PAGE_SIZE = 20;
+
+// A YYYY-MM-DD day in the admin's timezone as [start, end). Unlike parseUserDate
+// this accepts past dates, which is what audit searches are about.
+function parseAuditDay(token, timezone) {
+  const [year, month, day] = token.split('-').map(part => parseInt(part));
+  const next = new Date(Date.UTC(year, month - 1, day + 1));
+  const start = wallTimeToDate({ year, month, day }, null, timezone);
+  const end = wallTimeToDate({ year: next.getUTCFullYear(), month: next.getUTCMonth() + 1, day: next.getUTCDate() }, null, timezone);
+  return start && end ? { start, end } : null;
+}
+
+async function parseAuditFilters(args, timezone) {
+  const filters = { actorId: null, command: null, from: null, to: null };
+  const dayMs = 24 * 60 * 60 * 1000;
+  const dates = [];
+  let relativeDays = null;
+
+  for (const token of args) {
+    if (token.startsWith('@') || /^\d{5,}$/.test(token)) {
+      const actor = token.startsWith('@') ? await findUserByHandle(token) : { telegram_id: parseInt(token) };
+      if (!actor) return { error: `User ${token} not found.` };
+      filters.actorId = actor.telegram_id;
+    } else if (/^\d+d$/i.test(token)) {
+      if (relativeDays !== null) return { error: 'Only one relative range (like 7d) is allowed.' };
+      relativeDays = parseInt(token);
+    } else if (/^\d{4}-\d{1,2}-\d{1,2}$/.test(token)) {
+      const day = parseAuditDay(token, timezone);
+      if (!day) return { error: `Invalid date: ${token}` };
+      if (dates.length === 2) return { error: 'Give at most two dates: a start and an end.' };
+      dates.push(day);
+    } else if (COMMAND_PERMISSIONS[token.toLowerCase()]) {
+      filters.command = token.toLowerCase();
+    } else {
+      return { error: `Unknown filter: ${token}` };
+    }
+  }
+
+  if (relativeDays !== null && dates.length > 0) {
+    return { error: 'Use either a relative range (like 7d) or dates, not both.' };
+  }
+
+  if (relativeDays !== null) {
+    filters.from = new Date(Date.now() - relativeDays * dayMs);
+  } else if (dates.length > 0) {
+    // A single date covers that day; with two dates the end date is inclusive
+    const [first, last = first] = dates;
+    if (last.start < first.start) return { error: 'The end date is before the start date.' };
+    filters.from = first.start;
+    filters.to = last.end;
+  }
+
+  return { filters };
+}
+
+bot.onText(/\/audit(?:\s+(.+))?/, async (msg, match) => {
+  const userId = msg.from.id;
+  if (!await hasPermission(userId, 'audit')) return;
+
+  const chatId = msg.chat.id;
+
+  try {
+    const timezone = await getUserTimezone(userId);
+    const { filters, error: filterError } = await parseAuditFilters((match[1] || '').trim().split(/\s+/).filter(Boolean), timezone);
+
+    if (filterError) {
+      await safeSendMessage(chatId, `❌ ${filterError}
+
+Usage: /audit [@username|telegram id] [action] [7d | YYYY-MM-DD [YYYY-MM-DD]]
+Actions: ${Object.keys(COMMAND_PERMISSIONS).join(', ')}`);
+      return;
+    }
+
+    let query = supabaseAdmin
+      .from('bot_audit_log')
+      .select('id, actor_telegram_id, command, arguments, entity_type, entity_ids, result, error, created_at')
+      .order('created_at', { ascending: false })
+      .limit(AUDIT_PAGE_SIZE);
+
+    if (filters.actorId) query = query.eq('actor_telegram_id', filters.actorId);
+    if (filters.command) query = query.eq('command', filters.command);
+    if (filters.from) query = query.gte('created_at', filters.from.toISOString());
+    if (filters.to) query = query.lt('created_at', filters.to.toISOString());
+
+    const { data: entries, error } = await query;
+    if (error) throw error;
+
+    await recordAuditLog(userId, 'audit', {
+      args: {
+        actorId: filters.actorId,
+        command: filters.command,
+        from: filters.from?.toISOString() || null,
+        to: filters.to?.toISOString() || null
+      }
+    });
+
+    if (!entries || entries.length === 0) {
+      await safeSendMessage(chatId, '📜 No audit entries match those filters.');
+      return;
+    }
+
+    let message = `📜 **Audit Log** (latest ${entries.length})\n\n`;
+
+    for (const entry of entries) {
+      const icon = entry.result === 'success' ? '✅' : entry.result === 'denied' ? '🚫' : entry.result === 'partial' ? '⚠️' : '❌';
+      message += `${icon} **/${entry.command}** by ${entry.actor_telegram_id}\n`;
+      message += `${formatAbsoluteDateTime(entry.created_at, timezone)}\n`;
+      if (entry.entity_ids && entry.entity_ids.length > 0) {
+        message += `${entry.entity_type || 'Entity'}: ${entry.entity_ids.slice(0, 5).join(', ')}${entry.entity_ids.length > 5 ? ` +${entry.entity_ids.length - 5} more` : ''}\n`;
+      }
+      if (entry.arguments) {
+        message += `Args: ${JSON.stringify(entry.arguments).substring(0, 150)}\n`;
+      }
+      if (entry.error) {
+        message += `Error: ${entry.error.substring(0, 100)}\n`;
+      }
+      message += '\n';
+    }
+
+    await safeSendMessage(chatId, message);
+
+  } catch (error) {
+    console.error('Audit log view error:', error);
+    await safeSendMessage(chatId, `❌ Error loading audit log: ${error.message}`);
+  }
+});
+
+// USER MODERATION COMMANDS
+// /ban <telegram id|@username> [reason], /suspend <telegram id|@username> <duration> [reason]
+// and /unban <telegram id|@username>. A Telegram ID works even if the account never
+// created a User row.
+const DURATION_UNITS_MS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+function parseDuration(input) {
+  const match = (input || '').toLowerCase().match(/^(\d+)([mhdw])$/);
+  if (!match || parseInt(match[1]) === 0) return null;
+  return parseInt(match[1]) * DURATION_UNITS_MS[match[2]];
+}
+
+async function findModerationTarget(handle) {
+  if (/^\d+$/.test(handle)) {
+    const user = await findUserByHandle(handle);
+    return user || { telegram_id: parseInt(handle), username: null };
+  }
+  return await findUserByHandle(handle);
+}
+
+function describeModerationTarget(target) {
+  return target.username ? `@${target.username}` : `${target.telegram_id}`;
+}
+
+async function setModerationStatus(chatId, actorId, command, handle, { status, suspendedUntil = null, reason = null }) {
+  const target = await findModerationTarget(handle);
+  if (!target) {
+    await safeSendMessage(chatId, '❌ User not found. Use their Telegram ID or @username.');
+    return;
+  }
+
+  if (target.telegram_id === actorId) {
+    await safeSendMessage(chatId, '❌ You cannot moderate your own account.');
+    return;
+  }
+
+  if (roleAtLeast(await getUserRole(target.telegram_id), 'SUPPORT')) {
+    await safeSendMessage(chatId, '❌ Staff accounts cannot be banned or suspended. Use /demote first.');
+    return;
+  }
+
+  const { error } = await supabaseAdmin
+    .from('bot_user_moderation')
+    .upsert({
+      telegram_id: target.telegram_id,
+      status,
+      reason,
+      suspended_until: suspendedUntil ? suspendedUntil.toISOString() : null,
+      moderated_by: actorId,
+      updated_at: new Date().toISOString()
+    }, { onConflict: 'telegram_id' });
+
+  if (error) throw error;
+  moderationCache.delete(target.telegram_id);
+
+  // Drop any half-finished wizard so a blocked user cannot confirm it later
+  await userSessions.delete(target.telegram_id);
+
+  await recordAuditLog(actorId, command, {
+    args: { handle, reason, suspendedUntil: suspendedUntil?.toISOString() || null },
+    entityType: 'telegram_id',
+    entityIds: [target.telegram_id]
+  });
+
+  const actorTimezone = await getUserTimezone(actorId);
+  await safeSendMessage(chatId, status === 'banned'
+    ? `🚫 ${describeModerationTarget(target)} is now banned.`
+    : `⏸️ ${describeModerationTarget(target)} is suspended until ${formatAbsoluteDateTime(suspendedUntil, actorTimezone)}.`);
+
+  try {
+    await safeSendMessage(target.telegram_id, await getAccessBlockMessage(target.telegram_id));
+  } catch (notifyError) {
+    console.error(`Could not notify ${target.telegram_id} of moderation:`, notifyError.message);
+  }
+}
+
+bot.onText(/\/ban(?:\s+(\S+)(?:\s+(.+))?)?$/, async (msg, match) => {
+  const userId = msg.from.id;
+  if (!await hasPermission(userId, 'ban')) return;
+
+  const chatId = msg.chat.id;
+
+  if (!match[1]) {
+    await safeSendMessage(chatId, 'Usage: /ban <telegram id|@username> [reason]');
+    return;
+  }
+
+  try {
+    await setModerationStatus(chatId, userId, 'ban', match[1], { status: 'banned', reason: match[2]?.trim() || null });
+  } catch (error) {
+    console.error('Error in /ban command:', error);
+    await recordAuditLog(userId, 'ban', { args: { handle: match[1] }, result: 'failure', error });
+    await safeSendMessage(chatId, `❌ Error banning user: ${error.message}`);
+  }
+});
+
+bot.onText(/\/suspend(?:\s+(\S+)(?:\s+(\S+))?(?:\s+(.+))?)?$/, async (msg, match) => {
+  const userId = msg.from.id;
+  if (!await hasPermission(userId, 'suspend')) return;
+
+  const chatId = msg.chat.id;
+  const durationMs = parseDuration(match[2]);
+
+  if (!match[1] || !durationMs) {
+    await safeSendMessage(chatId, `Usage: /suspend <telegram id|@username> <duration> [reason]
+
+Durations: 30m, 12h, 7d, 2w`);
+    return;
+  }
+
+  try {
+    await setModerationStatus(chatId, userId, 'suspend', match[1], {
+      status: 'suspended',
+      suspendedUntil: new Date(Date.now() + durationMs),
+      reason: match[3]?.trim() || null
+    });
+  } catch (error) {
+    console.error('Error in /suspend command:', error);
+    await recordAuditLog(userId, 'suspend', { args: { handle: match[1], duration: match[2] }, result: 'failure', error });
+    await safeSendMessage(chatId, `❌ Error suspending user: ${error.message}`);
+  }
+});
+
+bot.onText(/\/unban(?:\s+(\S+))?/, async (msg, match) => {
+  const userId = msg.from.id;
+  if (!await hasPermission(userId, 'unban')) return;
+
+  const chatId = msg.chat.id;
+
+  if (!match[1]) {
+    await safeSendMessage(chatId, 'Usage: /unban <telegram id|@username>');
+    return;
+  }
+
+  try {
+    const target = await findModerationTarget(match[1]);
+    if (!target) {
+      await safeSendMessage(chatId, '❌ User not found. Use their Telegram ID or @username.');
+      return;
+    }
+
+    const { data: removed, error } = await supabaseAdmin
+      .from('bot_user_moderation')
+      .delete()
+      .eq('telegram_id', target.telegram_id)
+      .select('status');
+
+    if (error) throw error;
+    moderationCache.delete(target.telegram_id);
+
+    if (!removed || removed.length === 0) {
+      await safeSendMessage(chatId, `ℹ️ ${describeModerationTarget(target)} is not banned or suspended.`);
+      return;
+    }
+
+    await recordAuditLog(userId, 'unban', {
+      args: { handle: match[1], previousStatus: removed[0].status },
+      entityType: 'telegram_id',
+      entityIds: [target.telegram_id]
+    });
+
+    await safeSendMessage(chatId, `✅ ${describeModerationTarget(target)} can use the bot again.`);
+
+    try {
+      await safeSendMessage(target.telegram_id, '✅ Your access to Spredd has been restored.');
+    } catch (notifyError) {
+      console.error(`Could not notify ${target.telegram_id} of unban:`, notifyError.message);
+    }
+  } catch (error) {
+    console.error('Error in /unban command:', error);
+    await recordAuditLog(userId, 'unban', { args: { handle: match[1] }, result: 'failure', error });
+    await safeSendMessage(chatId, `❌ Error unbanning user: ${error.message}`);
+  }
+});
+
+setInterval(pruneRateLimits, 10 * 60 * 1000);
+
+// MARKET REPORTS
+// Any user can report a market once from its detail card. Reports are stored in
+// bot_market_reports (market_id, reporter_telegram_id, reason, details, status,
+// created_at, resolved_by, resolved_at), unique on market_id + reporter_telegram_id.
+const REPORT_REASONS = {
+  o: 'Offensive',
+  d: 'Duplicate',
+  u: 'Unresolvable or unclear',
+  s: 'Spam or scam',
+  x: 'Other'
+};
+
+async function handleReportMarket(chatId, data) {
+  const ref = data.slice('rpt_'.length);
+  const market = await loadMarket(decodeMarketRef(ref));
+
+  if (!market) {
+    await safeSendMessage(chatId, '❌ Market not found.');
+    return;
+  }
+
+  const reasonButtons = Object.entries(REPORT_REASONS).map(([code, label]) => [
+    { text: label, callback_data: `rptr_${ref}_${code}` }
+  ]);
+
+  await safeSendMessage(chatId, `🚩 **Report Market**
+
+**Question:** ${market.question}
+
+Why should moderators review this market?`, {
+    reply_markup: {
+      inline_keyboard: [...reasonButtons, [{ text: '❌ Cancel', callback_data: `mkt_${ref}` }]]
+    }
+  });
+}
+
+async function handleReportReason(chatId, userId, data) {
+  const ref = data.slice('rptr_'.length, data.lastIndexOf('_'));
+  const reason = data.slice(data.lastIndexOf('_') + 1);
+  const marketDbId = decodeMarketRef(ref);
+
+  if (!marketDbId || !REPORT_REASONS[reason]) return;
+
+  if (reason === 'x') {
+    await userSessions.set(chatId, { action: 'report', marketDbId, reason });
+    await safeSendMessage(chatId, '✍️ Describe the problem in a few words (max 300 characters), or send /cancel.');
+    return;
+  }
+
+  await fileMarketReport(chatId, userId, marketDbId, reason, null);
+}
+
+async function handleReportMessage(chatId, userId, msg, session) {
+  await userSessions.delete(chatId);
+  await fileMarketReport(chatId, userId, session.marketDbId, session.reason, msg.text.trim().slice(0, 300));
+}
+
+async function fileMarketReport(chatId, userId, marketDbId, reason, details) {
+  if (!await checkUserAccess(chatId, userId, 'report')) return;
+
+  const { data: filed, error } = await supabaseAdmin
+    .from('bot_market_reports')
+    .upsert({
+      market_id: marketDbId,
+      reporter_telegram_id: userId,
+      reason: REPORT_REASONS[reason],
+      details,
+      status: 'open',
+      created_at: new Date().toISOString()
+    }, { onConflict: 'market_id,reporter_telegram_id', ignoreDuplicates: true })
+    .select('id');
+
+  if (error) throw error;
+
+  const backButton = { reply_markup: { inline_keyboard: [[{ text: '⬅️ Back to Market', callback_data: `mkt_${encodeMarketRef(marketDbId)}` }]] } };
+
+  if (!filed || filed.length === 0) {
+    await safeSendMessage(chatId, 'ℹ️ You have already reported this market. Moderators will review it.', backButton);
+    return;
+  }
+
+  await safeSendMessage(chatId, '🚩 Thanks for the report. A moderator will review this market.', backButton);
+}
+
+// MARKET MODERATION
+// /modqueue lists markets with open reports. Moderators can hide a market from
+// browse (and stop new bets through the bot), feature it at the top of browse,
+// or attach a public note; all three are stored on the Market row.
+const MODERATION_QUEUE_SIZE = 10;
+
+bot.onText(/\/modqueue/, async (msg) => {
+  const userId = msg.from.id;
+  if (!await hasPermission(userId, 'modqueue')) return;
+
+  try {
+    await showModerationQueue(msg.chat.id, userId);
+  } catch (error) {
+    console.error('Error in /modqueue command:', error);
+    await safeSendMessage(msg.chat.id, `❌ Error loading the moderation queue: ${error.message}`);
+  }
+});
+
+async function showModerationQueue(chatId, userId, messageId = null) {
+  if (!await hasPermission(userId, 'modqueue')) return;
+
+  const render = (text, options) => messageId
+    ? safeEditMessage(chatId, messageId, text, options)
+    : safeSendMessage(chatId, text, options);
+
+  const { data: reports, error } = await supabaseAdmin
+    .from('bot_market_reports')
+    .select('market_id, reason')
+    .eq('status', 'open')
+    .limit(1000);
+
+  if (error) throw error;
+
+  await recordAuditLog(userId, 'modqueue');
+
+  const queue = new Map();
+  for (const report of reports || []) {
+    const entry = queue.get(report.market_id) || { count: 0, reasons: {} };
+    entry.count++;
+    entry.reasons[report.reason] = (entry.reasons[report.reason] || 0) + 1;
+    queue.set(report.market_id, entry);
+  }
+
+  if (queue.size === 0) {
+    await render('✅ No reported markets waiting for review.');
+    return;
+  }
+
+  const top = [...queue.entries()]
+    .sort(([, a], [, b]) => b.count - a.count)
+    .slice(0, MODERATION_QUEUE_SIZE);
+
+  const { data: markets, error: marketError } = await supabaseAdmin
+    .from('Market')
+    .select('id, question, isHidden, isFeatured')
+    .in('id', top.map(([marketId]) => marketId));
+
+  if (marketError) throw marketError;
+  const marketsById = new Map((markets || []).map(market => [String(market.id), market]));
+
+  let message = `🛡️ **Moderation Queue** (${queue.size} reported market${queue.size === 1 ? '' : 's'})\n\n`;
+  const buttons = [];
+
+  top.forEach(([marketId, entry], i) => {
+    const market = marketsById.get(String(marketId));
+    const reasons = Object.entries(entry.reasons).map(([reason, count]) => `${reason} ${count}`).join(', ');
+
+    message += `**${i + 1}.** ${market ? market.question.slice(0, 60) : `Deleted market ${marketId}`}${market?.isHidden ? ' 🙈' : ''}\n`;
+    message += `🚩 ${entry.count} report${entry.count === 1 ? '' : 's'} (${reasons})\n\n`;
+
+    if (market) {
+      buttons.push([{ text: `🔍 Review ${i + 1}`, callback_data: `modq_${encodeMarketRef(market.id)}` }]);
+    }
+  });
+
+  buttons.push([{ text: '🔄 Refresh', callback_data: 'modqueue' }]);
+
+  await render(message, { reply_markup: { inline_keyboard: buttons } });
+}
+
+async function handleModerationReview(chatId, userId, marketDbId, messageId = null) {
+  if (!await hasPermission(userId, 'moderate_market')) return;
+
+  const render = (text, options) => messageId
+    ? safeEditMessage(chatId, messageId, text, options)
+    : safeSendMessage(chatId, text, options);
+
+  const market = await loadMarket(marketDbId);
+  if (!market) {
+    await safeSendMessage(chatId, '❌ Market not found.');
+    return;
+  }
+
+  const { data: reports, error } = await supabaseAdmin
+    .from('bot_market_reports')
+    .select('reason, details, created_at')
+    .eq('market_id', market.id)
+    .eq('status', 'open')
+    .order('created_at', { ascending: false });
+
+  if (error) throw error;
+
+  const timezone = await getUserTimezone(userId);
+  let message = `🛡️ **Review Market**
+
+**Question:** ${market.question}
+**Options:** ${market.optionA} vs ${market.optionB}
+**Creator:** ${market.creator}
+**Expires:** ${formatAbsoluteDateTime(market.expiry, timezone)}
+**Visibility:** ${market.isHidden ? '🙈 Hidden' : '👁️ Visible'}${market.isFeatured ? ' | ⭐ Featured' : ''}
+**Note:** ${market.moderatorNote || 'None'}
+
+**Open Reports:** ${reports.length}\n`;
+
+  for (const report of reports.slice(0, 5)) {
+    message += `• ${report.reason}${report.details ? `: ${report.details}` : ''} (${formatAbsoluteDateTime(report.created_at, timezone)})\n`;
+  }
+  if (reports.length > 5) {
+    message += `…and ${reports.length - 5} more\n`;
+  }
+
+  const buttons = [
+    [
+      { text: market.isHidden ? '👁️ Unhide' : '🙈 Hide', callback_data: `modh_${market.ref}` },
+      { text: market.isFeatured ? '☆ Unfeature' : '⭐ Feature', callback_data: `modf_${market.ref}` }
+    ],
+    [{ text: '📝 Set Note', callback_data: `modn_${market.ref}` }]
+  ];
+
+  if (reports.length > 0) {
+    buttons[1].push({ text: '✅ Dismiss Reports', callback_data: `modd_${market.ref}` });
+  }
+
+  buttons.push([
+    { text: '📊 View Market', callback_data: `mkt_${market.ref}` },
+    { text: '⬅️ Queue', callback_data: 'modqueue' }
+  ]);
+
+  await render(message, { reply_markup: { inline_keyboard: buttons } });
+}
+
+// Close all open reports on a market, e.g. after it was hidden or the reports were dismissed
+async function closeMarketReports(marketDbId, status, moderatorId) {
+  const { data: closed, error } = await supabaseAdmin
+    .from('bot_market_reports')
+    .update({ status, resolved_by: moderatorId, resolved_at: new Date().toISOString() })
+    .eq('market_id', marketDbId)
+    .eq('status', 'open')
+    .select('id');
+
+  if (error) throw error;
+  return closed?.length || 0;
+}
+
+async function updateMarketModeration(marketDbId, fields) {
+  const { error } = await supabaseAdmin
+    .from('Market')
+    .update({ ...fields, updatedAt: new Date().toISOString() })
+    .eq('id', marketDbId);
+
+  if (error) throw error;
+}
+
+async function handleModerationAction(chatId, userId, data, messageId) {
+  if (!await hasPermission(userId, 'moderate_market')) return;
+
+  const action = data.charAt('mod'.length);
+  const market = await loadMarket(decodeMarketRef(data.slice(data.indexOf('_') + 1)));
+
+  if (!market) {
+    await safeSendMessage(chatId, '❌ Market not found.');
+    return;
+  }
+
+  if (action === 'n') {
+    await userSessions.set(chatId, { action: 'moderation_note', marketDbId: market.id });
+    await safeSendMessage(chatId, `📝 Send the note to show on this market (max 300 characters), or \`clear\` to remove it.
+
+Current note: ${market.moderatorNote || 'None'}`);
+    return;
+  }
+
+  let auditArgs;
+  if (action === 'h') {
+    await updateMarketModeration(market.id, { isHidden: !market.isHidden });
+    const closedReports = market.isHidden ? 0 : await closeMarketReports(market.id, 'actioned', userId);
+    auditArgs = { action: market.isHidden ? 'unhide' : 'hide', closedReports };
+  } else if (action === 'f') {
+    await updateMarketModeration(market.id, { isFeatured: !market.isFeatured });
+    auditArgs = { action: market.isFeatured ? 'unfeature' : 'feature' };
+  } else if (action === 'd') {
+    auditArgs = { action: 'dismiss_reports', closedReports: await closeMarketReports(market.id, 'dismissed', userId) };
+  } else {
+    return;
+  }
+
+  await recordAuditLog(userId, 'moderate_market', { args: auditArgs, entityType: 'Market', entityIds: [market.id] });
+  await handleModerationReview(chatId, userId, market.id, messageId);
+}
+
+async function handleModerationNoteMessage(chatId, userId, msg, session) {
+  await userSessions.delete(chatId);
+  if (!await hasPermission(userId, 'moderate_market')) return;
+
+  const text = msg.text.trim();
+  const note = text.toLowerCase() === 'clear' ? null : text.slice(0, 300);
+
+  await updateMarketModeration(session.marketDbId, { moderatorNote: note });
+  await recordAuditLog(userId, 'moderate_market', {
+    args: { action: note ? 'set_note' : 'clear_note', note },
+    entityType: 'Market',
+    entityIds: [session.marketDbId]
+  });
+
+  await safeSendMessage(chatId, note ? '📝 Moderator note saved.' : '📝 Moderator note removed.');
+  await handleModerationReview(chatId, userId, session.marketDbId);
+}
+
+// DATABASE DEBUG TOOL
+bot.onText(/\/dbtest/, async (msg) => {
+  const userId = msg.from.id;
+  if (!await hasPermission(userId, 'dbtest')) return;
+
+  const chatId = msg.chat.id;
+  await recordAuditLog(userId, 'dbtest');
+  
+  await safeSendMessage(chatId, '🔍 **Database Connection Test**\n\nTesting database permissions...');
+  
+  try {
+    // Test 1: Basic connection
+    console.log('Testing basic Supabase connection...');
+    const { data: basicTest, error: basicError } = await supabaseAdmin
+      .from('User')
+      .select('count')
+      .limit(1);
+    
+    if (basicError) {
+      await safeSendMessage(chatId, `❌ **Basic Connection Failed**\nError: ${basicError.message}`);
+      return;
+    }
+    
+    await safeSendMessage(chatId, '✅ Basic connection: OK');
+    
+    // Test 2: User table access
+    console.log('Testing User table access...');
+    const { data: userTest, error: userError } = await supabaseAdmin
+      .from('User')
+      .select('id, username, telegram_id')
+      .limit(3);
+    
+    if (userError) {
+      await safeSendMessage(chatId, `❌ **User Table Access Failed**\nError: ${userError.message}`);
+    } else {
+      await safeSendMessage(chatId, `✅ User table: OK (${userTest?.length || 0} users found)`);
+    }
+    
+    // Test 3: Market table access
+    console.log('Testing Market table access...');
+    const { data: marketTest, error: marketError } = await supabaseAdmin
+      .from('Market')
+      .select('id, question, creatorId, isResolved')
+      .limit(3);
+    
+    if (marketError) {
+      await safeSendMessage(chatId, `❌ **Market Table Access Failed**\nError: ${marketError.message}\n\nThis is likely the main issue!`);
+    } else {
+      await safeSendMessage(chatId, `✅ Market table: OK (${marketTest?.length || 0} markets found)`);
+    }
+    
+    // Test 4: Outcome table access
+    console.log('Testing Outcome table access...');
+    const { data: outcomeTest, error: outcomeError } = await supabaseAdmin
+      .from('Outcome')
+      .select('id, outcome_title, marketId')
+      .limit(3);
+    
+    if (outcomeError) {
+      await safeSendMessage(chatId, `❌ **Outcome Table Access Failed**\nError: ${outcomeError.message}`);
+    } else {
+      await safeSendMessage(chatId, `✅ Outcome table: OK (${outcomeTest?.length || 0} outcomes found)`);
+    }
+    
+    // Test 5: Trade table access
+    console.log('Testing Trade table access...');
+    const { data: tradeTest, error: tradeError } = await supabaseAdmin
+      .from('Trade')
+      .select('id, amount, userId')
+      .limit(3);
+    
+    if (tradeError) {
+      await safeSendMessage(chatId, `❌ **Trade Table Access Failed**\nError: ${tradeError.message}`);
+    } else {
+      await safeSendMessage(chatId, `✅ Trade table: OK (${tradeTest?.length || 0} trades found)`);
+    }
+    
+    // Test 6: bot_wallets table access
+    console.log('Testing bot_wallets table access...');
+    const { data: walletTest, error: walletError } = await supabaseAdmin
+      .from('bot_wallets')
+      .select('id, user_id, address')
+      .limit(3);
+    
+    if (walletError) {
+      await safeSendMessage(chatId, `❌ **bot_wallets Table Access Failed**\nError: ${walletError.message}`);
+    } else {
+      await safeSendMessage(chatId, `✅ bot_wallets table: OK (${walletTest?.length || 0} wallets found)`);
+    }
+    
+    // Summary
+    await safeSendMessage(chatId, `**🔍 Database Test Summary**
+
+**Environment:**
+• Service Role Key: ${process.env.SUPABASE_SERVICE_ROLE_KEY ? 'SET' : 'MISSING'}
+• Anon Key: ${process.env.SUPABASE_ANON_KEY ? 'SET' : 'MISSING'}
+• URL: ${process.env.SUPABASE_URL ? 'SET' : 'MISSING'}
+
+**Next Steps:**
+If any table failed, check:
+1. RLS policies in Supabase dashboard
+2. Service role permissions
+3. Table schema matches bot expectations`);
+
+  } catch (error) {
+    console.error('Database test error:', error);
+    await safeSendMessage(chatId, `❌ **Critical Database Error**\nError: ${error.message}\n\nStack: ${error.stack?.split('\n')[0]}`);
+  }
+});
+
+// MARKET RESOLUTION
+// Admins resolve expired markets with /resolve. The outcome is submitted on-chain
+// with the admin wallet for markets that have a contract, then recorded on the
+// Market row (outcome = winning Outcome.id, or isVoid for refunds) and every
+// bettor is notified. Each choice names its MARKET_OUTCOME value.
+const RESOLUTION_CHOICES = {
+  A: { label: 'Option A', outcome: 'OPTION_A' },
+  B: { label: 'Option B', outcome: 'OPTION_B' },
+  V: { label: 'Void (refund all bets)', outcome: 'VOID' }
+};
+
+const ONCHAIN_RESOLUTION_DISABLED = 'On-chain resolution is disabled until SPREDD_MARKET_ABI_PATH and MARKET_OUTCOME_VALUES are set from the verified market contract.';
+
+// Markets whose resolution is being submitted, so a second confirm cannot send it twice
+const resolutionsInFlight = new Set();
+
+// The RESOLUTION_CHOICES key for an outcome value read from the contract, or null
+function getResolutionChoice(outcomeValue) {
+  if (!MARKET_OUTCOME) return null;
+  return Object.keys(RESOLUTION_CHOICES)
+    .find(choice => MARKET_OUTCOME[RESOLUTION_CHOICES[choice].outcome] === outcomeValue) || null;
+}
+
+bot.onText(/\/resolve/, async (msg) => {
+  const userId = msg.from.id;
+  if (!await hasPermission(userId, 'resolve')) return;
+
+  const chatId = msg.chat.id;
+  await recordAuditLog(userId, 'resolve', { args: { action: 'list' } });
+
+  try {
+    const { data: markets, error } = await supabaseAdmin
+      .from('Market')
+      .select('id, question, expiry')
+      .eq('isResolved', false)
+      .lt('expiry', new Date().toISOString())
+      .order('expiry', { ascending: true })
+      .limit(10);
+
+    if (error) throw error;
+
+    if (!markets || markets.length === 0) {
+      await safeSendMessage(chatId, '✅ No expired markets are waiting for resolution.');
+      return;
+    }
+
+    const timezone = await getUserTimezone(userId);
+    let resolveText = `⚖️ **Markets Awaiting Resolution** (${markets.length})\n\n`;
+    const buttons = [];
+
+    markets.forEach((market, index) => {
+      resolveText += `**${index + 1}.** ${market.question.slice(0, 60)}${market.question.length > 60 ? '...' : ''}\n`;
+      resolveText += `Expired: ${formatAbsoluteDateTime(market.expiry, timezone)}\n\n`;
+      buttons.push([{ text: `⚖️ Resolve ${index + 1}`, callback_data: `rslv_${encodeMarketRef(market.id)}` }]);
+    });
+
+    await safeSendMessage(chatId, resolveText, {
+      reply_markup: { inline_keyboard: buttons }
+    });
+
+  } catch (error) {
+    console.error('Error in /resolve command:', error);
+    await safeSendMessage(chatId, `❌ Error loading markets to resolve: ${error.message}`);
+  }
+});
+
+async function handleResolveMarketSelect(chatId, userId, data) {
+  if (!await hasPermission(userId, 'resolve')) return;
+
+  const marketRef = data.slice('rslv_'.length);
+  const market = await loadMarket(decodeMarketRef(marketRef));
+
+  if (!market || market.isResolved) {
+    await safeSendMessage(chatId, '❌ Market not found or already resolved.');
+    return;
+  }
+
+  if (ethers.isHexString(market.marketId, 32) && !getVerifiedMarketFunction('resolveMarket(uint8)')) {
+    await safeSendMessage(chatId, `❌ ${ONCHAIN_RESOLUTION_DISABLED}`);
+    return;
+  }
+
+  await safeSendMessage(chatId, `⚖️ **Resolve Market**
+
+**Question:** ${market.question}
+
+🅰️ ${market.optionA}
+🅱️ ${market.optionB}
+
+Which outcome won?`, {
+    reply_markup: {
+      inline_keyboard: [
+        [
+          { text: `🅰️ ${market.optionA}`, callback_data: `rslvo_${marketRef}_A` },
+          { text: `🅱️ ${market.optionB}`, callback_data: `rslvo_${marketRef}_B` }
+        ],
+        [{ text: '↩️ Void (refund all)', callback_data: `rslvo_${marketRef}_V` }]
+      ]
+    }
+  });
+}
+
+async function handleResolveOutcomeSelect(chatId, userId, data) {
+  if (!await hasPermission(userId, 'resolve')) return;
+
+  const marketRef = data.slice('rslvo_'.length, data.lastIndexOf('_'));
+  const choice = data.slice(data.lastIndexOf('_') + 1);
+  const market = await loadMarket(decodeMarketRef(marketRef));
+
+  if (!market || market.isResolved || !RESOLUTION_CHOICES[choice]) {
+    await safeSendMessage(chatId, '❌ Market not found or already resolved.');
+    return;
+  }
+
+  const winner = choice === 'A' ? market.optionA : choice === 'B' ? market.optionB : 'Void - all bets refunded';
+
+  await safeSendMessage(chatId, `⚠️ **Confirm Resolution**
+
+**Question:** ${market.question}
+**Result:** ${winner}
+
+${ethers.isHexString(market.marketId, 32) ? 'This will submit the resolution on-chain with the admin wallet.' : 'This market has no on-chain contract; only the database will be updated.'}
+This cannot be undone.`, {
+    reply_markup: {
+      inline_keyboard: [
+        [{ text: '✅ Confirm Resolution', callback_data: `rslvc_${marketRef}_${choice}` }],
+        [{ text: '❌ Cancel', callback_data: `rslv_${marketRef}` }]
+      ]
+    }
+  });
+}
+
+async function handleResolveConfirm(chatId, userId, data) {
+  if (!await hasPermission(userId, 'resolve')) return;
+
+  const marketRef = data.slice('rslvc_'.length, data.lastIndexOf('_'));
+  const choice = data.slice(data.lastIndexOf('_') + 1);
+  const marketDbId = decodeMarketRef(marketRef);
+
+  if (!marketDbId || resolutionsInFlight.has(marketDbId)) {
+    await safeSendMessage(chatId, '⏳ This market is already being resolved.');
+    return;
+  }
+  resolutionsInFlight.add(marketDbId);
+
+  // Waiting for the resolution to confirm and notifying every bettor can take longer
+  // than the callback timeout
+  runInBackground(chatId, 'market resolution', async () => {
+    try {
+      await confirmResolution(chatId, userId, marketDbId, choice);
+    } finally {
+      resolutionsInFlight.delete(marketDbId);
+    }
+  });
+}
+
+async function confirmResolution(chatId, userId, marketDbId, choice) {
+  const processingMsg = await safeSendMessage(chatId, '🔄 Resolving market...');
+
+  try {
+    const result = await resolveMarket(marketDbId, choice);
+
+    await recordAuditLog(userId, 'resolve', {
+      args: { choice, outcome: result.winnerLabel, txHash: result.txHash },
+      entityType: 'Market',
+      entityIds: [result.market.id]
+    });
+
+    await safeEditMessage(chatId, processingMsg.message_id, `✅ **Market Resolved**
+
+**Question:** ${result.market.question}
+**Result:** ${result.winnerLabel}
+${result.txHash ? `**Transaction:** ${result.txHash}\n` : ''}
+📣 Notified ${result.notified} bettor${result.notified === 1 ? '' : 's'}.`);
+
+  } catch (error) {
+    console.error('Error resolving market:', error);
+    await recordAuditLog(userId, 'resolve', {
+      args: { choice },
+      entityType: 'Market',
+      entityIds: [marketDbId],
+      result: 'failure',
+      error
+    });
+    await safeEditMessage(chatId, processingMsg.message_id, `❌ **Resolution Failed**
+
+Error: ${error.shortMessage || error.message}`);
+  }
+}
+
+async function resolveMarket(marketDbId, choice) {
+  const market = await loadMarket(marketDbId);
+  if (!market) throw new Error('Market not found');
+  if (market.isResolved) throw new Error('Market is already resolved');
+  if (!RESOLUTION_CHOICES[choice]) throw new Error('Invalid outcome');
+
+  let txHash = null;
+
+  // Submit on-chain first, or adopt the on-chain outcome if it was already resolved there
+  if (ethers.isHexString(market.marketId, 32)) {
+    const marketAddress = await retryRPCCallOptimized(async () => {
+      updateContracts();
+      return await factoryContract.getMarketAddress(market.marketId);
+    });
+
+    if (marketAddress && marketAddress !== ethers.ZeroAddress) {
+      const resolveFunction = getVerifiedMarketFunction('resolveMarket(uint8)');
+      if (!resolveFunction) throw new Error(ONCHAIN_RESOLUTION_DISABLED);
+
+      const marketContract = new ethers.Contract(marketAddress, MARKET_ABI, provider);
+      const info = await retryRPCCallOptimized(async () => await marketContract.getMarketInfo());
+
+      if (info.resolved) {
+        choice = getResolutionChoice(Number(info.outcome));
+        if (!choice) throw new Error(`Unknown on-chain outcome ${info.outcome}`);
+      } else {
+        const resolveTx = await sendWalletTransaction(
+          adminWallet,
+          {
+            to: marketAddress,
+            data: verifiedMarketInterface.encodeFunctionData(resolveFunction, [MARKET_OUTCOME[RESOLUTION_CHOICES[choice].outcome]])
+          },
+          { label: 'market resolution' }
+        );
+        const receipt = await waitForWalletTransaction(resolveTx);
+        if (!receipt || receipt.status !== 1) {
+          throw new Error('Resolution transaction reverted');
+        }
+        txHash = receipt.hash;
+      }
+    }
+  }
+
+  const resolution = await recordMarketResolution(market, choice);
+  const notified = await notifyMarketResolution(resolution.market, resolution.outcomes);
+
+  return {
+    market: resolution.market,
+    winnerLabel: resolution.winnerLabel,
+    txHash,
+    notified
+  };
+}
+
+// Record a resolved outcome (a RESOLUTION_CHOICES key) on the Market row
+async function recordMarketResolution(market, choice) {
+  const { data: outcomes, error: outcomeError } = await supabaseAdmin
+    .from('Outcome')
+    .select('id, outcome_title')
+    .eq('marketId', market.id);
+
+  if (outcomeError) throw outcomeError;
+
+  const isVoid = choice === 'V';
+  const winningTitle = choice === 'A' ? market.optionA : choice === 'B' ? market.optionB : null;
+  const winningOutcome = (outcomes || []).find(outcome => outcome.outcome_title === winningTitle);
+
+  if (!isVoid && !winningOutcome) {
+    throw new Error('Could not find the winning outcome for this market');
+  }
+
+  const { error: updateError } = await supabaseAdmin
+    .from('Market')
+    .update({
+      isResolved: true,
+      isVoid: isVoid,
+      outcome: isVoid ? null : winningOutcome.id,
+      resolvedAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    })
+    .eq('id', market.id);
+
+  if (updateError) throw updateError;
+
+  return {
+    market: { ...market, isResolved: true, isVoid, outcome: isVoid ? null : winningOutcome.id },
+    outcomes: outcomes || [],
+    winnerLabel: isVoid ? 'Void - all bets refunded' : winningTitle
+  };
+}
+
+// Tell every bettor of a market how it was resolved and how their bets fared
+async function notifyMarketResolution(market, outcomes) {
+  const outcomeTitles = new Map(outcomes.map(outcome => [outcome.id, outcome.outcome_title]));
+  if (outcomeTitles.size === 0) return 0;
+
+  let bettors;
+  try {
+    bettors = await getMarketBettors([...outcomeTitles.keys()]);
+  } catch (error) {
+    console.error('Error loading bettors for resolution notice:', error);
+    return 0;
+  }
+
+  const { data: wallets } = await supabaseAdmin
+    .from('bot_wallets')
+    .select('user_id, address')
+    .in('user_id', [...bettors.values()].map(bettor => bettor.userId));
+  const walletAddresses = new Map((wallets || []).map(wallet => [wallet.user_id, wallet.address]));
+
+  const winnerText = market.isVoid ? 'Void - all bets are refunded' : outcomeTitles.get(market.outcome);
+  const ref = encodeMarketRef(market.id);
+  let notified = 0;
+
+  for (const [telegramId, bettor] of bettors.entries()) {
+    let betLines = '';
+    let staked = 0n;
+    let wonStake = 0n;
+    for (const trade of bettor.trades) {
+      const amountUnits = ethers.parseUnits(Number(trade.amount).toFixed(6), 6);
+      const result = market.isVoid ? '↩️ Refund' : trade.outcomeId === market.outcome ? '✅ Won' : '❌ Lost';
+      betLines += `• ${formatUSDC(amountUnits)} USDC on "${outcomeTitles.get(trade.outcomeId)}" - ${result}\n`;
+      staked += amountUnits;
+      if (trade.outcomeId === market.outcome) wonStake += amountUnits;
+    }
+
+    let summary;
+    if (market.isVoid) {
+      summary = `↩️ Your ${formatUSDC(staked)} USDC can be claimed back as a refund.`;
+    } else if (wonStake > 0n) {
+      let payout = null;
+      const walletAddress = walletAddresses.get(bettor.userId);
+      if (walletAddress) {
+        const position = await getClaimablePosition(market.marketId, walletAddress).catch(() => null);
+        if (position) payout = formatUSDC(position.payout);
+      }
+      summary = payout ? `🎉 You won! Your payout is about ${payout} USDC.` : '🎉 You won!';
+    } else {
+      summary = `❌ You lost ${formatUSDC(staked)} USDC.`;
+    }
+
+    if (await sendNotificationOnce('resolved', `resolved:${market.id}:${telegramId}`, telegramId, `🏁 **Market Resolved**
+
+**Question:** ${market.question}
+**Result:** ${winnerText}
+
+${summary}
+
+**Your Bets:**
+${betLines}`, {
+      reply_markup: {
+        inline_keyboard: [
+          ...((market.isVoid || wonStake > 0n) && getVerifiedMarketFunction('claimWinnings()')
+            ? [[{ text: '💵 Claim Winnings', callback_data: `claim_${encodeMarketRef(market.id)}` }]] : []),
+          [{ text: '📈 View Market', callback_data: `mkt_${ref}` }],
+          [{ text: '📊 My Positions', callback_data: 'my_positions' }]
+        ]
+      }
+    })) notified++;
+  }
+
+  return notified;
+}
+
+// CREATE TEST MARKET TOOL
+bot.onText(/\/createtestmarket/, async (msg) => {
+  const userId = msg.from.id;
+  if (!await hasPermission(userId, 'createtestmarket')) return;
+
+  const chatId = msg.chat.id;
+  
+  try {
+    await safeSendMessage(chatId, '🔨 Creating test market...');
+    
+    // Get or create admin user
+    const user = await getOrCreateUserOptimized(userId, 'Admin');
+    
+    // Create test market
+    const testMarket = {
+      marketId: `test_market_${Date.now()}`,
+      question: 'Will this test market work correctly?',
+      optionA: 'Yes',
+      optionB: 'No',
+      expiry: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(), // 24 hours from now
+      creatorId: user.id,
+      isResolved: false,
+      outcome: null,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      image: null,
+      tags: 'Testing'
+    };
+    
+    const { data: createdMarket, error: marketError } = await supabaseAdmin
+      .from('Market')
+      .insert([testMarket])
+      .select()
+      .single();
+    
+    if (marketError) {
+      await recordAuditLog(userId, 'createtestmarket', { result: 'failure', error: marketError });
+      await safeSendMessage(chatId, `❌ Failed to create test market: ${marketError.message}`);
+      return;
+    }
+    
+    // Create test outcomes
+    const outcomes = [
+      {
+        marketId: createdMarket.id,
+        outcome_title: 'Yes',
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      },
+      {
+        marketId: createdMarket.id,
+        outcome_title: 'No',
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      }
+    ];
+    
+    const { error: outcomeError } = await supabaseAdmin
+      .from('Outcome')
+      .insert(outcomes);
+    
+    if (outcomeError) {
+      await safeSendMessage(chatId, `⚠️ Market created but outcomes failed: ${outcomeError.message}`);
+    }
+
+    await recordAuditLog(userId, 'createtestmarket', {
+      entityType: 'Market',
+      entityIds: [createdMarket.id],
+      result: outcomeError ? 'partial' : 'success',
+      error: outcomeError
+    });
+    
+    await safeSendMessage(chatId, `✅ **Test Market Created Successfully!**
+
+**Market ID:** ${createdMarket.id}
+**Question:** ${testMarket.question}
+**Database ID:** ${createdMarket.marketId}
+
+Now try browsing markets to see if it appears!`);
+    
+  } catch (error) {
+    console.error('Test market creation error:', error);
+    await recordAuditLog(userId, 'createtestmarket', { result: 'failure', error });
+    await safeSendMessage(chatId, `❌ Error creating test market: ${error.message}`);
+  }
+});
+
+// RE-ENCRYPT WALLET KEYS TOOL
+// Migrates legacy base64 rows and rows under an older master key to the current
+// key version. Safe to run repeatedly and while the bot is serving users.
+bot.onText(/\/reencryptwallets/, async (msg) => {
+  const userId = msg.from.id;
+  if (!await hasPermission(userId, 'reencryptwallets')) return;
+
+  const chatId = msg.chat.id;
+
+  try {
+    await safeSendMessage(chatId, `🔐 Re-encrypting wallet keys to key version ${WALLET_KEY_VERSION}...`);
+
+    let migrated = 0;
+    let skipped = 0;
+    let failed = 0;
+    let lastId = null;
+
+    while (true) {
+      let query = supabaseAdmin
+        .from('bot_wallets')
+        .select('id, address, encrypted_private_key, key_version')
+        .or(`key_version.is.null,key_version.neq.${WALLET_KEY_VERSION}`)
+        .order('id', { ascending: true })
+        .limit(100);
+
+      if (lastId !== null) {
+        query = query.gt('id', lastId);
+      }
+
+      const { data: wallets, error } = await query;
+      if (error) throw error;
+      if (!wallets || wallets.length === 0) break;
+
+      for (const row of wallets) {
+        lastId = row.id;
+
+        try {
+          const reencrypted = reencrypt(row.encrypted_private_key);
+
+          // Verify the new ciphertext before replacing the old one
+          const privateKey = decrypt(reencrypted);
+          if (new ethers.Wallet(privateKey).address.toLowerCase() !== row.address.toLowerCase()) {
+            throw new Error('Decrypted key does not match wallet address');
+          }
+
+          // Only update if the row has not changed since we read it
+          const { data: updated, error: updateError } = await supabaseAdmin
+            .from('bot_wallets')
+            .update({ encrypted_private_key: reencrypted, key_version: getEncryptionKeyVersion(reencrypted) })
+            .eq('id', row.id)
+            .eq('encrypted_private_key', row.encrypted_private_key)
+            .select('id');
+
+          if (updateError) throw updateError;
+          if (updated && updated.length > 0) {
+            migrated++;
+          } else {
+            skipped++;
+          }
+        } catch (rowError) {
+          console.error(`Error re-encrypting wallet ${row.id}:`, rowError.message);
+          failed++;
+        }
+      }
+    }
+
+    await recordAuditLog(userId, 'reencryptwallets', {
+      args: { keyVersion: WALLET_KEY_VERSION, migrated, skipped, failed },
+      result: failed > 0 || skipped > 0 ? 'partial' : 'success'
+    });
+
+    await safeSendMessage(chatId, `✅ **Wallet Key Re-encryption Complete**
+
+**Key Version:** ${WALLET_KEY_VERSION}
+**Migrated:** ${migrated}
+**Skipped (changed during migration):** ${skipped}
+**Failed:** ${failed}
+
+${failed > 0 || skipped > 0 ? '⚠️ Some rows were not migrated. Check the logs and run /reencryptwallets again; keep previous master keys configured until every row is migrated.' : 'Previous master keys can now be removed from WALLET_ENCRYPTION_PREVIOUS_KEYS.'}`);
+
+  } catch (error) {
+    console.error('Wallet re-encryption error:', error);
+    await recordAuditLog(userId, 'reencryptwallets', { result: 'failure', error });
+    await safeSendMessage(chatId, `❌ Error re-encrypting wallet keys: ${error.message}`);
+  }
+});
+
+// CANCEL COMMAND
+bot.onText(/\/cancel/, async (msg) => {
+  const chatId = msg.chat.id;
+  const session = await userSessions.get(chatId);
+  
+  if (session) {
+    await userSessions.delete(chatId);
+    await safeSendMessage(chatId, '❌ Current operation cancelled.', mainMenu);
+  } else {
+    await safeSendMessage(chatId, 'No active operation to cancel.', mainMenu);
+  }
+});
+
+// ERROR HANDLERS
+bot.on('polling_error', (error) => {
+  console.error('Polling error:', error.code, error.message);
+  
+  if (error.code === 'ETELEGRAM' && error.message.includes('409')) {
+    console.log('🔄 Detected conflict, restarting bot...');
+    setTimeout(() => {
+      process.exit(1);
+    }, 5000);
+  }
+});
+
+bot.on('webhook_error', (error) => {
+  console.error('Webhook error:', error);
+});
+
+if (!isDevelopment) {
+  bot.on('error', (error) => {
+    console.error('Bot error:', error);
+  });
+}
+
+// GRACEFUL SHUTDOWN HANDLERS
+process.on('SIGINT', async () => {
+  console.log('🛑 Received SIGINT, shutting down gracefully...');
+  
+  if (isDevelopment) {
+    bot.stopPolling();
+  }
+  
+  console.log('✅ Cleanup completed, exiting...');
+  process.exit(0);
+});
+
+process.on('SIGTERM', async () => {
+  console.log('🛑 Received SIGTERM, shutting down gracefully...');
+  
+  if (isDevelopment) {
+    bot.stopPolling();
+  }
+  
+  process.exit(0);
+});
+
+// UNCAUGHT EXCEPTION HANDLERS
+process.on('uncaughtException', (error) => {
+  console.error('💥 Uncaught Exception:', error);
+  console.error('Stack:', error.stack);
+  
+  setTimeout(() => {
+    console.log('🔄 Continuing after uncaught exception...');
+  }, 1000);
+});
+
+process.on('unhandledRejection', (reason, promise) => {
+  console.error('💥 Unhandled Promise Rejection at:', promise);
+  console.error('Reason:', reason);
+  
+  setTimeout(() => {
+    console.log('🔄 Continuing after unhandled rejection...');
+  }, 1000);
+});
+
+// MARKET SYNC JOB
+// Reconciles on-chain markets into the Market table: inserts markets created
+// elsewhere (e.g. the website), and refreshes volumes, bettor counts and
+// resolution for unresolved markets. Progress is kept in bot_state so runs are
+// incremental and safe to repeat.
+const MARKET_SYNC_INTERVAL_MS = parseInt(process.env.MARKET_SYNC_INTERVAL_MINUTES || '10') * 60 * 1000;
+let isMarketSyncRunning = false;
+
+async function syncMarketsFromChain() {
+  if (isMarketSyncRunning) return;
+  isMarketSyncRunning = true;
+
+  try {
+    const state = (await getBotState('market_sync')) || { marketCount: 0 };
+    const blockNumber = await retryRPCCallOptimized(async () => await provider.getBlockNumber());
+    const allMarketIds = await retryRPCCallOptimized(async () => {
+      updateContracts();
+      return await factoryContract.getAllMarkets();
+    });
+
+    // getAllMarkets() only ever appends, so only markets past the last count are new.
+    // The cursor stops at the first market that failed to insert so the next run
+    // retries it; markets after it are skipped by insertMissingMarkets if already stored.
+    const startIndex = Math.min(state.marketCount || 0, allMarketIds.length);
+    const newMarketIds = [...allMarketIds].slice(startIndex);
+    const { inserted, firstFailedIndex } = await insertMissingMarkets(newMarketIds);
+    const refreshed = await refreshUnresolvedMarkets();
+
+    await setBotState('market_sync', {
+      marketCount: startIndex + (firstFailedIndex ?? newMarketIds.length),
+      lastBlock: blockNumber,
+      lastSyncedAt: new Date().toISOString()
+    });
+
+    console.log(`🔁 Market sync complete - Block: ${blockNumber}, Markets: ${allMarketIds.length}, Inserted: ${inserted}, Refreshed: ${refreshed}`);
+
+  } catch (error) {
+    console.error('❌ Market sync failed:', error.message);
+  } finally {
+    isMarketSyncRunning = false;
+  }
+}
+
+// Insert on-chain markets missing from the Market table, and the outcomes of
+// stored ones that have none. Returns the number of markets inserted and the
+// index of the first market that failed, or null.
+async function insertMissingMarkets(onChainMarketIds) {
+  let inserted = 0;
+  let firstFailedIndex = null;
+
+  for (let i = 0; i < onChainMarketIds.length; i += 100) {
+    const batch = onChainMarketIds.slice(i, i + 100);
+
+    const { data: existing, error } = await supabaseAdmin
+      .from('Market')
+      .select('id, marketId, optionA, optionB')
+      .in('marketId', batch);
+
+    if (error) throw error;
+
+    const known = new Map((existing || []).map(market => [market.marketId, market]));
+    const withOutcomes = new Set();
+    if (known.size > 0) {
+      const { data: outcomes, error: outcomesError } = await supabaseAdmin
+        .from('Outcome')
+        .select('marketId')
+        .in('marketId', [...known.values()].map(market => market.id));
+
+      if (outcomesError) throw outcomesError;
+      for (const outcome of outcomes || []) {
+        withOutcomes.add(outcome.marketId);
+      }
+    }
+
+    for (const [offset, onChainMarketId] of batch.entries()) {
+      const market = known.get(onChainMarketId);
+      if (market && withOutcomes.has(market.id)) continue;
+
+      try {
+        if (market) {
+          await insertMarketOutcomes(market);
+        } else {
+          await insertMarketFromChain(onChainMarketId);
+          inserted++;
+        }
+      } catch (insertError) {
+        console.error(`Error syncing market ${onChainMarketId}:`, insertError.message);
+        firstFailedIndex ??= i + offset;
+      }
+    }
+  }
+
+  return { inserted, firstFailedIndex };
+}
+
+async function insertMarketFromChain(onChainMarketId) {
+  const [details, contractAddress] = await Promise.all([
+    retryRPCCallOptimized(async () => {
+      updateContracts();
+      return await factoryContract.getMarketDetails(onChainMarketId);
+    }),
+    retryRPCCallOptimized(async () => await factoryContract.getMarketAddress(onChainMarketId))
+  ]);
+
+  // A bot-created market whose ID could not be parsed is repaired, not duplicated
+  const placeholder = await findPlaceholderMarket(details.question, details.endTime);
+  if (placeholder) {
+    await repairMarketId(placeholder, onChainMarketId, contractAddress);
+    return;
+  }
+
+  const { data: createdMarket, error: marketError } = await supabaseAdmin
+    .from('Market')
+    .insert([{
+      marketId: onChainMarketId,
+      contractAddress: contractAddress,
+      question: details.question,
+      optionA: details.optionA,
+      optionB: details.optionB,
+      expiry: new Date(Number(details.endTime) * 1000).toISOString(),
+      creatorId: null,
+      isResolved: false,
+      outcome: null,
+      volumeA: parseFloat(ethers.formatUnits(details.volumeA, 6)),
+      volumeB: parseFloat(ethers.formatUnits(details.volumeB, 6)),
+      totalVolume: parseFloat(ethers.formatUnits(details.totalVolume, 6)),
+      bettorCount: Number(details.bettorCount),
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      image: null,
+      tags: null
+    }])
+    .select()
+    .single();
+
+  if (marketError) throw marketError;
+
+  await insertMarketOutcomes(createdMarket);
+
+  if (details.resolved) {
+    await syncMarketResolution(createdMarket);
+  }
+}
+
+// The Market and Outcome inserts are separate requests. If the bot stops between
+// them, the sync cursor stays on that market and the next run adds its outcomes.
+async function insertMarketOutcomes(market) {
+  const { error } = await supabaseAdmin
+    .from('Outcome')
+    .insert([market.optionA, market.optionB].map(title => ({
+      marketId: market.id,
+      outcome_title: title,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    })));
+
+  if (error) throw error;
+}
+
+async function refreshUnresolvedMarkets() {
+  const { data: markets, error } = await supabaseAdmin
+    .from('Market')
+    .select('id, marketId, question, optionA, optionB')
+    .eq('isResolved', false)
+    .like('marketId', '0x%');
+
+  if (error) throw error;
+
+  let refreshed = 0;
+  for (const market of markets || []) {
+    if (!ethers.isHexString(market.marketId, 32)) continue;
+
+    try {
+      const details = await retryRPCCallOptimized(async () => {
+        updateContracts();
+        return await factoryContract.getMarketDetails(market.marketId);
+      });
+
+      const { error: updateError } = await supabaseAdmin
+        .from('Market')
+        .update({
+          volumeA: parseFloat(ethers.formatUnits(details.volumeA, 6)),
+          volumeB: parseFloat(ethers.formatUnits(details.volumeB, 6)),
+          totalVolume: parseFloat(ethers.formatUnits(details.totalVolume, 6)),
+          bettorCount: Number(details.bettorCount),
+          updatedAt: new Date().toISOString()
+        })
+        .eq('id', market.id);
+
+      if (updateError) throw updateError;
+
+      if (details.resolved) {
+        await syncMarketResolution(market);
+      }
+      refreshed++;
+    } catch (refreshError) {
+      console.error(`Error refreshing market ${market.id}:`, refreshError.message);
+    }
+  }
+
+  return refreshed;
+}
+
+// Copy the on-chain outcome of a resolved market onto its Market row
+async function syncMarketResolution(market) {
+  if (!MARKET_OUTCOME) return;
+
+  const marketAddress = await retryRPCCallOptimized(async () => {
+    updateContracts();
+    return await factoryContract.getMarketAddress(market.marketId);
+  });
+
+  const marketContract = new ethers.Contract(marketAddress, MARKET_ABI, provider);
+  const info = await retryRPCCallOptimized(async () => await marketContract.getMarketInfo());
+
+  if (!info.resolved) return;
+
+  const choice = getResolutionChoice(Number(info.outcome));
+  if (!choice) {
+    console.warn(`Market ${market.id} is resolved on-chain but its outcome ${info.outcome} is not in MARKET_OUTCOME_VALUES`);
+    return;
+  }
+  await recordMarketResolution(market, choice);
+}
+
+// MARKET ID REPAIR
+// Older versions of the bot saved markets with a created_<timestamp> placeholder
+// when they could not tell which on-chain market a creation made. These are matched
+// back to their on-chain ID, from the creation receipt when we have its hash,
+// otherwise by question, options and end time.
+async function findPlaceholderMarket(question, endTime) {
+  const { data: placeholders, error } = await supabaseAdmin
+    .from('Market')
+    .select('id, marketId, question, expiry')
+    .like('marketId', 'created_%')
+    .eq('question', question);
+
+  if (error) throw error;
+
+  return (placeholders || []).find(market =>
+    Math.floor(new Date(market.expiry).getTime() / 1000) === Number(endTime)
+  ) || null;
+}
+
+async function repairMarketId(market, onChainMarketId, contractAddress) {
+  const { error } = await supabaseAdmin
+    .from('Market')
+    .update({
+      marketId: onChainMarketId,
+      contractAddress: contractAddress,
+      updatedAt: new Date().toISOString()
+    })
+    .eq('id', market.id)
+    .like('marketId', 'created_%');
+
+  if (error) throw error;
+  console.log(`🔧 Repaired market ${market.id}: ${market.marketId} -> ${onChainMarketId}`);
+}
+
+// Resolve the on-chain ID of a placeholder market, or null if it cannot be found
+async function findOnChainMarketId(market, onChainMarkets) {
+  if (market.creationTxHash) {
+    try {
+      const receipt = await retryRPCCallOptimized(async () => {
+        return await provider.getTransactionReceipt(market.creationTxHash);
+      });
+      const createdMarket = receipt && await findCreatedMarket(receipt, market);
+      if (createdMarket) {
+        return { marketId: createdMarket.marketId, contractAddress: createdMarket.marketContract };
+      }
+    } catch (receiptError) {
+      // The node may no longer serve state at that block; fall back to the scan
+      console.warn(`Could not check creation receipt of market ${market.id}:`, receiptError.message);
+    }
+  }
+
+  const matches = (await onChainMarkets()).filter(details => matchesMarketDetails(details, market));
+  if (matches.length !== 1) return null;
+  const match = matches[0];
+
+  const contractAddress = await retryRPCCallOptimized(async () => {
+    return await factoryContract.getMarketAddress(match.marketId);
+  });
+  return { marketId: match.marketId, contractAddress };
+}
+
+bot.onText(/\/repairmarkets/, async (msg) => {
+  const userId = msg.from.id;
+  if (!await hasPermission(userId, 'repairmarkets')) return;
+
+  const chatId = msg.chat.id;
+
+  try {
+    const { data: markets, error } = await supabaseAdmin
+      .from('Market')
+      .select('id, marketId, question, optionA, optionB, expiry, creationTxHash')
+      .like('marketId', 'created_%');
+
+    if (error) throw error;
+
+    if (!markets || markets.length === 0) {
+      await safeSendMessage(chatId, '✅ No markets with placeholder IDs found.');
+      return;
+    }
+
+    await safeSendMessage(chatId, `🔧 Repairing ${markets.length} market${markets.length === 1 ? '' : 's'} with placeholder IDs...`);
+
+    // Only scan the factory (one RPC call per market) if a receipt lookup fails
+    let onChainMarketsCache = null;
+    const onChainMarkets = async () => {
+      if (!onChainMarketsCache) {
+        updateContracts();
+        const ids = await retryRPCCallOptimized(async () => await factoryContract.getAllMarkets());
+        onChainMarketsCache = [];
+        for (const id of ids) {
+          const details = await retryRPCCallOptimized(async () => await factoryContract.getMarketDetails(id));
+          onChainMarketsCache.push({
+            marketId: id,
+            question: details.question,
+            optionA: details.optionA,
+            optionB: details.optionB,
+            endTime: details.endTime
+          });
+        }
+      }
+      return onChainMarketsCache;
+    };
+
+    const repairedIds = [];
+    const problems = [];
+
+    for (const market of markets) {
+      try {
+        const found = await findOnChainMarketId(market, onChainMarkets);
+        if (!found) {
+          problems.push(`${market.id}: no matching on-chain market`);
+          continue;
+        }
+
+        // The sync job may already have inserted the on-chain market as a separate row
+        const { data: duplicate } = await supabaseAdmin
+          .from('Market')
+          .select('id, creatorId')
+          .eq('marketId', found.marketId)
+          .maybeSingle();
+
+        if (duplicate) {
+          const removed = duplicate.creatorId ? false : await removeSyncedDuplicate(duplicate.id);
+          if (!removed) {
+            problems.push(`${market.id}: on-chain ID already used by market ${duplicate.id}`);
+            continue;
+          }
+        }
+
+        await repairMarketId(market, found.marketId, found.contractAddress);
+        repairedIds.push(market.id);
+      } catch (marketError) {
+        console.error(`Error repairing market ${market.id}:`, marketError);
+        problems.push(`${market.id}: ${marketError.message}`);
+      }
+    }
+
+    await recordAuditLog(userId, 'repairmarkets', {
+      args: { skipped: problems.length },
+      entityType: 'Market',
+      entityIds: repairedIds,
+      result: problems.length > 0 ? 'partial' : 'success'
+    });
+
+    await safeSendMessage(chatId, `🔧 **Market Repair Complete**
+
+**Repaired:** ${repairedIds.length}
+**Skipped:** ${problems.length}
+${problems.length > 0 ? `\n${problems.slice(0, 10).map(problem => `• ${problem}`).join('\n')}` : ''}`);
+
+  } catch (error) {
+    console.error('Market repair error:', error);
+    await recordAuditLog(userId, 'repairmarkets', { result: 'failure', error });
+    await safeSendMessage(chatId, `❌ Error repairing markets: ${error.message}`);
+  }
+});
+
+// Delete a market row inserted by the sync job, unless it already has trades
+async function removeSyncedDuplicate(marketDbId) {
+  const { data: outcomes } = await supabaseAdmin
+    .from('Outcome')
+    .select('id')
+    .eq('marketId', marketDbId);
+
+  const outcomeIds = (outcomes || []).map(outcome => outcome.id);
+  if (outcomeIds.length > 0) {
+    const { count } = await supabaseAdmin
+      .from('Trade')
+      .select('id', { count: 'exact', head: true })
+      .in('outcomeId', outcomeIds);
+
+    if (count > 0) return false;
+
+    await supabaseAdmin.from('Outcome').delete().in('id', outcomeIds);
+  }
+
+  const { error } = await supabaseAdmin.from('Market').delete().eq('id', marketDbId);
+  return !error;
+}
+
+setInterval(syncMarketsFromChain, MARKET_SYNC_INTERVAL_MS);
+setTimeout(syncMarketsFromChain, 30 * 1000);
+
+setInterval(checkStuckTransactions, 60 * 1000);
+
+// OUTBOX WORKER
+// Finishes outbox entries whose database write failed or was interrupted. Entries
+// are only picked up once they have been idle for OUTBOX_RETRY_DELAY_MS so the
+// worker does not race a flow that is still waiting on its transaction.
+const OUTBOX_WORKER_INTERVAL_MS = 60 * 1000;
+const OUTBOX_RETRY_DELAY_MS = 5 * 60 * 1000;
+let isOutboxWorkerRunning = false;
+
+// Check a submitted or mined entry against the chain and persist it if possible
+async function processOutboxEntry(entry) {
+  if (!entry.tx_hash) return 'no transaction hash';
+
+  const receipt = await getOutboxReceipt(entry);
+  if (!receipt) return 'not mined yet';
+
+  if (receipt.status !== 1) {
+    await updateOutboxEntry(entry.id, { status: 'failed', last_error: 'Transaction reverted' });
+    return 'reverted';
+  }
+
+  if (isCancellationReceipt(receipt)) {
+    await updateOutboxEntry(entry.id, { status: 'failed', tx_hash: receipt.hash, last_error: 'Cancelled by user' });
+    return 'cancelled';
+  }
+
+  if (entry.status === 'submitted') {
+    await updateOutboxEntry(entry.id, { status: 'mined', tx_hash: receipt.hash, block_number: receipt.blockNumber });
+  }
+
+  await persistOutboxEntry(entry, receipt);
+  return 'persisted';
+}
+
+async function processOutbox() {
+  if (isOutboxWorkerRunning) return;
+  isOutboxWorkerRunning = true;
+
+  try {
+    const { data: entries, error } = await supabaseAdmin
+      .from('bot_transactions')
+      .select('*')
+      .in('status', ['submitted', 'mined'])
+      .lt('attempts', OUTBOX_MAX_ATTEMPTS)
+      .lt('updated_at', new Date(Date.now() - OUTBOX_RETRY_DELAY_MS).toISOString())
+      .order('created_at', { ascending: true })
+      .limit(50);
+
+    if (error) throw error;
+
+    let persisted = 0;
+    for (const entry of entries || []) {
+      try {
+        if (await processOutboxEntry(entry) === 'persisted') persisted++;
+      } catch (entryError) {
+        console.error(`Error processing outbox entry ${entry.id}:`, entryError.message);
+      }
+    }
+
+    if (persisted > 0) {
+      console.log(`📬 Outbox worker persisted ${persisted} transaction${persisted === 1 ? '' : 's'}`);
+    }
+
+  } catch (error) {
+    console.error('❌ Outbox worker failed:', error.message);
+  } finally {
+    isOutboxWorkerRunning = false;
+  }
+}
+
+// OUTBOX ADMIN VIEW
+// /outbox lists entries that have not reached persisted or failed in time;
+// /outbox retry <id> resets an entry's attempts and processes it immediately.
+bot.onText(/\/outbox(?:\s+retry\s+(\S+))?/, async (msg, match) => {
+  const userId = msg.from.id;
+  if (!await hasPermission(userId, 'outbox')) return;
+
+  const chatId = msg.chat.id;
+
+  try {
+    if (match[1]) {
+      if (!await hasPermission(userId, 'outbox_retry')) {
+        await safeSendMessage(chatId, '❌ Retrying outbox entries requires ADMIN access.');
+        return;
+      }
+
+      const { data: entry, error } = await supabaseAdmin
+        .from('bot_transactions')
+        .select('*')
+        .eq('id', match[1])
+        .maybeSingle();
+
+      if (error) throw error;
+
+      if (!entry) {
+        await safeSendMessage(chatId, '❌ Outbox entry not found.');
+        return;
+      }
+
+      if (entry.status === 'persisted' || entry.status === 'failed') {
+        await safeSendMessage(chatId, `ℹ️ Entry ${entry.id} is already ${entry.status}.`);
+        return;
+      }
+
+      await updateOutboxEntry(entry.id, { attempts: 0 });
+      const result = await processOutboxEntry({ ...entry, attempts: 0 });
+      await recordAuditLog(userId, 'outbox_retry', {
+        args: { kind: entry.kind, previousStatus: entry.status, outcome: result },
+        entityType: 'bot_transactions',
+        entityIds: [entry.id]
+      });
+      await safeSendMessage(chatId, `📬 Entry ${entry.id}: ${result}`);
+      return;
+    }
+
+    const { data: entries, error } = await supabaseAdmin
+      .from('bot_transactions')
+      .select('id, kind, status, telegram_id, wallet_address, tx_hash, attempts, last_error, created_at')
+      .in('status', ['pending', 'submitted', 'mined'])
+      .lt('updated_at', new Date(Date.now() - OUTBOX_RETRY_DELAY_MS).toISOString())
+      .order('created_at', { ascending: true })
+      .limit(15);
+
+    if (error) throw error;
+    await recordAuditLog(userId, 'outbox', { args: { action: 'view' } });
+
+    if (!entries || entries.length === 0) {
+      await safeSendMessage(chatId, '✅ No stuck transactions in the outbox.');
+      return;
+    }
+
+    let message = `📬 **Stuck Outbox Transactions** (${entries.length})\n\n`;
+
+    for (const entry of entries) {
+      message += `**#${entry.id}** ${entry.kind} - ${entry.status}\n`;
+      message += `User: ${entry.telegram_id} | Attempts: ${entry.attempts}\n`;
+      message += `Tx: ${entry.tx_hash || 'none'}\n`;
+      message += `Created: ${formatAbsoluteDateTime(entry.created_at)}\n`;
+      if (entry.last_error) {
+        message += `Error: ${entry.last_error.substring(0, 100)}\n`;
+      }
+      message += '\n';
+    }
+
+    message += 'Use /outbox retry <id> to process an entry now. Pending entries have no transaction hash; check the wallet manually.';
+
+    await safeSendMessage(chatId, message);
+
+  } catch (error) {
+    console.error('Outbox view error:', error);
+    await recordAuditLog(userId, match[1] ? 'outbox_retry' : 'outbox', {
+      entityType: match[1] ? 'bot_transactions' : null,
+      entityIds: match[1] ? [match[1]] : [],
+      result: 'failure',
+      error
+    });
+    await safeSendMessage(chatId, `❌ Error loading outbox: ${error.message}`);
+  }
+});
+
+setInterval(processOutbox, OUTBOX_WORKER_INTERVAL_MS);
+setTimeout(processOutbox, 20 * 1000);
+
+// GAS SPONSORSHIP
+// When enabled, a Spredd wallet that holds USDC but not enough ETH for gas gets a
+// small ETH top-up from adminWallet. Drips are limited per user per day and by a
+// global daily budget, reserved atomically by the reserve_gas_drip() database
+// function and recorded in bot_gas_drips, and can be paused with /gasdrip.
+// The drip is only sent right before a confirmed bet or market creation, and
+// sponsored ETH received in the last GAS_DRIP_LOCK_DAYS cannot be withdrawn, so
+// the program cannot be used as a faucet.
+const GAS_DRIP_ENABLED = process.env.GAS_DRIP_ENABLED === 'true';
+const GAS_DRIP_AMOUNT = ethers.parseEther(process.env.GAS_DRIP_AMOUNT_ETH || '0.0015');
+const GAS_DRIP_DAILY_LIMIT_PER_USER = parseInt(process.env.GAS_DRIP_DAILY_LIMIT_PER_USER || '2');
+const GAS_DRIP_DAILY_BUDGET = ethers.parseEther(process.env.GAS_DRIP_DAILY_BUDGET_ETH || '0.05');
+const GAS_DRIP_MIN_USDC = 1;
+const GAS_DRIP_MIN_ETH = 0.001;
+const GAS_DRIP_LOCK_DAYS = 30;
+const gasDripsInFlight = new Set();
+
+async function getGasDripSpend(since, dbUserId = null) {
+  let query = supabaseAdmin
+    .from('bot_gas_drips')
+    .select('amount_wei')
+    .neq('status', 'failed')
+    .gte('created_at', since.toISOString());
+
+  if (dbUserId) {
+    query = query.eq('user_id', dbUserId);
+  }
+
+  const { data, error } = await query;
+  if (error) throw error;
+
+  return {
+    count: (data || []).length,
+    total: (data || []).reduce((sum, drip) => sum + BigInt(drip.amount_wei), 0n)
+  };
+}
+
+// Whether a wallet with this USDC balance would get a drip right now. Used when
+// showing prompts, so a user without ETH can continue to the confirm step.
+async function canSponsorGas(userId, usdcBalance) {
+  if (!GAS_DRIP_ENABLED || parseFloat(usdcBalance) < GAS_DRIP_MIN_USDC) return false;
+
+  try {
+    const state = await getBotState('gas_drip');
+    if (state?.paused) return false;
+
+    const user = await getOrCreateUserOptimized(userId);
+    const since = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    const [userSpend, globalSpend] = await Promise.all([
+      getGasDripSpend(since, user.id),
+      getGasDripSpend(since)
+    ]);
+
+    if (userSpend.count >= GAS_DRIP_DAILY_LIMIT_PER_USER) return false;
+
+    if (globalSpend.total + GAS_DRIP_AMOUNT > GAS_DRIP_DAILY_BUDGET) {
+      console.warn('⛽ Gas drip daily budget reached');
+      return false;
+    }
+
+    return true;
+  } catch (error) {
+    console.error('Gas drip eligibility error:', error);
+    return false;
+  }
+}
+
+// Sponsored ETH the user received recently; it stays locked for gas and is
+// excluded from withdrawals
+async function getSponsoredGasWei(userId) {
+  const user = await getOrCreateUserOptimized(userId);
+  const { data, error } = await supabaseAdmin
+    .from('bot_gas_drips')
+    .select('amount_wei')
+    .eq('user_id', user.id)
+    .eq('status', 'confirmed')
+    .gte('created_at', new Date(Date.now() - GAS_DRIP_LOCK_DAYS * 24 * 60 * 60 * 1000).toISOString());
+
+  if (error) throw error;
+  return (data || []).reduce((sum, drip) => sum + BigInt(drip.amount_wei), 0n);
+}
+
+// Top up a wallet's gas right before a bet or market creation is sent, if it is
+// low and the user qualifies. Returns the new ETH balance, or null if no drip was sent.
+async function maybeSponsorGas(chatId, userId, walletAddress) {
+  if (!GAS_DRIP_ENABLED || gasDripsInFlight.has(userId)) {
+    return null;
+  }
+
+  gasDripsInFlight.add(userId);
+  let dripId = null;
+
+  try {
+    const [usdcBalance, ethBalance] = await Promise.all([
+      getUSDCBalance(walletAddress),
+      getETHBalance(walletAddress)
+    ]);
+    if (parseFloat(ethBalance) > GAS_DRIP_MIN_ETH || !await canSponsorGas(userId, usdcBalance)) return null;
+
+    const user = await getOrCreateUserOptimized(userId);
+    const adminBalance = await retryRPCCallOptimized(async () => await provider.getBalance(adminWallet.address));
+
+    if (adminBalance < GAS_DRIP_AMOUNT * 2n) {
+      console.warn(`⛽ Admin wallet balance too low for gas drips: ${ethers.formatEther(adminBalance)} ETH`);
+      return null;
+    }
+
+    const { data: reservedId, error } = await supabaseAdmin.rpc('reserve_gas_drip', {
+      p_user_id: user.id,
+      p_address: walletAddress,
+      p_amount: ethers.formatEther(GAS_DRIP_AMOUNT),
+      p_amount_wei: GAS_DRIP_AMOUNT.toString(),
+      p_daily_limit: GAS_DRIP_DAILY_LIMIT_PER_USER,
+      p_daily_budget_wei: GAS_DRIP_DAILY_BUDGET.toString()
+    });
+
+    if (error) throw error;
+    // Another drip used up the quota or budget since canSponsorGas checked
+    if (!reservedId) return null;
+    dripId = reservedId;
+
+    const processingMsg = await safeSendMessage(chatId, '⛽ Topping up your wallet with ETH for gas...');
+
+    const tx = await sendWalletTransaction(adminWallet, { to: walletAddress, value: GAS_DRIP_AMOUNT }, { label: 'gas top-up' });
+    await supabaseAdmin.from('bot_gas_drips').update({ tx_hash: tx.hash }).eq('id', dripId);
+
+    const receipt = await waitForWalletTransaction(tx);
+    if (!receipt || receipt.status !== 1) {
+      throw new Error('Gas drip transaction reverted');
+    }
+
+    await supabaseAdmin
+      .from('bot_gas_drips')
+      .update({ tx_hash: receipt.hash, status: 'confirmed', block_number: receipt.blockNumber })
+      .eq('id', dripId);
+
+    const newEthBalance = await getETHBalance(walletAddress);
+
+    if (processingMsg) {
+      await safeEditMessage(chatId, processingMsg.message_id, `⛽ **Gas Covered**
+
+We sent ${ethers.formatEther(GAS_DRIP_AMOUNT)} ETH to your wallet for transaction fees.`);
+    }
+
+    return newEthBalance;
+
+  } catch (error) {
+    console.error('Gas drip error:', error);
+    if (dripId) {
+      await supabaseAdmin
+        .from('bot_gas_drips')
+        .update({ status: 'failed', error: error.message?.slice(0, 500) })
+        .eq('id', dripId);
+    }
+    return null;
+  } finally {
+    gasDripsInFlight.delete(userId);
+  }
+}
+
+// GAS DRIP ADMIN COMMAND
+// /gasdrip shows spend and settings; /gasdrip pause and /gasdrip resume toggle the program
+bot.onText(/\/gasdrip(?:\s+(pause|resume))?/, async (msg, match) => {
+  const userId = msg.from.id;
+  if (!await hasPermission(userId, 'gasdrip')) return;
+
+  const chatId = msg.chat.id;
+
+  try {
+    if (match[1]) {
+      const paused = match[1] === 'pause';
+      await setBotState('gas_drip', { paused, updatedBy: userId, updatedAt: new Date().toISOString() });
+      await recordAuditLog(userId, 'gasdrip', { args: { action: match[1] } });
+      await safeSendMessage(chatId, paused ? '⏸️ Gas drips paused.' : '▶️ Gas drips resumed.');
+      return;
+    }
+
+    const now = Date.now();
+    const [state, daySpend, weekSpend, adminBalance, recent] = await Promise.all([
+      getBotState('gas_drip'),
+      getGasDripSpend(new Date(now - 24 * 60 * 60 * 1000)),
+      getGasDripSpend(new Date(now - 7 * 24 * 60 * 60 * 1000)),
+      retryRPCCallOptimized(async () => await provider.getBalance(adminWallet.address)),
+      supabaseAdmin
+        .from('bot_gas_drips')
+        .select('address, amount, status, created_at')
+        .order('created_at', { ascending: false })
+        .limit(5)
+    ]);
+
+    let message = `⛽ **Gas Sponsorship**
+
+**Status:** ${!GAS_DRIP_ENABLED ? '❌ Disabled (GAS_DRIP_ENABLED)' : state?.paused ? '⏸️ Paused' : '✅ Active'}
+**Drip Amount:** ${ethers.formatEther(GAS_DRIP_AMOUNT)} ETH
+**Per-User Limit:** ${GAS_DRIP_DAILY_LIMIT_PER_USER} per 24h
+**Daily Budget:** ${ethers.formatEther(GAS_DRIP_DAILY_BUDGET)} ETH
+
+**Last 24h:** ${daySpend.count} drips, ${ethers.formatEther(daySpend.total)} ETH
+**Last 7 days:** ${weekSpend.count} drips, ${ethers.formatEther(weekSpend.total)} ETH
+**Admin Wallet:** ${ethers.formatEther(adminBalance)} ETH
+`;
+
+    if (recent.data && recent.data.length > 0) {
+      message += '\n**Recent Drips:**\n';
+      for (const drip of recent.data) {
+        message += `• ${drip.address.slice(0, 8)}... ${drip.amount} ETH - ${drip.status} (${formatAbsoluteDateTime(drip.created_at)})\n`;
+      }
+    }
+
+    message += '\nUse /gasdrip pause or /gasdrip resume to control the program.';
+
+    await recordAuditLog(userId, 'gasdrip', { args: { action: 'view' } });
+
+    await safeSendMessage(chatId, message);
+
+  } catch (error) {
+    console.error('Gas drip admin error:', error);
+    await recordAuditLog(userId, 'gasdrip', { args: { action: match[1] || 'view' }, result: 'failure', error });
+    await safeSendMessage(chatId, `❌ Error loading gas drip status: ${error.message}`);
+  }
+});
+
+// NOTIFICATION SCHEDULER
+// Tells bettors when a market they bet on is about to close, has closed and has
+// been resolved, and tells creators when their market needs resolution. Each
+// notice has a key claimed in bot_notifications before it is sent, so it goes
+// out at most once even when runs overlap with the /resolve flow.
+const NOTIFICATION_INTERVAL_MS = 5 * 60 * 1000;
+const CLOSING_SOON_WINDOW_MS = 60 * 60 * 1000;
+const NOTIFICATION_LOOKBACK_MS = 24 * 60 * 60 * 1000;
+let isNotificationSchedulerRunning = false;
+
+// Which /settings category each scheduled notice belongs to
+const NOTIFICATION_KIND_CATEGORIES = {
+  closing_soon: 'reminders',
+  market_closed: 'reminders',
+  needs_resolution: 'reminders',
+  resolved: 'results'
+};
+
+async function sendNotificationOnce(kind, notificationKey, telegramId, text, options = {}) {
+  const preferences = await getUserPreferences(telegramId);
+  const preference = NOTIFICATION_CATEGORIES[NOTIFICATION_KIND_CATEGORIES[kind]].preference;
+  if (preferences.muted || preferences[preference] === false) return false;
+
+  const { data: claimed, error } = await supabaseAdmin
+    .from('bot_notifications')
+    .upsert([{
+      notification_key: notificationKey,
+      kind,
+      telegram_id: telegramId,
+      sent_at: new Date().toISOString()
+    }], { onConflict: 'notification_key', ignoreDuplicates: true })
+    .select('notification_key');
+
+  if (error) {
+    console.error(`Error claiming notification ${notificationKey}:`, error);
+    return false;
+  }
+  if (!claimed || claimed.length === 0) return false;
+
+  try {
+    await safeSendMessage(telegramId, text, { ...options, disable_notification: isInQuietHours(preferences) });
+    return true;
+  } catch (sendError) {
+    console.error(`Could not send notification ${notificationKey}:`, sendError.message);
+
+    // Release the claim so the next run retries, unless the user has blocked the bot
+    if (sendError.response?.statusCode !== 403) {
+      const { error: releaseError } = await supabaseAdmin
+        .from('bot_notifications')
+        .delete()
+        .eq('notification_key', notificationKey);
+      if (releaseError) console.error(`Error releasing notification ${notificationKey}:`, releaseError);
+    }
+    return false;
+  } finally {
+    // Stay well under Telegram's global rate limit
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+}
+
+// Load a market's bets grouped by bettor: telegram_id -> { userId, trades }
+async function getMarketBettors(outcomeIds) {
+  if (outcomeIds.length === 0) return new Map();
+
+  const trades = await fetchAllRows(() => supabaseAdmin
+    .from('Trade')
+    .select('amount, outcomeId, userId, User!inner(telegram_id)')
+    .in('outcomeId', outcomeIds)
+    .order('id', { ascending: true }));
+
+  const bettors = new Map();
+  for (const trade of trades) {
+    const telegramId = trade.User.telegram_id;
+    if (!bettors.has(telegramId)) bettors.set(telegramId, { userId: trade.userId, trades: [] });
+    bettors.get(telegramId).trades.push(trade);
+  }
+  return bettors;
+}
+
+async function getMarketOutcomes(marketDbId) {
+  const { data: outcomes, error } = await supabaseAdmin
+    .from('Outcome')
+    .select('id, outcome_title')
+    .eq('marketId', marketDbId);
+
+  if (error) throw error;
+  return outcomes || [];
+}
+
+async function notifyMarketClosingSoon(market) {
+  const outcomes = await getMarketOutcomes(market.id);
+  const bettors = await getMarketBettors(outcomes.map(outcome => outcome.id));
+  const minutesLeft = Math.max(1, Math.round((new Date(market.expiry).getTime() - Date.now()) / 60000));
+  const ref = encodeMarketRef(market.id);
+  let sent = 0;
+
+  for (const telegramId of bettors.keys()) {
+    const timezone = await getUserTimezone(telegramId);
+    if (await sendNotificationOnce('closing_soon', `closing_soon:${market.id}:${telegramId}`, telegramId, `⏰ **Market Closing Soon**
+
+**Question:** ${market.question}
+**Closes in:** ${minutesLeft} minute${minutesLeft === 1 ? '' : 's'} (${formatAbsoluteDateTime(market.expiry, timezone)})
+
+Last chance to add to your position.`, {
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: '📈 View Market', callback_data: `mkt_${ref}` }]
+        ]
+      }
+    })) sent++;
+  }
+
+  return sent;
+}
+
+async function notifyMarketClosed(market) {
+  const outcomes = await getMarketOutcomes(market.id);
+  const bettors = await getMarketBettors(outcomes.map(outcome => outcome.id));
+  let sent = 0;
+
+  for (const telegramId of bettors.keys()) {
+    if (await sendNotificationOnce('market_closed', `market_closed:${market.id}:${telegramId}`, telegramId, `🔒 **Market Closed**
+
+**Question:** ${market.question}
+
+Betting has ended. We'll let you know as soon as the market is resolved.`, {
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: '📊 My Positions', callback_data: 'my_positions' }]
+        ]
+      }
+    })) sent++;
+  }
+
+  if (market.creatorId) {
+    const { data: creator } = await supabaseAdmin
+      .from('User')
+      .select('telegram_id')
+      .eq('id', market.creatorId)
+      .maybeSingle();
+
+    if (creator?.telegram_id && await sendNotificationOnce('needs_resolution', `needs_resolution:${market.id}`, creator.telegram_id, `📝 **Your Market Needs Resolution**
+
+**Question:** ${market.question}
+**Closed:** ${formatAbsoluteDateTime(market.expiry, await getUserTimezone(creator.telegram_id))}
+
+Your market has closed and is waiting for its outcome to be resolved so bettors can claim their winnings.`)) {
+      sent++;
+    }
+  }
+
+  return sent;
+}
+
+async function runNotificationScheduler() {
+  if (isNotificationSchedulerRunning) return;
+  isNotificationSchedulerRunning = true;
+
+  try {
+    const now = Date.now();
+    const nowIso = new Date(now).toISOString();
+    const lookbackIso = new Date(now - NOTIFICATION_LOOKBACK_MS).toISOString();
+    let sent = 0;
+
+    const [closingSoon, closed, resolved] = await Promise.all([
+      supabaseAdmin
+        .from('Market')
+        .select('id, question, expiry')
+        .eq('isResolved', false)
+        .gt('expiry', nowIso)
+        .lte('expiry', new Date(now + CLOSING_SOON_WINDOW_MS).toISOString()),
+      supabaseAdmin
+        .from('Market')
+        .select('id, question, expiry, creatorId')
+        .eq('isResolved', false)
+        .lte('expiry', nowIso)
+        .gt('expiry', lookbackIso),
+      supabaseAdmin
+        .from('Market')
+        .select('id, question, optionA, optionB, marketId, isVoid, outcome')
+        .eq('isResolved', true)
+        .gt('resolvedAt', lookbackIso)
+    ]);
+
+    for (const result of [closingSoon, closed, resolved]) {
+      if (result.error) throw result.error;
+    }
+
+    for (const market of closingSoon.data || []) {
+      sent += await notifyMarketClosingSoon(market);
     }
-    
-    // Test 4: Outcome table access
-    console.log('Testing Outcome table access...');
-    const { data: outcomeTest, error: outcomeError } = await supabaseAdmin
-      .from('Outcome')
-      .select('id, outcome_title, marketId')
-      .limit(3);
-    
-    if (outcomeError) {
-      await safeSendMessage(chatId, `❌ **Outcome Table Access Failed**\nError: ${outcomeError.message}`);
-    } else {
-      await safeSendMessage(chatId, `✅ Outcome table: OK (${outcomeTest?.length || 0} outcomes found)`);
+    for (const market of closed.data || []) {
+      sent += await notifyMarketClosed(market);
     }
-    
-    // Test 5: Trade table access
-    console.log('Testing Trade table access...');
-    const { data: tradeTest, error: tradeError } = await supabaseAdmin
-      .from('Trade')
-      .select('id, amount, userId')
-      .limit(3);
-    
-    if (tradeError) {
-      await safeSendMessage(chatId, `❌ **Trade Table Access Failed**\nError: ${tradeError.message}`);
-    } else {
-      await safeSendMessage(chatId, `✅ Trade table: OK (${tradeTest?.length || 0} trades found)`);
+    for (const market of resolved.data || []) {
+      sent += await notifyMarketResolution(market, await getMarketOutcomes(market.id));
     }
-    
-    // Test 6: bot_wallets table access
-    console.log('Testing bot_wallets table access...');
-    const { data: walletTest, error: walletError } = await supabaseAdmin
-      .from('bot_wallets')
-      .select('id, user_id, address')
-      .limit(3);
-    
-    if (walletError) {
-      await safeSendMessage(chatId, `❌ **bot_wallets Table Access Failed**\nError: ${walletError.message}`);
-    } else {
-      await safeSendMessage(chatId, `✅ bot_wallets table: OK (${walletTest?.length || 0} wallets found)`);
+
+    if (sent > 0) {
+      console.log(`🔔 Notification scheduler sent ${sent} notice${sent === 1 ? '' : 's'}`);
     }
-    
-    // Summary
-    await safeSendMessage(chatId, `**🔍 Database Test Summary**
 
-**Environment:**
-• Service Role Key: ${process.env.SUPABASE_SERVICE_ROLE_KEY ? 'SET' : 'MISSING'}
-• Anon Key: ${process.env.SUPABASE_ANON_KEY ? 'SET' : 'MISSING'}
-• URL: ${process.env.SUPABASE_URL ? 'SET' : 'MISSING'}
+  } catch (error) {
+    console.error('❌ Notification scheduler failed:', error.message);
+  } finally {
+    isNotificationSchedulerRunning = false;
+  }
+}
 
-**Next Steps:**
-If any table failed, check:
-1. RLS policies in Supabase dashboard
-2. Service role permissions
-3. Table schema matches bot expectations`);
+setInterval(runNotificationScheduler, NOTIFICATION_INTERVAL_MS);
+setTimeout(runNotificationScheduler, 45 * 1000);
+
+// DEPOSIT WATCHER
+// Watches every Spredd wallet for incoming USDC (Transfer events, scanned from a
+// block cursor in bot_state) and ETH (balance increases against the last seen
+// balance on bot_wallets), records deposits in bot_deposits and tells the user.
+// ETH is tracked by balance, so a deposit and gas spent in the same interval are
+// netted against each other; gas drips from the sponsorship program are subtracted.
+// The USDC cursor and the stored ETH balance only move once the deposit row is saved.
+const DEPOSIT_WATCH_INTERVAL_MS = parseInt(process.env.DEPOSIT_WATCH_INTERVAL_SECONDS || '60') * 1000;
+const DEPOSIT_SCAN_MAX_BLOCKS = 500;
+let isDepositWatchRunning = false;
+
+// Remember what a user was doing when they ran short of funds, so the deposit
+// notification can offer to pick it up again
+async function rememberResumeAction(chatId, resume) {
+  await userSessions.set(`resume:${chatId}`, resume);
+}
 
-  } catch (error) {
-    console.error('Database test error:', error);
-    await safeSendMessage(chatId, `❌ **Critical Database Error**\nError: ${error.message}\n\nStack: ${error.stack?.split('\n')[0]}`);
+async function loadWatchedWallets() {
+  const wallets = await fetchAllRows(() => supabaseAdmin
+    .from('bot_wallets')
+    .select('id, user_id, address, last_eth_balance, last_eth_block')
+    .order('id', { ascending: true }));
+
+  if (wallets.length === 0) return [];
+
+  const telegramIds = new Map();
+  const userIds = [...new Set(wallets.map(wallet => wallet.user_id))];
+  for (let i = 0; i < userIds.length; i += 200) {
+    const { data: users, error } = await supabaseAdmin
+      .from('User')
+      .select('id, telegram_id')
+      .in('id', userIds.slice(i, i + 200));
+
+    if (error) throw error;
+    for (const user of users || []) {
+      telegramIds.set(user.id, user.telegram_id);
+    }
   }
-});
 
-// CREATE TEST MARKET TOOL
-bot.onText(/\/createtestmarket/, async (msg) => {
-  const userId = msg.from.id;
-  if (!isAdmin(userId)) return;
+  return wallets
+    .filter(wallet => telegramIds.get(wallet.user_id))
+    .map(wallet => ({ ...wallet, telegramId: telegramIds.get(wallet.user_id) }));
+}
+
+async function watchDeposits() {
+  if (isDepositWatchRunning) return;
+  isDepositWatchRunning = true;
 
-  const chatId = msg.chat.id;
-  
   try {
-    await safeSendMessage(chatId, '🔨 Creating test market...');
-    
-    // Get or create admin user
-    const user = await getOrCreateUserOptimized(userId, 'Admin');
-    
-    // Create test market
-    const testMarket = {
-      marketId: `test_market_${Date.now()}`,
-      question: 'Will this test market work correctly?',
-      optionA: 'Yes',
-      optionB: 'No',
-      expiry: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(), // 24 hours from now
-      creatorId: user.id,
-      isResolved: false,
-      outcome: null,
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString(),
-      image: null,
-      tags: 'Testing'
-    };
-    
-    const { data: createdMarket, error: marketError } = await supabaseAdmin
-      .from('Market')
-      .insert([testMarket])
-      .select()
-      .single();
-    
-    if (marketError) {
-      await safeSendMessage(chatId, `❌ Failed to create test market: ${marketError.message}`);
-      return;
-    }
-    
-    // Create test outcomes
-    const outcomes = [
-      {
-        marketId: createdMarket.id,
-        outcome_title: 'Yes',
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString()
-      },
-      {
-        marketId: createdMarket.id,
-        outcome_title: 'No',
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString()
-      }
-    ];
-    
-    const { error: outcomeError } = await supabaseAdmin
-      .from('Outcome')
-      .insert(outcomes);
-    
-    if (outcomeError) {
-      await safeSendMessage(chatId, `⚠️ Market created but outcomes failed: ${outcomeError.message}`);
+    const wallets = await loadWatchedWallets();
+    if (wallets.length === 0) return;
+
+    const latestBlock = await retryRPCCallOptimized(async () => await provider.getBlockNumber());
+    const state = (await getBotState('deposit_watch')) || { lastBlock: latestBlock - 1 };
+    const fromBlock = state.lastBlock + 1;
+    const toBlock = Math.min(latestBlock, fromBlock + DEPOSIT_SCAN_MAX_BLOCKS - 1);
+
+    let found = 0;
+    if (fromBlock <= toBlock) {
+      found += await scanUSDCDeposits(wallets, fromBlock, toBlock);
+      await setBotState('deposit_watch', { lastBlock: toBlock, updatedAt: new Date().toISOString() });
     }
-    
-    await safeSendMessage(chatId, `✅ **Test Market Created Successfully!**
+    found += await checkETHDeposits(wallets, latestBlock);
 
-**Market ID:** ${createdMarket.id}
-**Question:** ${testMarket.question}
-**Database ID:** ${createdMarket.marketId}
+    if (found > 0) {
+      console.log(`📥 Deposit watcher found ${found} deposit${found === 1 ? '' : 's'} (blocks ${fromBlock}-${toBlock})`);
+    }
 
-Now try browsing markets to see if it appears!`);
-    
   } catch (error) {
-    console.error('Test market creation error:', error);
-    await safeSendMessage(chatId, `❌ Error creating test market: ${error.message}`);
+    console.error('❌ Deposit watcher failed:', error.message);
+  } finally {
+    isDepositWatchRunning = false;
   }
-});
+}
 
-// CANCEL COMMAND
-bot.onText(/\/cancel/, async (msg) => {
-  const chatId = msg.chat.id;
-  const session = userSessions.get(chatId);
-  
-  if (session) {
-    userSessions.delete(chatId);
-    await safeSendMessage(chatId, '❌ Current operation cancelled.', mainMenu);
-  } else {
-    await safeSendMessage(chatId, 'No active operation to cancel.', mainMenu);
-  }
-});
+async function scanUSDCDeposits(wallets, fromBlock, toBlock) {
+  const walletsByAddress = new Map(wallets.map(wallet => [wallet.address.toLowerCase(), wallet]));
+  const addresses = wallets.map(wallet => wallet.address);
+  let found = 0;
 
-// ERROR HANDLERS
-bot.on('polling_error', (error) => {
-  console.error('Polling error:', error.code, error.message);
-  
-  if (error.code === 'ETELEGRAM' && error.message.includes('409')) {
-    console.log('🔄 Detected conflict, restarting bot...');
-    setTimeout(() => {
-      process.exit(1);
-    }, 5000);
+  for (let i = 0; i < addresses.length; i += 100) {
+    const logs = await retryRPCCallOptimized(async () => {
+      updateContracts();
+      return await usdcContract.queryFilter(usdcContract.filters.Transfer(null, addresses.slice(i, i + 100)), fromBlock, toBlock);
+    });
+
+    for (const log of logs) {
+      const wallet = walletsByAddress.get(log.args.to.toLowerCase());
+      if (!wallet) continue;
+
+      // Claims and refunds are sent by the wallet itself; those are not deposits
+      const tx = await retryRPCCallOptimized(async () => await provider.getTransaction(log.transactionHash));
+      if (tx && tx.from.toLowerCase() === wallet.address.toLowerCase()) continue;
+
+      const { deposit, error } = await recordDeposit(wallet, {
+        asset: 'USDC',
+        amount: ethers.formatUnits(log.args.value, 6),
+        tx_hash: log.transactionHash,
+        log_index: log.index,
+        block_number: log.blockNumber,
+        from_address: log.args.from
+      });
+
+      // Stop before the cursor moves; the range is rescanned and stored transfers are skipped
+      if (error) throw error;
+
+      if (deposit) {
+        found++;
+        await notifyDeposit(wallet, deposit);
+      }
+    }
   }
-});
 
-bot.on('webhook_error', (error) => {
-  console.error('Webhook error:', error);
-});
+  return found;
+}
 
-if (!isDevelopment) {
-  bot.on('error', (error) => {
-    console.error('Bot error:', error);
-  });
+async function checkETHDeposits(wallets, blockNumber) {
+  let found = 0;
+
+  for (let i = 0; i < wallets.length; i += 20) {
+    const batch = wallets.slice(i, i + 20);
+    // Read balances at a fixed block so gas drips can be matched by block number
+    const balances = await Promise.all(batch.map(wallet =>
+      retryRPCCallOptimized(async () => await provider.getBalance(wallet.address, blockNumber))
+    ));
+
+    for (let j = 0; j < batch.length; j++) {
+      const wallet = batch[j];
+      const balance = balances[j];
+      const lastBalance = wallet.last_eth_balance != null ? BigInt(wallet.last_eth_balance) : null;
+
+      if (lastBalance === balance) continue;
+
+      try {
+        const dripsReceived = await getGasDripsReceived(wallet, blockNumber);
+        if (dripsReceived === null) continue;
+
+        // The first balance seen for a wallet is only a baseline
+        const received = lastBalance === null ? 0n : balance - lastBalance - dripsReceived;
+
+        if (received > 0n) {
+          const { deposit, error } = await recordDeposit(wallet, {
+            asset: 'ETH',
+            amount: ethers.formatEther(received),
+            block_number: blockNumber
+          });
+
+          // Keep the old balance so the next run tries again
+          if (error) continue;
+
+          if (deposit) {
+            found++;
+            await notifyDeposit(wallet, deposit);
+          }
+        }
+
+        const { error: updateError } = await supabaseAdmin
+          .from('bot_wallets')
+          .update({ last_eth_balance: balance.toString(), last_eth_block: blockNumber })
+          .eq('id', wallet.id);
+
+        if (updateError) throw updateError;
+      } catch (error) {
+        console.error(`Error checking ETH deposits for ${wallet.address}:`, error.message);
+      }
+    }
+  }
+
+  return found;
 }
 
-// GRACEFUL SHUTDOWN HANDLERS
-process.on('SIGINT', async () => {
-  console.log('🛑 Received SIGINT, shutting down gracefully...');
-  
-  userSessions.clear();
-  marketMappings.clear();
-  
-  if (isDevelopment) {
-    bot.stopPolling();
+// ETH sent to a wallet by the gas sponsorship program since its balance was last
+// stored, up to and including blockNumber. Returns null while a drip is still in
+// flight, since it is unknown whether the balance already includes it.
+async function getGasDripsReceived(wallet, blockNumber) {
+  const { data, error } = await supabaseAdmin
+    .from('bot_gas_drips')
+    .select('amount_wei, status, block_number, created_at')
+    .eq('address', wallet.address)
+    .in('status', ['pending', 'confirmed'])
+    .or(`block_number.is.null,block_number.gt.${wallet.last_eth_block ?? -1}`);
+
+  if (error) throw error;
+  // A drip left pending by a crash stops blocking the wallet after an hour
+  const inFlightSince = Date.now() - 60 * 60 * 1000;
+  if ((data || []).some(drip => drip.status === 'pending' && new Date(drip.created_at).getTime() > inFlightSince)) {
+    return null;
   }
-  
-  console.log('✅ Cleanup completed, exiting...');
-  process.exit(0);
-});
 
-process.on('SIGTERM', async () => {
-  console.log('🛑 Received SIGTERM, shutting down gracefully...');
-  
-  userSessions.clear();
-  marketMappings.clear();
-  
-  if (isDevelopment) {
-    bot.stopPolling();
+  return (data || [])
+    .filter(drip => drip.status === 'confirmed' && drip.block_number <= blockNumber)
+    .reduce((sum, drip) => sum + BigInt(drip.amount_wei), 0n);
+}
+
+// Insert a deposit. Returns { deposit } when stored, {} if this USDC transfer was
+// already recorded, or { error } if the insert failed.
+async function recordDeposit(wallet, deposit) {
+  const row = {
+    user_id: wallet.user_id,
+    address: wallet.address,
+    ...deposit,
+    created_at: new Date().toISOString()
+  };
+
+  const query = deposit.tx_hash
+    ? supabaseAdmin.from('bot_deposits').upsert([row], { onConflict: 'tx_hash,log_index', ignoreDuplicates: true })
+    : supabaseAdmin.from('bot_deposits').insert([row]);
+
+  const { data, error } = await query.select();
+  if (error) {
+    console.error('Error recording deposit:', error);
+    return { error };
   }
-  
-  process.exit(0);
-});
 
-// UNCAUGHT EXCEPTION HANDLERS
-process.on('uncaughtException', (error) => {
-  console.error('💥 Uncaught Exception:', error);
-  console.error('Stack:', error.stack);
-  
-  setTimeout(() => {
-    console.log('🔄 Continuing after uncaught exception...');
-  }, 1000);
-});
+  return data && data.length > 0 ? { deposit: data[0] } : {};
+}
 
-process.on('unhandledRejection', (reason, promise) => {
-  console.error('💥 Unhandled Promise Rejection at:', promise);
-  console.error('Reason:', reason);
-  
-  setTimeout(() => {
-    console.log('🔄 Continuing after unhandled rejection...');
-  }, 1000);
-});
+async function notifyDeposit(wallet, deposit) {
+  const chatId = wallet.telegramId;
+
+  try {
+    const [usdcBalance, ethBalance] = await Promise.all([
+      getUSDCBalance(wallet.address),
+      getETHBalance(wallet.address)
+    ]);
+
+    const keyboard = [];
+    let resumeText = '';
+    let resumeOffered = false;
+
+    const resume = await userSessions.get(`resume:${chatId}`);
+    if (resume) {
+      const coveredUSDC = parseFloat(usdcBalance) >= (resume.requiredUSDC || 0);
+      const coveredETH = parseFloat(ethBalance) > (resume.requiredETH || 0);
+
+      if (coveredUSDC && coveredETH) {
+        resumeText = `\n\n✅ You now have enough to ${resume.label}.`;
+        keyboard.push([{ text: `▶️ ${resume.buttonText}`, callback_data: resume.callback }]);
+        resumeOffered = true;
+      } else {
+        const missing = [];
+        if (!coveredUSDC) missing.push(`${resume.requiredUSDC} USDC`);
+        if (!coveredETH) missing.push(`more than ${resume.requiredETH} ETH`);
+        resumeText = `\n\nTo ${resume.label} you still need ${missing.join(' and ')}.`;
+      }
+    }
+
+    keyboard.push([{ text: '💰 Check Balance', callback_data: 'check_balance' }]);
+    keyboard.push([{ text: '⬅️ Main Menu', callback_data: 'main_menu' }]);
+
+    const sent = await sendNotification(chatId, 'deposits', `✅ **Received ${deposit.amount} ${deposit.asset}**
+${deposit.from_address ? `\n**From:** ${deposit.from_address}` : ''}${deposit.tx_hash ? `\n**Transaction:** ${deposit.tx_hash}` : ''}
+
+**Your Balance:**
+• ${usdcBalance} USDC
+• ${ethBalance} ETH${resumeText}`, {
+      reply_markup: { inline_keyboard: keyboard }
+    });
+
+    if (!sent) return;
+
+    if (resumeOffered) {
+      await userSessions.delete(`resume:${chatId}`);
+    }
+
+    await supabaseAdmin
+      .from('bot_deposits')
+      .update({ notified_at: new Date().toISOString() })
+      .eq('id', deposit.id);
+
+  } catch (error) {
+    console.error(`Error notifying deposit ${deposit.id}:`, error.message);
+  }
+}
+
+setInterval(watchDeposits, DEPOSIT_WATCH_INTERVAL_MS);
+setTimeout(watchDeposits, 15 * 1000);
 
 // PERIODIC HEALTH CHECKS
 setInterval(async () => {
   try {
     const blockNumber = await provider.getBlockNumber();
-    console.log(`💓 Health check - Block: ${blockNumber}, Sessions: ${userSessions.size}, Memory: ${Math.round(process.memoryUsage().heapUsed / 1024 / 1024)}MB`);
+    console.log(`💓 Health check - Block: ${blockNumber}, Sessions: ${await userSessions.size()}, Memory: ${Math.round(process.memoryUsage().heapUsed / 1024 / 1024)}MB`);
   } catch (error) {
     console.error('💔 Health check failed:', error.message);
     switchRPCProvider();
@@ -2767,9 +8794,8 @@ setInterval(() => {
     
     if (heapUsedMB > 500) {
       console.log('🧹 Performing aggressive cleanup...');
-      userSessions.clear();
-      marketMappings.clear();
-      marketCounter = 0;
+      userSessions.releaseMemory();
+      marketDataCache.clear();
       
       if (global.gc) {
         global.gc();
@@ -2781,7 +8807,7 @@ setInterval(() => {
 
 // STARTUP COMPLETION MESSAGE
 console.log('🎯 All handlers and error handling loaded successfully!');
-console.log('🔧 Admin commands: /admin, /stats, /users, /markets, /fpstatus, /broadcast, /health, /restart');
+console.log('🔧 Admin commands: /admin, /stats, /broadcast, /resolve, /outbox, /gasdrip, /promote, /demote, /audit, /ban, /suspend, /unban, /modqueue');
 console.log('👥 User commands: /start, /help, /menu, /cancel');
 console.log('⚡ Performance monitoring: Memory checks, health checks, auto-cleanup');
 console.log('🛡️ Error handling: Graceful shutdown, uncaught exceptions, polling errors');
@@ -0,0 +1,7 @@
+-- Bets are placed on-chain; each Trade row records the transaction that
+-- placed it and its status.
+ALTER TABLE "Trade" ADD COLUMN IF NOT EXISTS "txHash" text;
+ALTER TABLE "Trade" ADD COLUMN IF NOT EXISTS "blockNumber" bigint;
+ALTER TABLE "Trade" ADD COLUMN IF NOT EXISTS "status" text;
+
+CREATE UNIQUE INDEX IF NOT EXISTS "Trade_txHash_key" ON "Trade" ("txHash") WHERE "txHash" IS NOT NULL;
@@ -0,0 +1,29 @@
+-- Withdrawals from Spredd wallets, kept as an audit record: pending ->
+-- submitted -> confirmed, or failed with the error.
+CREATE TABLE IF NOT EXISTS bot_withdrawals (
+  id bigint GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  from_address text NOT NULL,
+  to_address text NOT NULL,
+  asset text NOT NULL,
+  amount numeric NOT NULL,
+  status text NOT NULL DEFAULT 'pending',
+  tx_hash text,
+  block_number bigint,
+  error text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+-- "User".id comes from the app schema, so user_id copies its type
+DO $$
+BEGIN
+  EXECUTE format(
+    'ALTER TABLE bot_withdrawals ADD COLUMN IF NOT EXISTS user_id %s NOT NULL REFERENCES "User" (id)',
+    (SELECT format_type(atttypid, atttypmod) FROM pg_attribute WHERE attrelid = '"User"'::regclass AND attname = 'id')
+  );
+END $$;
+
+CREATE INDEX IF NOT EXISTS bot_withdrawals_user_id_idx ON bot_withdrawals (user_id);
+
+-- Only the service role key used by the bot may read or write withdrawals
+ALTER TABLE bot_withdrawals ENABLE ROW LEVEL SECURITY;
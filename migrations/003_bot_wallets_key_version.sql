@@ -0,0 +1,4 @@
+-- Master key version each wallet key is encrypted with: 0 for the legacy
+-- format, NULL for rows written before versioning. /reencryptwallets moves
+-- every row to WALLET_ENCRYPTION_KEY_VERSION.
+ALTER TABLE bot_wallets ADD COLUMN IF NOT EXISTS key_version integer;
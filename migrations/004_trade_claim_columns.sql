@@ -0,0 +1,3 @@
+-- Set when a bettor claims winnings or a refund for their trades in a market
+ALTER TABLE "Trade" ADD COLUMN IF NOT EXISTS "claimed" boolean NOT NULL DEFAULT false;
+ALTER TABLE "Trade" ADD COLUMN IF NOT EXISTS "claimTxHash" text;
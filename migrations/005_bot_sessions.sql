@@ -0,0 +1,13 @@
+-- Conversation state for multi-step flows when SESSION_STORE=supabase.
+-- session_key is the chat ID.
+CREATE TABLE IF NOT EXISTS bot_sessions (
+  session_key text PRIMARY KEY,
+  data jsonb NOT NULL,
+  expires_at timestamptz NOT NULL,
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+-- Expired sessions are purged with a range delete on expires_at
+CREATE INDEX IF NOT EXISTS bot_sessions_expires_at_idx ON bot_sessions (expires_at);
+
+ALTER TABLE bot_sessions ENABLE ROW LEVEL SECURITY;
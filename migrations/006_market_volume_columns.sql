@@ -0,0 +1,6 @@
+-- Volume and bettor stats cached from the factory so browse can sort by them.
+-- Volumes are in USDC.
+ALTER TABLE "Market" ADD COLUMN IF NOT EXISTS "volumeA" double precision NOT NULL DEFAULT 0;
+ALTER TABLE "Market" ADD COLUMN IF NOT EXISTS "volumeB" double precision NOT NULL DEFAULT 0;
+ALTER TABLE "Market" ADD COLUMN IF NOT EXISTS "totalVolume" double precision NOT NULL DEFAULT 0;
+ALTER TABLE "Market" ADD COLUMN IF NOT EXISTS "bettorCount" integer NOT NULL DEFAULT 0;
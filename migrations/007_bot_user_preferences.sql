@@ -0,0 +1,18 @@
+-- Per-user bot settings, one row per "User" created on the first change.
+-- Column defaults must match DEFAULT_USER_PREFERENCES in bot.js: a row written
+-- by a partial upsert overrides the in-code defaults with whatever it holds.
+CREATE TABLE IF NOT EXISTS bot_user_preferences (
+  slippage_tolerance numeric NOT NULL DEFAULT 2,
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+DO $$
+BEGIN
+  -- Match the type of "User".id, which the app schema defines
+  EXECUTE format(
+    'ALTER TABLE bot_user_preferences ADD COLUMN IF NOT EXISTS user_id %s PRIMARY KEY REFERENCES "User" (id) ON DELETE CASCADE',
+    (SELECT format_type(atttypid, atttypmod) FROM pg_attribute WHERE attrelid = '"User"'::regclass AND attname = 'id')
+  );
+END $$;
+
+ALTER TABLE bot_user_preferences ENABLE ROW LEVEL SECURITY;
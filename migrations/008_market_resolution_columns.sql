@@ -0,0 +1,3 @@
+-- Set by /resolve. A void market refunds every bet and has no winning outcome.
+ALTER TABLE "Market" ADD COLUMN IF NOT EXISTS "isVoid" boolean NOT NULL DEFAULT false;
+ALTER TABLE "Market" ADD COLUMN IF NOT EXISTS "resolvedAt" timestamptz;
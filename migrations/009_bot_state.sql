@@ -0,0 +1,8 @@
+-- Small key/value records for background jobs, e.g. the market sync cursor
+CREATE TABLE IF NOT EXISTS bot_state (
+  key text PRIMARY KEY,
+  value jsonb,
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+ALTER TABLE bot_state ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,7 @@
+-- The market's contract address from the factory, and the transaction that
+-- created it, so /repairmarkets can re-read the receipt of a market saved with
+-- a placeholder ID.
+ALTER TABLE "Market" ADD COLUMN IF NOT EXISTS "contractAddress" text;
+ALTER TABLE "Market" ADD COLUMN IF NOT EXISTS "creationTxHash" text;
+
+CREATE UNIQUE INDEX IF NOT EXISTS "Market_creationTxHash_key" ON "Market" ("creationTxHash") WHERE "creationTxHash" IS NOT NULL;
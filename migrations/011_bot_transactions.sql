@@ -0,0 +1,23 @@
+-- Transaction outbox. Each on-chain action that is followed by a database write
+-- gets a row before it is sent and moves pending -> submitted -> mined ->
+-- persisted (or failed), so the outbox worker can finish the write after a crash.
+CREATE TABLE IF NOT EXISTS bot_transactions (
+  id bigint GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  kind text NOT NULL,
+  status text NOT NULL DEFAULT 'pending',
+  telegram_id bigint,
+  wallet_address text,
+  payload jsonb NOT NULL,
+  tx_hash text,
+  block_number bigint,
+  result jsonb,
+  attempts integer NOT NULL DEFAULT 0,
+  last_error text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+-- The worker and /outbox look for unfinished entries that have not moved recently
+CREATE INDEX IF NOT EXISTS bot_transactions_status_updated_at_idx ON bot_transactions (status, updated_at);
+
+ALTER TABLE bot_transactions ENABLE ROW LEVEL SECURITY;
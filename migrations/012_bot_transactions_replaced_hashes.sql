@@ -0,0 +1,3 @@
+-- Hashes an outbox entry's transaction had before it was sped up or cancelled.
+-- tx_hash holds the latest one; the worker checks all of them for a receipt.
+ALTER TABLE bot_transactions ADD COLUMN IF NOT EXISTS replaced_tx_hashes text[] NOT NULL DEFAULT '{}';
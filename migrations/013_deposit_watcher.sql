@@ -0,0 +1,33 @@
+-- Deposits found by the deposit watcher. USDC deposits come from Transfer logs
+-- and are deduplicated on (tx_hash, log_index); ETH deposits are balance
+-- increases and have no transaction hash.
+CREATE TABLE IF NOT EXISTS bot_deposits (
+  id bigint GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  address text NOT NULL,
+  asset text NOT NULL,
+  amount numeric NOT NULL,
+  tx_hash text,
+  log_index integer,
+  block_number bigint,
+  from_address text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  notified_at timestamptz,
+  CONSTRAINT bot_deposits_tx_hash_log_index_key UNIQUE (tx_hash, log_index)
+);
+
+DO $$
+BEGIN
+  -- Same type as bot_wallets.user_id, i.e. "User".id from the app schema
+  EXECUTE format(
+    'ALTER TABLE bot_deposits ADD COLUMN IF NOT EXISTS user_id %s NOT NULL REFERENCES "User" (id)',
+    (SELECT format_type(atttypid, atttypmod) FROM pg_attribute WHERE attrelid = '"User"'::regclass AND attname = 'id')
+  );
+END $$;
+
+ALTER TABLE bot_deposits ENABLE ROW LEVEL SECURITY;
+
+-- Last ETH balance seen for each wallet and the block it was read at. The
+-- balance is in wei and kept as text: PostgREST returns numeric as a JSON
+-- number, which loses precision above 2^53 wei.
+ALTER TABLE bot_wallets ADD COLUMN IF NOT EXISTS last_eth_balance text;
+ALTER TABLE bot_wallets ADD COLUMN IF NOT EXISTS last_eth_block bigint;
@@ -0,0 +1,28 @@
+-- ETH sent from the admin wallet to cover a user's gas. Daily quotas and the
+-- budget are summed from amount_wei, which is text for the same precision
+-- reason as bot_wallets.last_eth_balance.
+CREATE TABLE IF NOT EXISTS bot_gas_drips (
+  id bigint GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  address text NOT NULL,
+  amount numeric NOT NULL,
+  amount_wei text NOT NULL,
+  status text NOT NULL DEFAULT 'pending',
+  tx_hash text,
+  block_number bigint,
+  error text,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+DO $$
+BEGIN
+  EXECUTE format(
+    'ALTER TABLE bot_gas_drips ADD COLUMN IF NOT EXISTS user_id %s NOT NULL REFERENCES "User" (id)',
+    (SELECT format_type(atttypid, atttypmod) FROM pg_attribute WHERE attrelid = '"User"'::regclass AND attname = 'id')
+  );
+END $$;
+
+CREATE INDEX IF NOT EXISTS bot_gas_drips_user_id_created_at_idx ON bot_gas_drips (user_id, created_at);
+CREATE INDEX IF NOT EXISTS bot_gas_drips_address_idx ON bot_gas_drips (address);
+CREATE INDEX IF NOT EXISTS bot_gas_drips_created_at_idx ON bot_gas_drips (created_at);
+
+ALTER TABLE bot_gas_drips ENABLE ROW LEVEL SECURITY;
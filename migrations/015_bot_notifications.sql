@@ -0,0 +1,11 @@
+-- One row per scheduled notice that was sent. The scheduler claims a
+-- notification_key (e.g. resolved:<market id>:<telegram id>) before sending
+-- and releases it if the send fails, so each notice goes out once.
+CREATE TABLE IF NOT EXISTS bot_notifications (
+  notification_key text PRIMARY KEY,
+  kind text NOT NULL,
+  telegram_id bigint NOT NULL,
+  sent_at timestamptz NOT NULL DEFAULT now()
+);
+
+ALTER TABLE bot_notifications ENABLE ROW LEVEL SECURITY;
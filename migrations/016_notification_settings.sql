@@ -0,0 +1,11 @@
+-- /settings: notification categories, quiet hours, timezone and mute. Quiet
+-- hours are hours of the day (0-23) in the user's timezone and may wrap midnight.
+ALTER TABLE bot_user_preferences ADD COLUMN IF NOT EXISTS notify_deposits boolean NOT NULL DEFAULT true;
+ALTER TABLE bot_user_preferences ADD COLUMN IF NOT EXISTS notify_reminders boolean NOT NULL DEFAULT true;
+ALTER TABLE bot_user_preferences ADD COLUMN IF NOT EXISTS notify_results boolean NOT NULL DEFAULT true;
+ALTER TABLE bot_user_preferences ADD COLUMN IF NOT EXISTS notify_announcements boolean NOT NULL DEFAULT true;
+ALTER TABLE bot_user_preferences ADD COLUMN IF NOT EXISTS notify_following boolean NOT NULL DEFAULT true;
+ALTER TABLE bot_user_preferences ADD COLUMN IF NOT EXISTS quiet_hours_start smallint;
+ALTER TABLE bot_user_preferences ADD COLUMN IF NOT EXISTS quiet_hours_end smallint;
+ALTER TABLE bot_user_preferences ADD COLUMN IF NOT EXISTS muted boolean NOT NULL DEFAULT false;
+ALTER TABLE bot_user_preferences ADD COLUMN IF NOT EXISTS timezone text NOT NULL DEFAULT 'UTC';
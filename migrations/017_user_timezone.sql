@@ -0,0 +1,4 @@
+-- The timezone is now the IANA name chosen in /settings or guessed from the
+-- Telegram language. NULL means neither has happened yet; dates are then shown in UTC.
+ALTER TABLE bot_user_preferences ALTER COLUMN timezone DROP NOT NULL;
+ALTER TABLE bot_user_preferences ALTER COLUMN timezone DROP DEFAULT;
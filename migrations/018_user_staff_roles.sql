@@ -0,0 +1,17 @@
+-- Staff roles are stored in the app's existing "User".role column. If that
+-- column is an enum, make sure it has every role /promote can assign.
+DO $$
+DECLARE
+  role_type regtype;
+  role_name text;
+BEGIN
+  SELECT atttypid::regtype INTO role_type
+  FROM pg_attribute
+  WHERE attrelid = '"User"'::regclass AND attname = 'role';
+
+  IF EXISTS (SELECT 1 FROM pg_type WHERE oid = role_type AND typtype = 'e') THEN
+    FOREACH role_name IN ARRAY ARRAY['USER', 'SUPPORT', 'MODERATOR', 'ADMIN'] LOOP
+      EXECUTE format('ALTER TYPE %s ADD VALUE IF NOT EXISTS %L', role_type, role_name);
+    END LOOP;
+  END IF;
+END $$;
@@ -0,0 +1,20 @@
+-- Staff actions, including denied attempts, for /audit. result is success,
+-- partial, failure or denied.
+CREATE TABLE IF NOT EXISTS bot_audit_log (
+  id bigint GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  actor_telegram_id bigint NOT NULL,
+  command text NOT NULL,
+  arguments jsonb,
+  entity_type text,
+  entity_ids text[] NOT NULL DEFAULT '{}',
+  result text NOT NULL,
+  error text,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+-- /audit lists newest first, optionally filtered by actor or command
+CREATE INDEX IF NOT EXISTS bot_audit_log_created_at_idx ON bot_audit_log (created_at DESC);
+CREATE INDEX IF NOT EXISTS bot_audit_log_actor_created_at_idx ON bot_audit_log (actor_telegram_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS bot_audit_log_command_created_at_idx ON bot_audit_log (command, created_at DESC);
+
+ALTER TABLE bot_audit_log ENABLE ROW LEVEL SECURITY;
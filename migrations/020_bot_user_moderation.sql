@@ -0,0 +1,12 @@
+-- Banned and suspended users, one row per Telegram ID. /unban deletes the row;
+-- a suspension also ends on its own once suspended_until has passed.
+CREATE TABLE IF NOT EXISTS bot_user_moderation (
+  telegram_id bigint PRIMARY KEY,
+  status text NOT NULL CHECK (status IN ('banned', 'suspended')),
+  reason text,
+  suspended_until timestamptz,
+  moderated_by bigint,
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+ALTER TABLE bot_user_moderation ENABLE ROW LEVEL SECURITY;
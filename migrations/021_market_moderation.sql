@@ -0,0 +1,39 @@
+-- Moderation flags on markets. Hidden markets are left out of browse and
+-- cannot be bet on through the bot; featured markets are listed first.
+ALTER TABLE "Market" ADD COLUMN IF NOT EXISTS "isHidden" boolean NOT NULL DEFAULT false;
+ALTER TABLE "Market" ADD COLUMN IF NOT EXISTS "isFeatured" boolean NOT NULL DEFAULT false;
+ALTER TABLE "Market" ADD COLUMN IF NOT EXISTS "moderatorNote" text;
+
+-- User reports for /modqueue. Each user can report a market once; reports stay
+-- open until a moderator actions or dismisses them.
+CREATE TABLE IF NOT EXISTS bot_market_reports (
+  id bigint GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  reporter_telegram_id bigint NOT NULL,
+  reason text NOT NULL,
+  details text,
+  status text NOT NULL DEFAULT 'open',
+  created_at timestamptz NOT NULL DEFAULT now(),
+  resolved_by bigint,
+  resolved_at timestamptz
+);
+
+DO $$
+BEGIN
+  -- "Market".id is defined by the app schema; reports go with their market
+  EXECUTE format(
+    'ALTER TABLE bot_market_reports ADD COLUMN IF NOT EXISTS market_id %s NOT NULL REFERENCES "Market" (id) ON DELETE CASCADE',
+    (SELECT format_type(atttypid, atttypmod) FROM pg_attribute WHERE attrelid = '"Market"'::regclass AND attname = 'id')
+  );
+END $$;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'bot_market_reports_market_reporter_key') THEN
+    ALTER TABLE bot_market_reports
+      ADD CONSTRAINT bot_market_reports_market_reporter_key UNIQUE (market_id, reporter_telegram_id);
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS bot_market_reports_status_market_id_idx ON bot_market_reports (status, market_id);
+
+ALTER TABLE bot_market_reports ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,46 @@
+-- Reserve a gas drip in one transaction: check the user's daily quota and the
+-- global daily budget and insert the pending bot_gas_drips row. The advisory lock
+-- serializes concurrent reservations, so two instances cannot both take the last
+-- slot. Returns the new drip id, or NULL when the quota or budget is used up.
+DO $$
+BEGIN
+  EXECUTE format($function$
+    CREATE OR REPLACE FUNCTION reserve_gas_drip(
+      p_user_id %1$s,
+      p_address text,
+      p_amount numeric,
+      p_amount_wei text,
+      p_daily_limit integer,
+      p_daily_budget_wei text
+    ) RETURNS bigint
+    LANGUAGE plpgsql
+    AS $body$
+    DECLARE
+      drip_id bigint;
+    BEGIN
+      PERFORM pg_advisory_xact_lock(hashtext('reserve_gas_drip'));
+
+      IF (SELECT count(*) FROM bot_gas_drips
+          WHERE user_id = p_user_id
+            AND status <> 'failed'
+            AND created_at >= now() - interval '1 day') >= p_daily_limit THEN
+        RETURN NULL;
+      END IF;
+
+      IF (SELECT coalesce(sum(amount_wei::numeric), 0) FROM bot_gas_drips
+          WHERE status <> 'failed'
+            AND created_at >= now() - interval '1 day') + p_amount_wei::numeric > p_daily_budget_wei::numeric THEN
+        RETURN NULL;
+      END IF;
+
+      INSERT INTO bot_gas_drips (user_id, address, amount, amount_wei, status)
+      VALUES (p_user_id, p_address, p_amount, p_amount_wei, 'pending')
+      RETURNING id INTO drip_id;
+
+      RETURN drip_id;
+    END
+    $body$
+  $function$, (SELECT format_type(atttypid, atttypmod) FROM pg_attribute WHERE attrelid = '"User"'::regclass AND attname = 'id'));
+END $$;
+
+REVOKE ALL ON FUNCTION reserve_gas_drip FROM PUBLIC;